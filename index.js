@@ -1,29 +1,19 @@
-import express from 'express';
 import dotenv from 'dotenv';
-import cors from 'cors'; // ✅ Import CORS
-import userRoutes from './src/routes/userroute.js';
-import swaggerUi from "swagger-ui-express";
-import swaggerSpec from './src/swagger/swaggerSpec.js';
-import blogRoutes from "./src/routes/blogRoutes.js"
-import subscriptionRoutes from './src/routes/subscriptionRoutes.js'
+import app from './src/app.js';
+import { startSubscriptionExpiryJob } from './src/jobs/subscriptionExpiry.job.js';
+import { startSlotHoldReleaseJob } from './src/jobs/slotHoldRelease.job.js';
+import { startSlotGenerationJob } from './src/jobs/slotGeneration.job.js';
+import { startCommissionRateJob } from './src/jobs/commissionRate.job.js';
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-app.use(express.json());
-
-
-app.use(cors());
-
-// ✅ Swagger Docs
-app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// ✅ Routes
-app.use('/api', userRoutes);
-app.use(blogRoutes);
-app.use('/api', subscriptionRoutes);
+// ✅ Background jobs
+startSubscriptionExpiryJob();
+startSlotHoldReleaseJob();
+startSlotGenerationJob();
+startCommissionRateJob();
 
 // ✅ Start Server
 app.listen(PORT, () => {
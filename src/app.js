@@ -0,0 +1,47 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import cors from 'cors'; // ✅ Import CORS
+import userRoutes from './routes/userroute.js';
+import swaggerUi from "swagger-ui-express";
+import swaggerSpec from './swagger/swaggerSpec.js';
+import blogRoutes from "./routes/blogRoutes.js"
+import subscriptionRoutes from './routes/subscriptionRoutes.js'
+import appointmentRoutes from './routes/appointmentRoutes.js';
+import availabilityRoutes from './routes/availabilityRoutes.js';
+import practiceRoutes from './routes/practiceRoutes.js';
+import patientRecordRoutes from './routes/patientRecordRoutes.js';
+import familyProfileRoutes from './routes/familyProfileRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import channelPartnerRoutes from './routes/channelPartnerRoutes.js';
+import { requireAuthByDefault } from './middleware/authMiddleware.js';
+import PUBLIC_ROUTES from './config/publicRoutes.js';
+
+dotenv.config();
+
+// The Express app without a listening server or background jobs, so tests can mount it
+const app = express();
+
+app.use(express.json());
+
+
+app.use(cors());
+
+// ✅ Swagger Docs
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+// ✅ Authentication required for everything except the public allow-list
+app.use(requireAuthByDefault(PUBLIC_ROUTES));
+
+// ✅ Routes
+app.use('/api', userRoutes);
+app.use(blogRoutes);
+app.use('/api', subscriptionRoutes);
+app.use('/api', appointmentRoutes);
+app.use('/api', availabilityRoutes);
+app.use('/api', practiceRoutes);
+app.use('/api', patientRecordRoutes);
+app.use('/api', familyProfileRoutes);
+app.use('/api', reviewRoutes);
+app.use('/api', channelPartnerRoutes);
+
+export default app;
@@ -3,4 +3,46 @@ dotenv.config();
 
 export default {
   jwtSecret: process.env.JWT_SECRET_KEY,
+
+  // Document types a doctor must have approved before being marked as verified
+  requiredDoctorDocuments: (
+    process.env.REQUIRED_DOCTOR_DOCUMENTS || 'Government ID,Medical Registration Certificate,Degree Certificate'
+  )
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean),
+
+  // How long a slot stays reserved for a patient while they complete a booking
+  slotHoldMinutes: parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 10,
+
+  // Availability slot generation from doctor schedules
+  slotGeneration: {
+    slotLengthMinutes: parseInt(process.env.SLOT_LENGTH_MINUTES, 10) || 15,
+    bufferMinutes: parseInt(process.env.SLOT_BUFFER_MINUTES, 10) || 0,
+    daysAhead: parseInt(process.env.SLOT_GENERATION_DAYS_AHEAD, 10) || 14,
+  },
+
+  // Patient documents are stored privately; downloads go through short-lived signed URLs
+  patientDocuments: {
+    maxSizeMb: parseInt(process.env.PATIENT_DOCUMENT_MAX_SIZE_MB, 10) || 25,
+    signedUrlTtlSeconds: parseInt(process.env.PATIENT_DOCUMENT_URL_TTL_SECONDS, 10) || 300,
+    folder: process.env.PATIENT_DOCUMENT_FOLDER || 'medicaps/patient-documents',
+  },
+
+  // Patient reviews of completed appointments
+  reviews: {
+    editWindowHours: parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS, 10) || 72,
+    // Publish reviews that pass the content filter without waiting for a moderator
+    autoPublishClean: process.env.REVIEW_AUTO_PUBLISH !== 'false',
+    // Extra comma-separated words for the profanity filter
+    blockedWords: (process.env.REVIEW_BLOCKED_WORDS || '')
+      .split(',')
+      .map((word) => word.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Channel partner commission given on approval when the admin does not set one
+  channelPartners: {
+    defaultCommissionPercentage: parseFloat(process.env.PARTNER_DEFAULT_COMMISSION_PERCENTAGE) || 10,
+  },
 };
@@ -0,0 +1,22 @@
+// Endpoints that can be called without a token.
+// Every other route requires a valid JWT (see requireAuthByDefault in authMiddleware.js).
+// Paths are the full request paths; `:name` matches a single path segment.
+
+const PUBLIC_ROUTES = [
+  // ---------------- Blogs ----------------
+  { method: 'GET', path: '/api/blogs' },
+  { method: 'GET', path: '/api/blogs/search/:slug' },
+  { method: 'GET', path: '/api/blogs/:id' },
+  { method: 'GET', path: '/api/blogs/:blogId/comments' },
+  { method: 'GET', path: '/api/blog/:slug/share-count' },
+
+  // ---------------- Millets ----------------
+  { method: 'GET', path: '/api/millets/products' },
+  { method: 'GET', path: '/api/millets/products/:id' },
+
+  // ---------------- Subscription Plans ----------------
+  { method: 'GET', path: '/api/subscription-plans' },
+  { method: 'GET', path: '/api/subscription-plans/:id/benefits' },
+];
+
+export default PUBLIC_ROUTES;
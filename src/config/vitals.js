@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Vital types patients and doctors can record.
+// `units` lists the accepted units (the first one is the default) and `components`
+// the numeric readings stored in patient_vitals.values, e.g. { systolic, diastolic }.
+export const VITAL_TYPES = {
+  blood_pressure: { label: 'Blood pressure', units: ['mmHg'], components: ['systolic', 'diastolic'] },
+  heart_rate: { label: 'Heart rate', units: ['bpm'], components: ['value'] },
+  blood_glucose: { label: 'Blood glucose', units: ['mg/dL', 'mmol/L'], components: ['value'] },
+  spo2: { label: 'SpO2', units: ['%'], components: ['value'] },
+  temperature: { label: 'Body temperature', units: ['°C', '°F'], components: ['value'] },
+  respiratory_rate: { label: 'Respiratory rate', units: ['breaths/min'], components: ['value'] },
+  weight: { label: 'Weight', units: ['kg', 'lb'], components: ['value'] },
+  height: { label: 'Height', units: ['cm', 'in'], components: ['value'] },
+};
+
+// Adult reference ranges used to flag readings, by vital type, unit and component.
+// Readings outside [min, max] are flagged low or high; types without a range are never flagged.
+const DEFAULT_REFERENCE_RANGES = {
+  blood_pressure: {
+    mmHg: { systolic: { min: 90, max: 120 }, diastolic: { min: 60, max: 80 } },
+  },
+  heart_rate: { bpm: { value: { min: 60, max: 100 } } },
+  blood_glucose: {
+    'mg/dL': { value: { min: 70, max: 140 } },
+    'mmol/L': { value: { min: 3.9, max: 7.8 } },
+  },
+  spo2: { '%': { value: { min: 95, max: 100 } } },
+  temperature: {
+    '°C': { value: { min: 36.1, max: 37.5 } },
+    '°F': { value: { min: 97, max: 99.5 } },
+  },
+  respiratory_rate: { 'breaths/min': { value: { min: 12, max: 20 } } },
+};
+
+// VITAL_REFERENCE_RANGES may hold JSON in the same shape; it replaces the defaults per vital type
+const loadReferenceRanges = () => {
+  if (!process.env.VITAL_REFERENCE_RANGES) return DEFAULT_REFERENCE_RANGES;
+  try {
+    return { ...DEFAULT_REFERENCE_RANGES, ...JSON.parse(process.env.VITAL_REFERENCE_RANGES) };
+  } catch (error) {
+    console.error('❌ Ignoring invalid VITAL_REFERENCE_RANGES:', error.message);
+    return DEFAULT_REFERENCE_RANGES;
+  }
+};
+
+export const VITAL_REFERENCE_RANGES = loadReferenceRanges();
@@ -0,0 +1,688 @@
+import db from "../config/db.js";
+import { loadUserPermissions, PERMISSIONS } from "../middleware/rbac.js";
+import {
+  ACTIVE_APPOINTMENT_STATUSES,
+  APPOINTMENT_BENEFIT_REFERENCE,
+  APPOINTMENT_STATUS,
+  canTransition,
+  getAllowedTransitions,
+  getUserAppointmentIdentity,
+  isSlotTaken,
+} from "../models/Appointment.js";
+import { isSlotBlackedOut } from "../models/Blackout.js";
+import { isSlotPracticeActive } from "../models/DoctorPractice.js";
+import { releaseBenefit } from "../models/Entitlement.js";
+import { isSlotHeld } from "../models/SlotHold.js";
+import { fetchPage, parseListQuery } from "../utils/listQuery.js";
+
+const APPOINTMENT_COLUMNS = `
+  a.id,
+  a.doctor_id,
+  du.full_name AS doctor_name,
+  a.patient_profile_id,
+  pp.full_name AS patient_name,
+  pp.user_id AS patient_user_id,
+  a.slot_id,
+  s.slot_date,
+  s.slot_start_time,
+  s.slot_end_time,
+  a.status,
+  a.consultation_type,
+  a.consultation_fee,
+  a.patient_symptoms,
+  a.channel_name,
+  a.status_updated_at,
+  a.cancelled_by,
+  a.cancellation_reason,
+  a.rescheduled_from_slot_id,
+  a.rescheduled_at,
+  a.needs_reschedule,
+  a.reschedule_reason`;
+
+const APPOINTMENT_FROM = `
+  FROM appointments a
+  JOIN doctors d ON a.doctor_id = d.id
+  JOIN users du ON d.user_id = du.id
+  LEFT JOIN patient_profiles pp ON a.patient_profile_id = pp.id
+  LEFT JOIN availability_slots s ON a.slot_id = s.id`;
+
+// Statuses only the treating doctor (or appointments:manage) may set. Patients may only cancel.
+const DOCTOR_ONLY_STATUSES = [
+  APPOINTMENT_STATUS.CONFIRMED,
+  APPOINTMENT_STATUS.COMPLETED,
+  APPOINTMENT_STATUS.NO_SHOW,
+];
+
+// Statuses that can only be recorded once the appointment has started
+const AFTER_START_STATUSES = [APPOINTMENT_STATUS.COMPLETED, APPOINTMENT_STATUS.NO_SHOW];
+
+// Who the caller is in relation to appointments: staff permissions plus their own doctor / patient identities.
+// Returns null for unknown or inactive accounts.
+const getAppointmentActor = async (req) => {
+  const permissions = await loadUserPermissions(req);
+  if (!permissions) return null;
+
+  const identity = await getUserAppointmentIdentity(req.user.sub);
+  return {
+    canReadAll: permissions.has(PERMISSIONS.APPOINTMENTS_READ),
+    canManageAll: permissions.has(PERMISSIONS.APPOINTMENTS_MANAGE),
+    ...identity,
+  };
+};
+
+const getRelation = (actor, appointment) => ({
+  isDoctor: actor.doctorId !== null && appointment.doctor_id === actor.doctorId,
+  isPatient: actor.patientProfileIds.includes(appointment.patient_profile_id),
+});
+
+const findAppointment = async (id, executor = db) => {
+  const [rows] = await executor.query(`SELECT ${APPOINTMENT_COLUMNS} ${APPOINTMENT_FROM} WHERE a.id = ?`, [id]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appointment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctor_id:
+ *           type: integer
+ *         doctor_name:
+ *           type: string
+ *         patient_profile_id:
+ *           type: integer
+ *         patient_name:
+ *           type: string
+ *         slot_id:
+ *           type: integer
+ *         slot_date:
+ *           type: string
+ *           format: date
+ *         slot_start_time:
+ *           type: string
+ *           example: "10:30:00"
+ *         slot_end_time:
+ *           type: string
+ *           example: "10:45:00"
+ *         status:
+ *           type: string
+ *           enum: [Pending, Confirmed, Completed, Cancelled, No Show]
+ *         consultation_type:
+ *           type: string
+ *         consultation_fee:
+ *           type: number
+ *           nullable: true
+ *           description: Fee of the practice at the time of booking
+ *         patient_symptoms:
+ *           type: string
+ *         channel_name:
+ *           type: string
+ *         status_updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         cancelled_by:
+ *           type: integer
+ *           nullable: true
+ *         cancellation_reason:
+ *           type: string
+ *           nullable: true
+ *         rescheduled_from_slot_id:
+ *           type: integer
+ *           nullable: true
+ *         rescheduled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         needs_reschedule:
+ *           type: boolean
+ *           description: Set when a doctor blackout now covers the appointment
+ *         reschedule_reason:
+ *           type: string
+ *           nullable: true
+ */
+
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: List appointments
+ *     description: >
+ *       Users with the `appointments:read` permission see every appointment. Doctors see the appointments
+ *       booked with them and patients see the appointments of their own patient profiles.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [slot_date, -slot_date, status, -status, id, -id]
+ *           default: -slot_date
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Confirmed, Completed, Cancelled, No Show]
+ *         required: false
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: patient_profile_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Only appointments on or after this slot date
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *         description: Only appointments on or before this slot date
+ *       - in: query
+ *         name: needs_reschedule
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only appointments flagged (or not) by a doctor blackout
+ *     responses:
+ *       200:
+ *         description: A page of appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Caller is not a doctor, patient or appointments reader
+ *       500:
+ *         description: Server error
+ */
+
+export const getAppointments = async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, {
+      sortable: { slot_date: "s.slot_date", status: "a.status", id: "a.id" },
+      defaultSort: "-slot_date",
+      filters: {
+        status: { column: "a.status", type: "enum", values: Object.values(APPOINTMENT_STATUS) },
+        doctor_id: { column: "a.doctor_id", type: "int" },
+        patient_profile_id: { column: "a.patient_profile_id", type: "int" },
+        date_from: { column: "s.slot_date", type: "date", op: "gte" },
+        date_to: { column: "s.slot_date", type: "date", op: "lte" },
+        needs_reschedule: { column: "a.needs_reschedule", type: "boolean" },
+      },
+      cursorColumn: "a.id",
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: "Invalid query", details: listQuery.errors });
+    }
+
+    const actor = await getAppointmentActor(req);
+    if (!actor) {
+      return res.status(403).json({ message: "Access Denied: Account not found or inactive" });
+    }
+
+    // ✅ Scope to the caller's own appointments unless they can read all of them
+    const where = [];
+    const params = [];
+    if (!actor.canReadAll) {
+      const scope = [];
+      if (actor.doctorId !== null) {
+        scope.push("a.doctor_id = ?");
+        params.push(actor.doctorId);
+      }
+      if (actor.patientProfileIds.length > 0) {
+        scope.push("a.patient_profile_id IN (?)");
+        params.push(actor.patientProfileIds);
+      }
+      if (scope.length === 0) {
+        return res.status(403).json({ message: "Access Denied: No doctor or patient profile linked to this account" });
+      }
+      where.push(`(${scope.join(" OR ")})`);
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `SELECT ${APPOINTMENT_COLUMNS}`,
+      from: APPOINTMENT_FROM,
+      where,
+      params,
+      listQuery,
+    });
+
+    return res.status(200).json({ data: rows, pagination });
+  } catch (error) {
+    console.error("Error fetching appointments:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get an appointment by ID
+ *     description: Available to the treating doctor, the patient and users with the `appointments:read` permission.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Appointment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *                 allowed_transitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [Completed, Cancelled, No Show]
+ *       403:
+ *         description: Not allowed to view this appointment
+ *       404:
+ *         description: Appointment not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getAppointmentById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const appointment = await findAppointment(id);
+    if (!appointment) {
+      return res.status(404).json({ error: "Appointment not found" });
+    }
+
+    const actor = await getAppointmentActor(req);
+    if (!actor) {
+      return res.status(403).json({ message: "Access Denied: Account not found or inactive" });
+    }
+
+    const { isDoctor, isPatient } = getRelation(actor, appointment);
+    if (!actor.canReadAll && !isDoctor && !isPatient) {
+      return res.status(403).json({ message: "Access Denied: Not your appointment" });
+    }
+
+    return res.status(200).json({
+      appointment,
+      allowed_transitions: getAllowedTransitions(appointment.status),
+    });
+  } catch (error) {
+    console.error(`Error fetching appointment (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/appointments/{id}/status:
+ *   patch:
+ *     summary: Change the status of an appointment
+ *     description: >
+ *       Allowed transitions are Pending → Confirmed | Cancelled and Confirmed → Completed | Cancelled | No Show.
+ *       Completed, Cancelled and No Show are final. Only the treating doctor (or a user with `appointments:manage`)
+ *       can confirm, complete or mark a no-show, and Completed / No Show can only be set once the slot has started.
+ *       The patient may cancel their own appointment. Cancelling returns any subscription benefit the booking used.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Confirmed, Completed, Cancelled, No Show]
+ *               reason:
+ *                 type: string
+ *                 description: Cancellation reason
+ *                 example: "Feeling better, no longer needed"
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Appointment marked as Confirmed
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid status, or the appointment has not started yet
+ *       403:
+ *         description: Not allowed to make this change
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       500:
+ *         description: Server error
+ */
+
+export const updateAppointmentStatus = async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body || {};
+  const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+  const settableStatuses = [...DOCTOR_ONLY_STATUSES, APPOINTMENT_STATUS.CANCELLED];
+  if (!settableStatuses.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${settableStatuses.join(", ")}` });
+  }
+  if (reason.length > 255) {
+    return res.status(400).json({ error: "reason must be at most 255 characters" });
+  }
+
+  let actor;
+  try {
+    actor = await getAppointmentActor(req);
+  } catch (error) {
+    console.error("Error resolving appointment access:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+  if (!actor) {
+    return res.status(403).json({ message: "Access Denied: Account not found or inactive" });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT a.*, TIMESTAMP(s.slot_date, s.slot_start_time) <= NOW() AS has_started
+       FROM appointments a
+       LEFT JOIN availability_slots s ON a.slot_id = s.id
+       WHERE a.id = ?
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Appointment not found" });
+    }
+
+    const appointment = rows[0];
+    const { isDoctor, isPatient } = getRelation(actor, appointment);
+    const allowed = DOCTOR_ONLY_STATUSES.includes(status)
+      ? actor.canManageAll || isDoctor
+      : actor.canManageAll || isDoctor || isPatient;
+    if (!allowed) {
+      await connection.rollback();
+      return res.status(403).json({ message: `Access Denied: You cannot mark this appointment as ${status}` });
+    }
+
+    if (!canTransition(appointment.status, status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `Cannot change an appointment from ${appointment.status} to ${status}`,
+        allowed_transitions: getAllowedTransitions(appointment.status),
+      });
+    }
+
+    if (AFTER_START_STATUSES.includes(status) && !appointment.has_started) {
+      await connection.rollback();
+      return res.status(400).json({ error: `An appointment can only be marked as ${status} once it has started` });
+    }
+
+    if (status === APPOINTMENT_STATUS.CANCELLED) {
+      await connection.query(
+        `UPDATE appointments
+         SET status = ?, status_updated_at = NOW(), cancelled_by = ?, cancellation_reason = ?
+         WHERE id = ?`,
+        [status, req.user.sub, reason || null, id]
+      );
+      // ✅ Give back the subscription benefit the booking consumed, if any
+      await releaseBenefit(connection, APPOINTMENT_BENEFIT_REFERENCE, id);
+    } else {
+      await connection.query(`UPDATE appointments SET status = ?, status_updated_at = NOW() WHERE id = ?`, [
+        status,
+        id,
+      ]);
+    }
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: `Appointment marked as ${status}`,
+      appointment: await findAppointment(id),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error updating appointment status (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   patch:
+ *     summary: Move an appointment to another slot
+ *     description: >
+ *       Moves a Pending or Confirmed appointment to another upcoming availability slot of the same doctor.
+ *       The slot must not already hold an active appointment, be held by a patient who is checking out, or fall
+ *       inside a blackout. The consultation fee and type are refreshed from the new slot's practice and mode.
+ *       Clears `needs_reschedule`. Allowed for the patient, the treating doctor and users with the
+ *       `appointments:manage` permission.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slot_id]
+ *             properties:
+ *               slot_id:
+ *                 type: integer
+ *                 example: 812
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Appointment rescheduled successfully
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: >
+ *           Invalid slot, slot belongs to another doctor, slot is in the past or inside a blackout, or its practice
+ *           is not taking bookings
+ *       403:
+ *         description: Not allowed to reschedule this appointment
+ *       404:
+ *         description: Appointment or slot not found
+ *       409:
+ *         description: Appointment is no longer active, or the slot is already booked or held
+ *       500:
+ *         description: Server error
+ */
+
+export const rescheduleAppointment = async (req, res) => {
+  const { id } = req.params;
+  const slotId = Number(req.body?.slot_id);
+
+  if (!Number.isInteger(slotId) || slotId < 1) {
+    return res.status(400).json({ error: "slot_id must be a positive integer" });
+  }
+
+  let actor;
+  try {
+    actor = await getAppointmentActor(req);
+  } catch (error) {
+    console.error("Error resolving appointment access:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+  if (!actor) {
+    return res.status(403).json({ message: "Access Denied: Account not found or inactive" });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(`SELECT * FROM appointments WHERE id = ? FOR UPDATE`, [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Appointment not found" });
+    }
+
+    const appointment = rows[0];
+    const { isDoctor, isPatient } = getRelation(actor, appointment);
+    if (!actor.canManageAll && !isDoctor && !isPatient) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: Not your appointment" });
+    }
+
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: `A ${appointment.status} appointment cannot be rescheduled` });
+    }
+
+    if (appointment.slot_id === slotId) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Appointment is already in this slot" });
+    }
+
+    // ✅ Lock the target slot so two reschedules cannot both take it
+    const [slotRows] = await connection.query(
+      `SELECT s.id, s.consultation_mode, dp.doctor_id, dp.consultation_fee,
+              TIMESTAMP(s.slot_date, s.slot_start_time) > NOW() AS is_upcoming
+       FROM availability_slots s
+       JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+       WHERE s.id = ?
+       FOR UPDATE`,
+      [slotId]
+    );
+    if (slotRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Availability slot not found" });
+    }
+
+    const slot = slotRows[0];
+    if (slot.doctor_id !== appointment.doctor_id) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Slot belongs to a different doctor" });
+    }
+    if (!slot.is_upcoming) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Slot has already started" });
+    }
+    if (await isSlotBlackedOut(slotId, connection)) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Doctor is unavailable during this slot" });
+    }
+    if (!(await isSlotPracticeActive(slotId, connection))) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Practice is not taking bookings" });
+    }
+    if (await isSlotTaken(connection, slotId, appointment.id)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Slot is already booked" });
+    }
+    if (await isSlotHeld(connection, slotId)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Slot is currently held by another patient" });
+    }
+
+    // ✅ The new slot may be at another practice or in another mode: bill and book it as that slot
+    await connection.query(
+      `UPDATE appointments
+       SET slot_id = ?, rescheduled_from_slot_id = ?, rescheduled_at = NOW(),
+           consultation_fee = ?, consultation_type = COALESCE(?, consultation_type),
+           needs_reschedule = 0, reschedule_reason = NULL, flagged_blackout_id = NULL
+       WHERE id = ?`,
+      [slotId, appointment.slot_id, slot.consultation_fee, slot.consultation_mode, id]
+    );
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: "Appointment rescheduled successfully",
+      appointment: await findAppointment(id),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error rescheduling appointment (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
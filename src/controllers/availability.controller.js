@@ -0,0 +1,150 @@
+import db from "../config/db.js";
+import config from "../config/config.js";
+import { generateSlots, regenerateScheduleSlots } from "../models/AvailabilitySlot.js";
+
+const MAX_DAYS_AHEAD = 90;
+
+
+/**
+ * @swagger
+ * /api/admin/availability-slots/generate:
+ *   post:
+ *     summary: Generate availability slots from doctor schedules
+ *     description: >
+ *       Materialises slots from active doctor schedules for today and the next `days_ahead` days using the configured
+ *       slot length and buffer (SLOT_LENGTH_MINUTES, SLOT_BUFFER_MINUTES). Existing slots are skipped, so the call is
+ *       safe to repeat. The same generation also runs daily in the background. Requires the `schedules:manage` permission.
+ *     tags:
+ *       - Availability
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days_ahead:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 90
+ *                 example: 14
+ *                 description: Defaults to SLOT_GENERATION_DAYS_AHEAD
+ *               schedule_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Only generate for these schedules
+ *     responses:
+ *       200:
+ *         description: Slots generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Availability slots generated
+ *                 days_ahead:
+ *                   type: integer
+ *                   example: 14
+ *                 created:
+ *                   type: integer
+ *                   example: 240
+ *       400:
+ *         description: Invalid days_ahead or schedule_ids
+ *       500:
+ *         description: Server error
+ */
+
+export const generateAvailabilitySlots = async (req, res) => {
+  const { days_ahead, schedule_ids } = req.body || {};
+  const daysAhead = days_ahead === undefined ? config.slotGeneration.daysAhead : Number(days_ahead);
+
+  if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > MAX_DAYS_AHEAD) {
+    return res.status(400).json({ error: `days_ahead must be an integer between 1 and ${MAX_DAYS_AHEAD}` });
+  }
+  if (
+    schedule_ids !== undefined &&
+    (!Array.isArray(schedule_ids) || !schedule_ids.every((id) => Number.isInteger(id) && id > 0))
+  ) {
+    return res.status(400).json({ error: "schedule_ids must be an array of positive integers" });
+  }
+
+  try {
+    const created = await generateSlots({ scheduleIds: schedule_ids || null, daysAhead });
+
+    return res.status(200).json({
+      message: "Availability slots generated",
+      days_ahead: daysAhead,
+      created,
+    });
+  } catch (error) {
+    console.error("Error generating availability slots:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/doctor-schedules/{id}/regenerate-slots:
+ *   post:
+ *     summary: Regenerate the future slots of a schedule
+ *     description: >
+ *       Deletes the schedule's upcoming slots that were never booked or held and generates them again from the
+ *       schedule's current definition. Booked slots are kept. Use after a schedule's times, mode or active flag change.
+ *       Requires the `schedules:manage` permission.
+ *     tags:
+ *       - Availability
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Doctor schedule ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Slots regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Schedule slots regenerated
+ *                 removed:
+ *                   type: integer
+ *                   example: 56
+ *                 created:
+ *                   type: integer
+ *                   example: 48
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+
+export const regenerateSlotsForSchedule = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await db.query(`SELECT id FROM doctor_schedules WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Doctor schedule not found" });
+    }
+
+    const { removed, created } = await regenerateScheduleSlots(rows[0].id);
+
+    return res.status(200).json({ message: "Schedule slots regenerated", removed, created });
+  } catch (error) {
+    console.error(`Error regenerating slots for schedule (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
@@ -0,0 +1,572 @@
+import db from "../config/db.js";
+import { getUserAppointmentIdentity } from "../models/Appointment.js";
+import { generateSlots } from "../models/AvailabilitySlot.js";
+import { applyBlackout, BLACKOUT_TYPES, blackoutRescheduleReason, liftBlackout } from "../models/Blackout.js";
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(:\d{2})?$/;
+
+// Accepts 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM[:SS]' and returns a MySQL DATETIME string.
+// A date-only end covers that whole day, so it becomes midnight of the next day.
+const toBoundary = (value, { isEnd }) => {
+  if (typeof value !== "string") return null;
+
+  if (DATE_ONLY.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (isNaN(date.getTime())) return null;
+    if (isEnd) date.setUTCDate(date.getUTCDate() + 1);
+    return `${date.toISOString().slice(0, 10)} 00:00:00`;
+  }
+
+  const match = value.match(DATE_TIME);
+  if (!match || isNaN(new Date(`${match[1]}T${match[2]}:00Z`).getTime())) return null;
+  return `${match[1]} ${match[2]}${match[3] || ":00"}`;
+};
+
+// Validates the window, type and reason of a blackout request body
+const parseBlackoutInput = (body) => {
+  const errors = [];
+  const startAt = toBoundary(body.start_at, { isEnd: false });
+  const endAt = toBoundary(body.end_at, { isEnd: true });
+
+  if (!startAt) errors.push("start_at must be a date (YYYY-MM-DD) or date-time (YYYY-MM-DD HH:MM)");
+  if (!endAt) errors.push("end_at must be a date (YYYY-MM-DD) or date-time (YYYY-MM-DD HH:MM)");
+  if (startAt && endAt && startAt >= endAt) errors.push("end_at must be after start_at");
+
+  const blackoutType = body.blackout_type ?? "leave";
+  if (!BLACKOUT_TYPES.includes(blackoutType)) {
+    errors.push(`blackout_type must be one of ${BLACKOUT_TYPES.join(", ")}`);
+  }
+
+  const reason = typeof body.reason === "string" ? body.reason.trim() : null;
+  if (reason && reason.length > 255) errors.push("reason must be at most 255 characters");
+
+  return { errors, startAt, endAt, blackoutType, reason: reason || null };
+};
+
+// Inserts a blackout for the given scope and applies it to existing slots and appointments
+const createBlackout = async (scope, input, userId) => {
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.query(
+      `INSERT INTO doctor_blackouts
+         (doctor_id, clinic_id, hospital_department_id, blackout_type, start_at, end_at, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        scope.doctor_id ?? null,
+        scope.clinic_id ?? null,
+        scope.hospital_department_id ?? null,
+        input.blackoutType,
+        input.startAt,
+        input.endAt,
+        input.reason,
+        userId,
+      ]
+    );
+
+    const { removedSlots, flaggedAppointments } = await applyBlackout(
+      connection,
+      result.insertId,
+      blackoutRescheduleReason(input.reason)
+    );
+
+    const [rows] = await connection.query(`SELECT * FROM doctor_blackouts WHERE id = ?`, [result.insertId]);
+    await connection.commit();
+
+    return { blackout: rows[0], removedSlots, flaggedAppointments };
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+// Deletes a blackout, lifts the reschedule flags it raised and regenerates the slots it suppressed
+const deleteBlackout = async (blackoutId) => {
+  let connection;
+  let lifted;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    lifted = await liftBlackout(connection, blackoutId);
+    await connection.query(`DELETE FROM doctor_blackouts WHERE id = ?`, [blackoutId]);
+    await connection.commit();
+  } catch (error) {
+    if (connection) await connection.rollback();
+    throw error;
+  } finally {
+    if (connection) connection.release();
+  }
+
+  const createdSlots = await generateSlots({ scheduleIds: lifted.scheduleIds });
+  return { clearedAppointments: lifted.clearedAppointments, createdSlots };
+};
+
+const listBlackouts = async ({ doctorId, clinicId, departmentId, from, to }) => {
+  const conditions = [];
+  const params = [];
+
+  if (doctorId) {
+    conditions.push("doctor_id = ?");
+    params.push(doctorId);
+  }
+  if (clinicId) {
+    conditions.push("clinic_id = ?");
+    params.push(clinicId);
+  }
+  if (departmentId) {
+    conditions.push("hospital_department_id = ?");
+    params.push(departmentId);
+  }
+  if (from) {
+    conditions.push("end_at > ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("start_at < ?");
+    params.push(to);
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM doctor_blackouts
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY start_at ASC`,
+    params
+  );
+  return rows;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorBlackout:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctor_id:
+ *           type: integer
+ *           nullable: true
+ *         clinic_id:
+ *           type: integer
+ *           nullable: true
+ *         hospital_department_id:
+ *           type: integer
+ *           nullable: true
+ *         blackout_type:
+ *           type: string
+ *           enum: [leave, holiday, other]
+ *         start_at:
+ *           type: string
+ *           format: date-time
+ *         end_at:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *     BlackoutInput:
+ *       type: object
+ *       required: [start_at, end_at]
+ *       properties:
+ *         start_at:
+ *           type: string
+ *           example: "2026-12-24"
+ *           description: Date (start of day) or date-time "YYYY-MM-DD HH:MM"
+ *         end_at:
+ *           type: string
+ *           example: "2026-12-26"
+ *           description: Date (whole day included) or date-time "YYYY-MM-DD HH:MM"
+ *         blackout_type:
+ *           type: string
+ *           enum: [leave, holiday, other]
+ *           default: leave
+ *         reason:
+ *           type: string
+ *           example: "Christmas holidays"
+ */
+
+
+/**
+ * @swagger
+ * /api/admin/blackouts:
+ *   get:
+ *     summary: List doctor, clinic and department blackouts
+ *     description: Requires the `schedules:manage` permission.
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: clinic_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: hospital_department_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only blackouts ending after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only blackouts starting before the end of this date
+ *     responses:
+ *       200:
+ *         description: Blackouts ordered by start
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoctorBlackout'
+ *       400:
+ *         description: Invalid date filter
+ *       500:
+ *         description: Server error
+ */
+
+export const getBlackouts = async (req, res) => {
+  const { doctor_id, clinic_id, hospital_department_id, from, to } = req.query;
+  const fromBoundary = from === undefined ? null : toBoundary(from, { isEnd: false });
+  const toBoundaryValue = to === undefined ? null : toBoundary(to, { isEnd: true });
+
+  if ((from !== undefined && !fromBoundary) || (to !== undefined && !toBoundaryValue)) {
+    return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+  }
+
+  try {
+    const data = await listBlackouts({
+      doctorId: doctor_id,
+      clinicId: clinic_id,
+      departmentId: hospital_department_id,
+      from: fromBoundary,
+      to: toBoundaryValue,
+    });
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error("Error fetching blackouts:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/blackouts:
+ *   post:
+ *     summary: Block out time for a doctor, clinic or hospital department
+ *     description: >
+ *       Exactly one of `doctor_id`, `clinic_id` or `hospital_department_id` sets the scope. Free upcoming slots inside the
+ *       window are removed, future slot generation skips it, and Pending / Confirmed appointments inside it are flagged
+ *       with `needs_reschedule`. Requires the `schedules:manage` permission.
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BlackoutInput'
+ *               - type: object
+ *                 properties:
+ *                   doctor_id:
+ *                     type: integer
+ *                   clinic_id:
+ *                     type: integer
+ *                   hospital_department_id:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Blackout created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Blackout created successfully
+ *                 blackout:
+ *                   $ref: '#/components/schemas/DoctorBlackout'
+ *                 removed_slots:
+ *                   type: integer
+ *                   example: 32
+ *                 flagged_appointments:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Validation failed
+ *       500:
+ *         description: Server error
+ */
+
+export const createAdminBlackout = async (req, res) => {
+  const body = req.body || {};
+  const scopeKeys = ["doctor_id", "clinic_id", "hospital_department_id"].filter(
+    (key) => body[key] !== undefined && body[key] !== null
+  );
+
+  const input = parseBlackoutInput(body);
+  if (scopeKeys.length !== 1) {
+    input.errors.unshift("Provide exactly one of doctor_id, clinic_id or hospital_department_id");
+  } else if (!Number.isInteger(body[scopeKeys[0]]) || body[scopeKeys[0]] < 1) {
+    input.errors.unshift(`${scopeKeys[0]} must be a positive integer`);
+  }
+  if (input.errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: input.errors });
+  }
+
+  try {
+    const scope = { [scopeKeys[0]]: body[scopeKeys[0]] };
+    const { blackout, removedSlots, flaggedAppointments } = await createBlackout(scope, input, req.user.sub);
+
+    return res.status(201).json({
+      message: "Blackout created successfully",
+      blackout,
+      removed_slots: removedSlots,
+      flagged_appointments: flaggedAppointments,
+    });
+  } catch (error) {
+    if (error.code === "ER_NO_REFERENCED_ROW_2") {
+      return res.status(400).json({ error: `${scopeKeys[0]} does not exist` });
+    }
+    console.error("Error creating blackout:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/blackouts/{id}:
+ *   delete:
+ *     summary: Remove a blackout
+ *     description: >
+ *       Deletes the blackout, clears the reschedule flag on appointments it flagged and regenerates the slots it
+ *       suppressed. Appointments that still fall inside another blackout stay flagged. Requires the
+ *       `schedules:manage` permission.
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Blackout removed
+ *       404:
+ *         description: Blackout not found
+ *       500:
+ *         description: Server error
+ */
+
+export const deleteAdminBlackout = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await db.query(`SELECT id FROM doctor_blackouts WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Blackout not found" });
+    }
+
+    const { clearedAppointments, createdSlots } = await deleteBlackout(rows[0].id);
+
+    return res.status(200).json({
+      message: "Blackout removed successfully",
+      cleared_appointments: clearedAppointments,
+      created_slots: createdSlots,
+    });
+  } catch (error) {
+    console.error(`Error deleting blackout (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+// Resolves the doctor record of the logged-in user, or sends 403
+const requireDoctorId = async (req, res) => {
+  const { doctorId } = await getUserAppointmentIdentity(req.user.sub);
+  if (doctorId === null) {
+    res.status(403).json({ message: "Access Denied: Only doctors can manage their own leave" });
+  }
+  return doctorId;
+};
+
+
+/**
+ * @swagger
+ * /api/doctor/blackouts:
+ *   get:
+ *     summary: List the logged-in doctor's leave
+ *     description: Returns the doctor's own blackouts. Clinic and department holidays are listed under the admin endpoint.
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Doctor's blackouts ordered by start
+ *       403:
+ *         description: Caller is not a doctor
+ *       500:
+ *         description: Server error
+ */
+
+export const getMyBlackouts = async (req, res) => {
+  try {
+    const doctorId = await requireDoctorId(req, res);
+    if (doctorId === null) return;
+
+    const data = await listBlackouts({ doctorId });
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error("Error fetching doctor blackouts:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor/blackouts:
+ *   post:
+ *     summary: Add leave for the logged-in doctor
+ *     description: >
+ *       Blocks the window across all of the doctor's practices. Free slots inside it are removed and booked
+ *       appointments inside it are flagged with `needs_reschedule`.
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BlackoutInput'
+ *     responses:
+ *       201:
+ *         description: Leave added
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Caller is not a doctor
+ *       500:
+ *         description: Server error
+ */
+
+export const createMyBlackout = async (req, res) => {
+  const input = parseBlackoutInput(req.body || {});
+  if (input.errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: input.errors });
+  }
+
+  try {
+    const doctorId = await requireDoctorId(req, res);
+    if (doctorId === null) return;
+
+    const { blackout, removedSlots, flaggedAppointments } = await createBlackout(
+      { doctor_id: doctorId },
+      input,
+      req.user.sub
+    );
+
+    return res.status(201).json({
+      message: "Leave added successfully",
+      blackout,
+      removed_slots: removedSlots,
+      flagged_appointments: flaggedAppointments,
+    });
+  } catch (error) {
+    console.error("Error creating doctor blackout:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor/blackouts/{id}:
+ *   delete:
+ *     summary: Remove leave of the logged-in doctor
+ *     tags:
+ *       - Blackouts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave removed
+ *       403:
+ *         description: Caller is not a doctor
+ *       404:
+ *         description: Blackout not found for this doctor
+ *       500:
+ *         description: Server error
+ */
+
+export const deleteMyBlackout = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const doctorId = await requireDoctorId(req, res);
+    if (doctorId === null) return;
+
+    const [rows] = await db.query(`SELECT id FROM doctor_blackouts WHERE id = ? AND doctor_id = ?`, [id, doctorId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Blackout not found" });
+    }
+
+    const { clearedAppointments, createdSlots } = await deleteBlackout(rows[0].id);
+
+    return res.status(200).json({
+      message: "Leave removed successfully",
+      cleared_appointments: clearedAppointments,
+      created_slots: createdSlots,
+    });
+  } catch (error) {
+    console.error(`Error deleting doctor blackout (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
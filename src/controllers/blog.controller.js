@@ -1,6 +1,7 @@
 import db from '../config/db.js'
 import cloudinary from '../utils/cloudinary.config.js';
 import streamifier from 'streamifier';
+import { fetchPage, parseListQuery } from '../utils/listQuery.js';
 
 
 /**
@@ -9,25 +10,80 @@ import streamifier from 'streamifier';
  *   get:
  *     summary: Get all blogs
  *     tags: [Blogs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [published_at, -published_at, created_at, -created_at, title, -title, id, -id]
+ *           default: -published_at
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by title (partial match)
+ *       - in: query
+ *         name: published_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *       - in: query
+ *         name: published_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
  *     responses:
  *       200:
- *         description: List of blogs
+ *         description: A page of blogs with their images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid query parameters
  *       500:
  *         description: Server error
  */
 
 export const getAllBlogs = async (req, res) => {
   try {
-    // Fetch all blogs
-    const [blogs] = await db.query(
-      `SELECT * FROM blogs ORDER BY published_at DESC`
-    );
+    const listQuery = parseListQuery(req.query, {
+      sortable: { published_at: 'published_at', created_at: 'created_at', title: 'title', id: 'id' },
+      defaultSort: '-published_at',
+      filters: {
+        title: { column: 'title' },
+        published_from: { column: 'published_at', type: 'date', op: 'gte' },
+        published_to: { column: 'published_at', type: 'date', op: 'lte' },
+      },
+      cursorColumn: 'id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
+
+    const { rows: blogs, pagination } = await fetchPage(db, {
+      select: 'SELECT *',
+      from: 'FROM blogs',
+      listQuery,
+    });
 
     if (blogs.length === 0) {
-      return res.status(200).json({
-        message: "No blogs available at the moment.",
-        blogs: [],
-      });
+      return res.status(200).json({ data: [], pagination });
     }
 
     // Get all images for these blogs
@@ -55,7 +111,7 @@ export const getAllBlogs = async (req, res) => {
       images: imagesByBlog[blog.id] || [],
     }));
 
-    res.status(200).json({ blogs: blogsWithImages });
+    res.status(200).json({ data: blogsWithImages, pagination });
   } catch (err) {
     console.error("Error fetching blogs:", err);
     res.status(500).json({ error: err.message });
@@ -0,0 +1,542 @@
+import db from "../config/db.js";
+import config from "../config/config.js";
+import { APPOINTMENT_BENEFIT_REFERENCE, APPOINTMENT_STATUS, isSlotTaken } from "../models/Appointment.js";
+import { isSlotBlackedOut, SLOT_BLACKED_OUT } from "../models/Blackout.js";
+import { isSlotPracticeActive, PRACTICE_FACILITY_ACTIVE } from "../models/DoctorPractice.js";
+import { getActiveProfileId } from "../models/PatientProfile.js";
+import { consumeBenefit } from "../models/Entitlement.js";
+import { expireStaleHolds, HOLD_STATUS, releaseHoldsForProfile } from "../models/SlotHold.js";
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlotHold:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         slot_id:
+ *           type: integer
+ *         patient_profile_id:
+ *           type: integer
+ *         held_by:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [held, confirmed, released, expired]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         appointment_id:
+ *           type: integer
+ *           nullable: true
+ */
+
+
+/**
+ * @swagger
+ * /api/doctors/{doctorId}/available-slots:
+ *   get:
+ *     summary: List bookable slots of a doctor
+ *     description: Upcoming availability slots across the doctor's practices that have no active appointment, no live hold and do not fall inside a blackout. Practices that have ended or whose facility is deactivated are left out.
+ *     tags:
+ *       - Booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: doctorId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *       - in: query
+ *         name: date_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *       - in: query
+ *         name: consultation_mode
+ *         schema:
+ *           type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Bookable slots ordered by start time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 12
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid date filter
+ *       500:
+ *         description: Server error
+ */
+
+export const getAvailableSlots = async (req, res) => {
+  const { doctorId } = req.params;
+  const { date_from, date_to, consultation_mode } = req.query;
+
+  for (const [name, value] of Object.entries({ date_from, date_to })) {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `${name} must be a valid date` });
+    }
+  }
+
+  try {
+    const conditions = [
+      "dp.doctor_id = ?",
+      "dp.is_active = 1",
+      PRACTICE_FACILITY_ACTIVE,
+      "TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()",
+      "a.id IS NULL",
+      "h.id IS NULL",
+      `NOT ${SLOT_BLACKED_OUT}`,
+    ];
+    const params = [doctorId];
+
+    if (date_from) {
+      conditions.push("s.slot_date >= ?");
+      params.push(date_from);
+    }
+    if (date_to) {
+      conditions.push("s.slot_date <= ?");
+      params.push(date_to);
+    }
+    if (consultation_mode) {
+      conditions.push("s.consultation_mode = ?");
+      params.push(consultation_mode);
+    }
+
+    const [rows] = await db.query(
+      `SELECT
+         s.id AS slot_id,
+         s.doctor_practice_id,
+         s.slot_date,
+         s.slot_start_time,
+         s.slot_end_time,
+         s.consultation_mode
+       FROM availability_slots s
+       JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+       LEFT JOIN appointments a ON a.active_slot_id = s.id
+       LEFT JOIN slot_holds h ON h.active_slot_id = s.id AND h.expires_at > NOW()
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY s.slot_date ASC, s.slot_start_time ASC`,
+      params
+    );
+
+    return res.status(200).json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error(`Error fetching available slots (Doctor ID: ${doctorId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/slots/{slotId}/hold:
+ *   post:
+ *     summary: Hold a slot while the patient completes the booking
+ *     description: >
+ *       Reserves the slot for one of the caller's patient profiles for a short time (SLOT_HOLD_MINUTES, default 10).
+ *       Without `patient_profile_id` the caller's active profile is used (see PATCH /api/me/active-profile).
+ *       Any other live hold of the same patient profile is released. Expired holds are released automatically.
+ *     tags:
+ *       - Booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: slotId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               patient_profile_id:
+ *                 type: integer
+ *                 example: 7
+ *     responses:
+ *       201:
+ *         description: Slot held
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Slot held successfully
+ *                 hold:
+ *                   $ref: '#/components/schemas/SlotHold'
+ *       400:
+ *         description: >
+ *           Invalid patient profile, the slot has already started, the doctor is on leave, or the practice has ended
+ *           or its facility is deactivated
+ *       403:
+ *         description: Patient profile does not belong to the caller
+ *       404:
+ *         description: Slot not found
+ *       409:
+ *         description: Slot is already booked or held by someone else
+ *       500:
+ *         description: Server error
+ */
+
+export const holdSlot = async (req, res) => {
+  const { slotId } = req.params;
+  // `sub` is a string in tokens from most issuers; the ids it is compared with are numbers
+  const userId = Number(req.user.sub);
+  const requestedProfileId = req.body?.patient_profile_id;
+
+  let patientProfileId = null;
+  if (requestedProfileId !== undefined && requestedProfileId !== null) {
+    patientProfileId = Number(requestedProfileId);
+    if (!Number.isInteger(patientProfileId) || patientProfileId < 1) {
+      return res.status(400).json({ error: "patient_profile_id must be a positive integer" });
+    }
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    if (patientProfileId === null) {
+      patientProfileId = await getActiveProfileId(userId, connection);
+      if (!patientProfileId) {
+        await connection.rollback();
+        return res.status(400).json({ error: "patient_profile_id is required when you have no active patient profile" });
+      }
+    }
+
+    const [profileRows] = await connection.query(
+      `SELECT id, user_id FROM patient_profiles WHERE id = ? AND removed_at IS NULL`,
+      [patientProfileId]
+    );
+    if (profileRows.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Patient profile not found" });
+    }
+    if (profileRows[0].user_id !== userId) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: Patient profile does not belong to you" });
+    }
+
+    // ✅ Lock the slot row so concurrent holds and bookings for it are serialised
+    const [slotRows] = await connection.query(
+      `SELECT id, TIMESTAMP(slot_date, slot_start_time) > NOW() AS is_upcoming
+       FROM availability_slots WHERE id = ? FOR UPDATE`,
+      [slotId]
+    );
+    if (slotRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Availability slot not found" });
+    }
+    if (!slotRows[0].is_upcoming) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Slot has already started" });
+    }
+    if (await isSlotBlackedOut(slotId, connection)) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Doctor is unavailable during this slot" });
+    }
+    if (!(await isSlotPracticeActive(slotId, connection))) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Practice is not taking bookings" });
+    }
+
+    if (await isSlotTaken(connection, slotId)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Slot is already booked" });
+    }
+
+    await expireStaleHolds(connection, slotId);
+    await releaseHoldsForProfile(connection, patientProfileId);
+
+    const [result] = await connection.query(
+      `INSERT INTO slot_holds (slot_id, patient_profile_id, held_by, status, expires_at)
+       VALUES (?, ?, ?, ?, NOW() + INTERVAL ? MINUTE)`,
+      [slotId, patientProfileId, userId, HOLD_STATUS.HELD, config.slotHoldMinutes]
+    );
+
+    const [holdRows] = await connection.query(`SELECT * FROM slot_holds WHERE id = ?`, [result.insertId]);
+    await connection.commit();
+
+    return res.status(201).json({ message: "Slot held successfully", hold: holdRows[0] });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    // Unique active hold per slot: someone else holds it
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slot is currently held by another patient" });
+    }
+    console.error(`Error holding slot (Slot ID: ${slotId}, User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/slot-holds/{id}/confirm:
+ *   post:
+ *     summary: Confirm a held slot as an appointment
+ *     description: >
+ *       Books the held slot as a Pending appointment for the hold's patient profile. When `benefit_type` is given,
+ *       one unit of that benefit is consumed from the caller's active subscriptions and the booking fails if none is left.
+ *     tags:
+ *       - Booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Slot hold ID
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               consultation_type:
+ *                 type: string
+ *                 description: Defaults to the slot's consultation mode
+ *                 example: "Video"
+ *               patient_symptoms:
+ *                 type: string
+ *                 example: "Fever and headache for 3 days"
+ *               benefit_type:
+ *                 type: string
+ *                 example: "consultation"
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Appointment booked successfully
+ *                 appointment:
+ *                   $ref: '#/components/schemas/Appointment'
+ *                 benefit_usage:
+ *                   type: object
+ *                   nullable: true
+ *       400:
+ *         description: The practice has ended or its facility is deactivated since the hold was taken
+ *       403:
+ *         description: Hold belongs to another user
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold is no longer active, slot already booked, or no remaining entitlement
+ *       410:
+ *         description: Hold has expired
+ *       500:
+ *         description: Server error
+ */
+
+export const confirmSlotHold = async (req, res) => {
+  const { id } = req.params;
+  const userId = Number(req.user.sub);
+  const { consultation_type, patient_symptoms, benefit_type } = req.body || {};
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [holdRows] = await connection.query(
+      `SELECT *, expires_at > NOW() AS is_live FROM slot_holds WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    if (holdRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Slot hold not found" });
+    }
+
+    const hold = holdRows[0];
+    if (hold.held_by !== userId) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: Slot hold belongs to another user" });
+    }
+    if (hold.status !== HOLD_STATUS.HELD) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Slot hold is ${hold.status}` });
+    }
+    if (!hold.is_live) {
+      await connection.query(`UPDATE slot_holds SET status = ? WHERE id = ?`, [HOLD_STATUS.EXPIRED, id]);
+      await connection.commit();
+      return res.status(410).json({ error: "Slot hold has expired, please hold the slot again" });
+    }
+
+    const [slotRows] = await connection.query(
+      `SELECT s.id, s.consultation_mode, dp.doctor_id, dp.consultation_fee
+       FROM availability_slots s
+       JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+       WHERE s.id = ?
+       FOR UPDATE`,
+      [hold.slot_id]
+    );
+    const slot = slotRows[0];
+
+    if (!(await isSlotPracticeActive(slot.id, connection))) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Practice is not taking bookings" });
+    }
+    if (await isSlotTaken(connection, slot.id)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Slot is already booked" });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO appointments
+         (doctor_id, slot_id, patient_profile_id, status, consultation_type, consultation_fee, patient_symptoms)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        slot.doctor_id,
+        slot.id,
+        hold.patient_profile_id,
+        APPOINTMENT_STATUS.PENDING,
+        consultation_type || slot.consultation_mode,
+        slot.consultation_fee,
+        patient_symptoms || null,
+      ]
+    );
+    const appointmentId = result.insertId;
+
+    // ✅ Pay for the booking with a subscription benefit when requested
+    let benefitUsage = null;
+    if (benefit_type) {
+      benefitUsage = await consumeBenefit(connection, {
+        userId,
+        benefitType: benefit_type,
+        referenceType: APPOINTMENT_BENEFIT_REFERENCE,
+        referenceId: appointmentId,
+      });
+      if (!benefitUsage) {
+        await connection.rollback();
+        return res.status(409).json({ error: `No remaining "${benefit_type}" entitlement on your active subscriptions` });
+      }
+    }
+
+    await connection.query(`UPDATE slot_holds SET status = ?, appointment_id = ? WHERE id = ?`, [
+      HOLD_STATUS.CONFIRMED,
+      appointmentId,
+      id,
+    ]);
+
+    const [appointmentRows] = await connection.query(`SELECT * FROM appointments WHERE id = ?`, [appointmentId]);
+    await connection.commit();
+
+    return res.status(201).json({
+      message: "Appointment booked successfully",
+      appointment: appointmentRows[0],
+      benefit_usage: benefitUsage,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    // Unique active appointment per slot: a concurrent booking won
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "Slot is already booked" });
+    }
+    console.error(`Error confirming slot hold (ID: ${id}, User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/slot-holds/{id}:
+ *   delete:
+ *     summary: Release a slot hold
+ *     description: Gives up a live hold so the slot becomes bookable again.
+ *     tags:
+ *       - Booking
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Slot hold ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Hold released
+ *       403:
+ *         description: Hold belongs to another user
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         description: Hold is no longer active
+ *       500:
+ *         description: Server error
+ */
+
+export const releaseSlotHold = async (req, res) => {
+  const { id } = req.params;
+  const userId = Number(req.user.sub);
+
+  try {
+    const [rows] = await db.query(`SELECT * FROM slot_holds WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Slot hold not found" });
+    }
+
+    const hold = rows[0];
+    if (hold.held_by !== userId) {
+      return res.status(403).json({ message: "Access Denied: Slot hold belongs to another user" });
+    }
+
+    const [result] = await db.query(`UPDATE slot_holds SET status = ? WHERE id = ? AND status = ?`, [
+      HOLD_STATUS.RELEASED,
+      id,
+      HOLD_STATUS.HELD,
+    ]);
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ error: `Slot hold is ${hold.status}` });
+    }
+
+    return res.status(200).json({ message: "Slot hold released successfully" });
+  } catch (error) {
+    console.error(`Error releasing slot hold (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
@@ -0,0 +1,849 @@
+import config from "../config/config.js";
+import db from "../config/db.js";
+import {
+  PARTNER_STATUS,
+  canTransition,
+  findPartnerByGstin,
+  getAllowedTransitions,
+  getCommissionHistory,
+  getEffectiveCommission,
+} from "../models/ChannelPartner.js";
+import { validateGstin } from "../utils/gstin.js";
+import { validateFields } from "../utils/validation.js";
+
+const PARTNER_COLUMNS = `
+  cpp.id,
+  cpp.user_id,
+  u.full_name,
+  u.email,
+  u.phone,
+  cpp.company_name,
+  cpp.gst_number,
+  cpp.address,
+  cpp.status,
+  cpp.status_reason,
+  cpp.status_changed_by,
+  cpp.status_changed_at,
+  cpp.approved_at,
+  cpp.commission_percentage,
+  cpp.total_referrals,
+  cpp.total_commission_earned,
+  cpp.created_at,
+  cpp.updated_at`;
+
+const PARTNER_FROM = `
+  FROM channel_partner_profiles cpp
+  JOIN users u ON cpp.user_id = u.id`;
+
+const APPLICATION_SCHEMA = {
+  company_name: { type: "string", required: true, maxLength: 255 },
+  gst_number: { type: "string", required: true, maxLength: 20 },
+  address: { type: "string", required: true, maxLength: 500 },
+};
+
+// Fields a partner can no longer change themselves once an admin has approved them
+const LOCKED_AFTER_APPROVAL = ["company_name", "gst_number"];
+
+const getPartner = async (where, params, executor = db) => {
+  const [rows] = await executor.query(`SELECT ${PARTNER_COLUMNS} ${PARTNER_FROM} WHERE ${where}`, params);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Validates the GSTIN in `values` (if sent), normalizes it in place and checks no other partner uses it.
+// Returns an error response body and status, or null when it is fine.
+const checkGstin = async (values, excludeId, executor = db) => {
+  if (values.gst_number === undefined) return null;
+
+  const result = validateGstin(values.gst_number);
+  if (!result.valid) {
+    return { status: 400, body: { error: "Validation failed", details: [`gst_number: ${result.error}`] } };
+  }
+  values.gst_number = result.gstin;
+
+  const existing = await findPartnerByGstin(result.gstin, excludeId, executor);
+  if (existing) {
+    return { status: 409, body: { error: "This GSTIN is already registered to another channel partner" } };
+  }
+  return null;
+};
+
+// Maps a unique key violation on channel_partner_profiles to the same 409 the checks above return,
+// for concurrent requests that both passed them. Returns null for any other error.
+const duplicatePartnerError = (error) => {
+  if (error.code !== "ER_DUP_ENTRY") return null;
+  return error.message.includes("uq_channel_partner_profiles_user")
+    ? { error: "You already have a channel partner profile" }
+    : { error: "This GSTIN is already registered to another channel partner" };
+};
+
+// Adds a history entry effective today, replacing one already added today, and makes it the current rate
+const setCommissionFromToday = async (connection, partnerId, commissionPercentage, note, userId) => {
+  await connection.query(
+    `INSERT INTO channel_partner_commission_rates (partner_id, commission_percentage, effective_from, note, created_by)
+     VALUES (?, ?, CURDATE(), ?, ?)
+     ON DUPLICATE KEY UPDATE commission_percentage = VALUES(commission_percentage), note = VALUES(note),
+       created_by = VALUES(created_by)`,
+    [partnerId, commissionPercentage, note, userId]
+  );
+  await connection.query(`UPDATE channel_partner_profiles SET commission_percentage = ? WHERE id = ?`, [
+    commissionPercentage,
+    partnerId,
+  ]);
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChannelPartner:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         company_name:
+ *           type: string
+ *           example: ABC Pvt Ltd
+ *         gst_number:
+ *           type: string
+ *           example: 27AAPFU0939F1ZV
+ *         address:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *         status_reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the partner was rejected or suspended
+ *         status_changed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         approved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         commission_percentage:
+ *           type: number
+ *           nullable: true
+ *           description: Commission percentage in effect today
+ *         total_referrals:
+ *           type: integer
+ *         total_commission_earned:
+ *           type: number
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     CommissionRate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         commission_percentage:
+ *           type: number
+ *           example: 12.5
+ *         effective_from:
+ *           type: string
+ *           format: date
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         created_by_name:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+
+/**
+ * @swagger
+ * /api/me/channel-partner:
+ *   get:
+ *     summary: The caller's channel partner profile and application status
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Channel partner profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChannelPartner'
+ *       404:
+ *         description: The caller has not applied
+ *       500:
+ *         description: Server error
+ */
+
+export const getMyPartnerProfile = async (req, res) => {
+  try {
+    const partner = await getPartner("cpp.user_id = ?", [req.user.sub]);
+    if (!partner) {
+      return res.status(404).json({ error: "You have not applied to be a channel partner" });
+    }
+    return res.status(200).json(partner);
+  } catch (error) {
+    console.error("Error fetching channel partner profile:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/channel-partner:
+ *   post:
+ *     summary: Apply to become a channel partner
+ *     description: >
+ *       Creates the caller's channel partner profile in the pending status for an admin to approve.
+ *       The GSTIN is checked for format, state code and check character, and must not belong to another partner.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [company_name, gst_number, address]
+ *             properties:
+ *               company_name:
+ *                 type: string
+ *                 example: ABC Pvt Ltd
+ *               gst_number:
+ *                 type: string
+ *                 example: 27AAPFU0939F1ZV
+ *               address:
+ *                 type: string
+ *                 example: 123 Main Street, Mumbai
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Validation failed or invalid GSTIN
+ *       409:
+ *         description: The caller already has a profile, or the GSTIN is registered to another partner
+ *       500:
+ *         description: Server error
+ */
+
+export const applyAsChannelPartner = async (req, res) => {
+  const { errors, values } = validateFields(req.body, APPLICATION_SCHEMA);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const existing = await getPartner("cpp.user_id = ?", [req.user.sub]);
+    if (existing) {
+      return res.status(409).json({ error: "You already have a channel partner profile", status: existing.status });
+    }
+
+    const gstinError = await checkGstin(values, null);
+    if (gstinError) {
+      return res.status(gstinError.status).json(gstinError.body);
+    }
+
+    const [result] = await db.query(`INSERT INTO channel_partner_profiles SET ?`, {
+      ...values,
+      user_id: req.user.sub,
+      status: PARTNER_STATUS.PENDING,
+    });
+
+    return res.status(201).json({
+      message: "Application submitted for approval",
+      partner: await getPartner("cpp.id = ?", [result.insertId]),
+    });
+  } catch (error) {
+    const duplicate = duplicatePartnerError(error);
+    if (duplicate) {
+      return res.status(409).json(duplicate);
+    }
+    console.error("Error creating channel partner application:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/channel-partner:
+ *   put:
+ *     summary: Update the caller's channel partner application
+ *     description: >
+ *       Company name and GSTIN can only be changed before approval. Editing a rejected application
+ *       resubmits it as pending.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               company_name:
+ *                 type: string
+ *               gst_number:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation failed or invalid GSTIN
+ *       404:
+ *         description: The caller has not applied
+ *       409:
+ *         description: The field is locked after approval, or the GSTIN is registered to another partner
+ *       500:
+ *         description: Server error
+ */
+
+export const updateMyPartnerApplication = async (req, res) => {
+  const { errors, values } = validateFields(req.body, APPLICATION_SCHEMA, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: "Validation failed", details: ["No fields to update"] });
+  }
+
+  try {
+    const partner = await getPartner("cpp.user_id = ?", [req.user.sub]);
+    if (!partner) {
+      return res.status(404).json({ error: "You have not applied to be a channel partner" });
+    }
+
+    const underReview = [PARTNER_STATUS.PENDING, PARTNER_STATUS.REJECTED].includes(partner.status);
+    const locked = LOCKED_AFTER_APPROVAL.filter((field) => values[field] !== undefined);
+    if (!underReview && locked.length > 0) {
+      return res.status(409).json({
+        error: `${locked.join(", ")} cannot be changed after approval; contact support`,
+        status: partner.status,
+      });
+    }
+
+    const gstinError = await checkGstin(values, partner.id);
+    if (gstinError) {
+      return res.status(gstinError.status).json(gstinError.body);
+    }
+
+    const changes = { ...values };
+    if (partner.status === PARTNER_STATUS.REJECTED) {
+      Object.assign(changes, { status: PARTNER_STATUS.PENDING, status_reason: null });
+    }
+    await db.query(`UPDATE channel_partner_profiles SET ? WHERE id = ?`, [changes, partner.id]);
+
+    return res.status(200).json({
+      message:
+        partner.status === PARTNER_STATUS.REJECTED
+          ? "Application resubmitted for approval"
+          : "Channel partner profile updated successfully",
+      partner: await getPartner("cpp.id = ?", [partner.id]),
+    });
+  } catch (error) {
+    const duplicate = duplicatePartnerError(error);
+    if (duplicate) {
+      return res.status(409).json(duplicate);
+    }
+    console.error("Error updating channel partner application:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}:
+ *   get:
+ *     summary: Channel partner details with commission history
+ *     description: Requires the `partners:read` permission.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Channel partner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ChannelPartner'
+ *                 - type: object
+ *                   properties:
+ *                     allowed_transitions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [suspended]
+ *                     commission_history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CommissionRate'
+ *       404:
+ *         description: Channel partner not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getChannelPartnerById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const partner = await getPartner("cpp.id = ?", [id]);
+    if (!partner) {
+      return res.status(404).json({ error: "Channel partner not found" });
+    }
+
+    return res.status(200).json({
+      ...partner,
+      allowed_transitions: getAllowedTransitions(partner.status),
+      commission_history: await getCommissionHistory(partner.id),
+    });
+  } catch (error) {
+    console.error(`Error fetching channel partner (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+// Builds an admin handler that moves a partner to `status`
+const changePartnerStatus = (status, schema) => async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, schema);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT id, status, commission_percentage FROM channel_partner_profiles WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Channel partner not found" });
+    }
+
+    const partner = rows[0];
+    if (!canTransition(partner.status, status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: `Cannot change a ${partner.status} channel partner to ${status}`,
+        allowed_transitions: getAllowedTransitions(partner.status),
+      });
+    }
+
+    const changes = {
+      status,
+      status_reason: values.reason ?? null,
+      status_changed_by: req.user.sub,
+      status_changed_at: new Date(),
+    };
+    if (status === PARTNER_STATUS.APPROVED && partner.status === PARTNER_STATUS.PENDING) {
+      changes.approved_at = new Date();
+    }
+    await connection.query(`UPDATE channel_partner_profiles SET ? WHERE id = ?`, [changes, partner.id]);
+
+    // First approval starts the commission history; a rate sent on approval applies from today
+    if (status === PARTNER_STATUS.APPROVED) {
+      const [history] = await connection.query(
+        `SELECT id FROM channel_partner_commission_rates WHERE partner_id = ? LIMIT 1`,
+        [partner.id]
+      );
+      if (values.commission_percentage !== undefined || history.length === 0) {
+        const rate =
+          values.commission_percentage ?? partner.commission_percentage ?? config.channelPartners.defaultCommissionPercentage;
+        await setCommissionFromToday(connection, partner.id, rate, values.note ?? "Set on approval", req.user.sub);
+      }
+    }
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: `Channel partner ${status} successfully`,
+      partner: await getPartner("cpp.id = ?", [partner.id]),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error changing channel partner status (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+const REASON_SCHEMA = { reason: { type: "string", required: true, maxLength: 255 } };
+
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}/approve:
+ *   patch:
+ *     summary: Approve a pending channel partner or reinstate a suspended one
+ *     description: >
+ *       On first approval the partner's commission history starts from today, using `commission_percentage`
+ *       if sent, else the default (`PARTNER_DEFAULT_COMMISSION_PERCENTAGE`, 10). Requires `partners:manage`.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               commission_percentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 12.5
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Channel partner approved
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Channel partner not found
+ *       409:
+ *         description: The partner is not pending or suspended
+ *       500:
+ *         description: Server error
+ */
+export const approveChannelPartner = changePartnerStatus(PARTNER_STATUS.APPROVED, {
+  commission_percentage: { type: "number", min: 0, max: 100 },
+  note: { type: "string", maxLength: 255 },
+});
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}/reject:
+ *   patch:
+ *     summary: Reject a pending channel partner application
+ *     description: The applicant can edit and resubmit a rejected application. Requires `partners:manage`.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: GSTIN does not match the company name
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Channel partner not found
+ *       409:
+ *         description: The partner is not pending
+ *       500:
+ *         description: Server error
+ */
+export const rejectChannelPartner = changePartnerStatus(PARTNER_STATUS.REJECTED, REASON_SCHEMA);
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}/suspend:
+ *   patch:
+ *     summary: Suspend an approved channel partner
+ *     description: Requires `partners:manage`.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Referral fraud under investigation
+ *     responses:
+ *       200:
+ *         description: Channel partner suspended
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Channel partner not found
+ *       409:
+ *         description: The partner is not approved
+ *       500:
+ *         description: Server error
+ */
+export const suspendChannelPartner = changePartnerStatus(PARTNER_STATUS.SUSPENDED, REASON_SCHEMA);
+
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}/commission-rates:
+ *   get:
+ *     summary: Commission rate history of a channel partner
+ *     description: Newest first, including rates that start in the future. Requires `partners:read`.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Also report the rate in effect on this date (default today)
+ *     responses:
+ *       200:
+ *         description: Commission history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 partner_id:
+ *                   type: integer
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   nullable: true
+ *                 effective_commission_percentage:
+ *                   type: number
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommissionRate'
+ *       400:
+ *         description: Invalid query
+ *       404:
+ *         description: Channel partner not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPartnerCommissionRates = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.query, { date: { type: "date" } });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query", details: errors });
+  }
+
+  try {
+    const [rows] = await db.query(`SELECT id FROM channel_partner_profiles WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Channel partner not found" });
+    }
+
+    const [effective, history] = await Promise.all([
+      getEffectiveCommission(rows[0].id, values.date ?? null),
+      getCommissionHistory(rows[0].id),
+    ]);
+
+    return res.status(200).json({
+      partner_id: rows[0].id,
+      date: values.date ?? null,
+      effective_commission_percentage: effective,
+      data: history,
+    });
+  } catch (error) {
+    console.error(`Error fetching commission rates (Partner ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/channel-partners/{id}/commission-rates:
+ *   post:
+ *     summary: Set a channel partner's commission percentage from a date
+ *     description: >
+ *       Adds a dated override to the partner's commission history. `effective_from` defaults to today and cannot
+ *       be in the past, so earlier commission stays as it was. A rate effective today applies immediately; future
+ *       rates are applied by the commission rate job when their date arrives. Requires `partners:manage`.
+ *     tags:
+ *       - Channel Partners
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [commission_percentage]
+ *             properties:
+ *               commission_percentage:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 example: 15
+ *               effective_from:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-11-01
+ *               note:
+ *                 type: string
+ *                 example: Festive season incentive
+ *     responses:
+ *       201:
+ *         description: Commission rate added
+ *       400:
+ *         description: Validation failed, date in the past, or the partner was rejected
+ *       404:
+ *         description: Channel partner not found
+ *       409:
+ *         description: A rate already starts on that date
+ *       500:
+ *         description: Server error
+ */
+
+export const setPartnerCommissionRate = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, {
+    commission_percentage: { type: "number", required: true, min: 0, max: 100 },
+    effective_from: { type: "date" },
+    note: { type: "string", maxLength: 255 },
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT id, status, ? < CURDATE() AS in_past, ? = CURDATE() AS starts_today
+       FROM channel_partner_profiles
+       WHERE id = ?
+       FOR UPDATE`,
+      [values.effective_from ?? null, values.effective_from ?? null, id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Channel partner not found" });
+    }
+
+    const partner = rows[0];
+    if (partner.status === PARTNER_STATUS.REJECTED) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Cannot set commission for a rejected channel partner" });
+    }
+    if (partner.in_past) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Validation failed", details: ["effective_from cannot be in the past"] });
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO channel_partner_commission_rates (partner_id, commission_percentage, effective_from, note, created_by)
+       VALUES (?, ?, COALESCE(?, CURDATE()), ?, ?)`,
+      [partner.id, values.commission_percentage, values.effective_from ?? null, values.note ?? null, req.user.sub]
+    );
+
+    const startsToday = values.effective_from === undefined || Boolean(partner.starts_today);
+    if (startsToday) {
+      await connection.query(`UPDATE channel_partner_profiles SET commission_percentage = ? WHERE id = ?`, [
+        values.commission_percentage,
+        partner.id,
+      ]);
+    }
+
+    await connection.commit();
+
+    return res.status(201).json({
+      message: startsToday ? "Commission rate updated successfully" : "Commission rate scheduled successfully",
+      id: result.insertId,
+      effective_commission_percentage: await getEffectiveCommission(partner.id),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "A commission rate already starts on that date for this partner" });
+    }
+    console.error(`Error setting commission rate (Partner ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
@@ -0,0 +1,199 @@
+import { buildFacets, searchVerifiedDoctors } from "../models/DoctorSearch.js";
+import { parseListQuery } from "../utils/listQuery.js";
+
+const SEARCH_FILTERS = {
+  q: "string",
+  specialization_id: "int",
+  city_id: "int",
+  min_fee: "number",
+  max_fee: "number",
+  language: "string",
+  min_rating: "number",
+  consultation_mode: "string",
+  available_within_days: "int",
+};
+
+// Parses the search filters into typed values, collecting an error per invalid one
+const parseSearchFilters = (query) => {
+  const filters = {};
+  const errors = [];
+
+  for (const [key, type] of Object.entries(SEARCH_FILTERS)) {
+    const raw = query[key];
+    if (raw === undefined || raw === "") continue;
+
+    if (type === "string") {
+      filters[key] = String(raw).trim();
+      continue;
+    }
+
+    const value = Number(raw);
+    if (type === "int" ? !Number.isInteger(value) || value < 0 : isNaN(value) || value < 0) {
+      errors.push(`${key} must be a non-negative ${type === "int" ? "integer" : "number"}`);
+      continue;
+    }
+    filters[key] = value;
+  }
+
+  if (filters.min_fee !== undefined && filters.max_fee !== undefined && filters.min_fee > filters.max_fee) {
+    errors.push("min_fee cannot be greater than max_fee");
+  }
+  if (filters.min_rating !== undefined && filters.min_rating > 5) {
+    errors.push("min_rating must be between 0 and 5");
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * @swagger
+ * /api/doctors/search:
+ *   get:
+ *     summary: Search verified doctors with facets
+ *     description: >
+ *       Filters verified doctors by name, specialization, city (of the clinic or hospital they practise at),
+ *       consultation fee range, spoken language, minimum rating, consultation mode and how soon their next free slot is.
+ *       City and fee filters must be satisfied by the same practice. The response includes facet counts for every
+ *       filter; each facet is counted with all the other active filters applied, so it shows what selecting a value returns.
+ *     tags:
+ *       - Doctors
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating, -rating, fee, -fee, experience, -experience, next_available, -next_available, name, -name]
+ *           default: -rating
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Doctor name (partial match)
+ *       - in: query
+ *         name: specialization_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: city_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: min_fee
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_fee
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         example: Hindi
+ *       - in: query
+ *         name: min_rating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *       - in: query
+ *         name: consultation_mode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: available_within_days
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Only doctors with a free slot today (0) or within this many days
+ *     responses:
+ *       200:
+ *         description: Matching doctors, pagination and facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     specialization:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     city:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     language:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     consultation_mode:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     fee:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     rating:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     availability:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                   example:
+ *                     specialization: [{ value: 3, label: "Cardiology", count: 12 }]
+ *                     city: [{ value: 7, label: "Indore", count: 9 }]
+ *                     fee: [{ value: "500-1000", min: 500, max: 1000, count: 6 }]
+ *                     rating: [{ value: 4, label: "4+", count: 10 }]
+ *                     availability: [{ value: "today", days: 0, count: 4 }]
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+
+export const searchDoctors = async (req, res) => {
+  const listQuery = parseListQuery(req.query, {
+    sortable: {
+      rating: "results.average_rating",
+      fee: "results.min_fee",
+      experience: "results.experience_years",
+      next_available: "results.next_available_slot",
+      name: "results.name",
+    },
+    defaultSort: "-rating",
+  });
+  const { filters, errors } = parseSearchFilters(req.query);
+
+  if (listQuery.errors.length > 0 || errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query", details: [...listQuery.errors, ...errors] });
+  }
+
+  try {
+    const [{ rows, pagination }, facets] = await Promise.all([
+      searchVerifiedDoctors(filters, listQuery),
+      buildFacets(filters),
+    ]);
+
+    return res.status(200).json({ data: rows, pagination, facets });
+  } catch (error) {
+    console.error("Error searching doctors:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
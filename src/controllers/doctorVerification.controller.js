@@ -0,0 +1,351 @@
+import db from '../config/db.js';
+import config from '../config/config.js';
+
+const DOC_STATUS = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  RESUBMISSION_REQUESTED: 'Resubmission Requested',
+};
+
+
+/**
+ * @swagger
+ * /admin/doctors/pending-verification:
+ *   get:
+ *     summary: Get the doctor verification queue
+ *     description: >
+ *       Returns every doctor who is not yet verified together with their submitted verification documents,
+ *       oldest submission first. Also reports which required document types are still missing an approval.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending doctors fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 required_document_types:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Government ID", "Medical Registration Certificate", "Degree Certificate"]
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       doctor_id:
+ *                         type: integer
+ *                         example: 4
+ *                       user_id:
+ *                         type: integer
+ *                         example: 18
+ *                       name:
+ *                         type: string
+ *                         example: "Dr. Amit Sharma"
+ *                       email:
+ *                         type: string
+ *                         example: "doctor@example.com"
+ *                       missing_approvals:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["Degree Certificate"]
+ *                       documents:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       403:
+ *         description: Admin access only
+ *       500:
+ *         description: Server error
+ */
+
+export const getPendingVerificationDoctors = async (req, res) => {
+  try {
+    const [doctors] = await db.query(`
+      SELECT
+        d.id AS doctor_id,
+        d.user_id,
+        u.full_name AS name,
+        u.email,
+        u.phone,
+        s.name AS specialization_name,
+        MIN(dv.uploaded_at) AS first_submitted_at
+      FROM doctors d
+      JOIN users u ON d.user_id = u.id
+      LEFT JOIN specializations s ON d.specialization_id = s.id
+      JOIN doctor_verification_docs dv ON dv.doctor_id = d.id
+      WHERE d.is_verified = 0 OR d.is_verified IS NULL
+      GROUP BY d.id, d.user_id, u.full_name, u.email, u.phone, s.name
+      ORDER BY first_submitted_at ASC
+    `);
+
+    if (doctors.length === 0) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        required_document_types: config.requiredDoctorDocuments,
+        data: [],
+      });
+    }
+
+    const doctorIds = doctors.map((d) => d.doctor_id);
+    const [documents] = await db.query(
+      `SELECT id, doctor_id, document_type, document_url, status, reviewed_by, remarks, reviewed_at, uploaded_at
+       FROM doctor_verification_docs
+       WHERE doctor_id IN (?)
+       ORDER BY uploaded_at ASC`,
+      [doctorIds]
+    );
+
+    // Group documents by doctor_id
+    const documentsByDoctor = documents.reduce((acc, doc) => {
+      if (!acc[doc.doctor_id]) acc[doc.doctor_id] = [];
+      acc[doc.doctor_id].push(doc);
+      return acc;
+    }, {});
+
+    const data = doctors.map((doctor) => {
+      const docs = documentsByDoctor[doctor.doctor_id] || [];
+      return {
+        ...doctor,
+        missing_approvals: getMissingApprovals(docs),
+        documents: docs,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      required_document_types: config.requiredDoctorDocuments,
+      data,
+    });
+  } catch (error) {
+    console.error('❌ Error fetching pending verification doctors:', error.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+
+// Required document types that do not yet have an approved document
+const getMissingApprovals = (documents) => {
+  const approvedTypes = new Set(
+    documents.filter((doc) => doc.status === DOC_STATUS.APPROVED).map((doc) => doc.document_type)
+  );
+  return config.requiredDoctorDocuments.filter((type) => !approvedTypes.has(type));
+};
+
+
+// Builds a handler that moves a verification document to the given status and
+// re-evaluates whether the owning doctor is now fully verified.
+const reviewVerificationDocument = (status, { remarksRequired }) => async (req, res) => {
+  const { docId } = req.params;
+  const remarks = typeof req.body?.remarks === 'string' ? req.body.remarks.trim() : '';
+
+  if (remarksRequired && !remarks) {
+    return res.status(400).json({ error: 'Remarks are required for this action' });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [docRows] = await connection.query(
+      `SELECT * FROM doctor_verification_docs WHERE id = ? FOR UPDATE`,
+      [docId]
+    );
+    if (docRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: 'Verification document not found' });
+    }
+
+    const document = docRows[0];
+
+    await connection.query(
+      `UPDATE doctor_verification_docs
+       SET status = ?, reviewed_by = ?, remarks = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [status, req.user.sub, remarks || null, docId]
+    );
+
+    // ✅ Doctor is verified only while every required document type is approved
+    const [doctorDocs] = await connection.query(
+      `SELECT document_type, status FROM doctor_verification_docs WHERE doctor_id = ?`,
+      [document.doctor_id]
+    );
+    const missingApprovals = getMissingApprovals(doctorDocs);
+    const isVerified = missingApprovals.length === 0 ? 1 : 0;
+
+    await connection.query(`UPDATE doctors SET is_verified = ? WHERE id = ?`, [
+      isVerified,
+      document.doctor_id,
+    ]);
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: `Verification document marked as ${status}`,
+      document: {
+        ...document,
+        status,
+        reviewed_by: req.user.sub,
+        remarks: remarks || null,
+      },
+      doctor: {
+        id: document.doctor_id,
+        is_verified: isVerified,
+        missing_approvals: missingApprovals,
+      },
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`❌ Error reviewing verification document (ID: ${docId}):`, error);
+    return res.status(500).json({ error: 'Server error', details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /admin/doctors/verification-docs/{docId}/approve:
+ *   patch:
+ *     summary: Approve a doctor verification document
+ *     description: >
+ *       Marks the document as Approved and records the reviewing admin. When every required document type
+ *       for the doctor is approved, the doctor is flagged as verified.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the verification document
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *                 example: "Registration number verified with the medical council"
+ *     responses:
+ *       200:
+ *         description: Document approved
+ *       403:
+ *         description: Admin access only
+ *       404:
+ *         description: Verification document not found
+ *       500:
+ *         description: Server error
+ */
+export const approveVerificationDoc = reviewVerificationDocument(DOC_STATUS.APPROVED, {
+  remarksRequired: false,
+});
+
+
+/**
+ * @swagger
+ * /admin/doctors/verification-docs/{docId}/reject:
+ *   patch:
+ *     summary: Reject a doctor verification document
+ *     description: Marks the document as Rejected. Remarks explaining the rejection are required. The doctor loses verified status.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the verification document
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [remarks]
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *                 example: "Document is expired"
+ *     responses:
+ *       200:
+ *         description: Document rejected
+ *       400:
+ *         description: Remarks are required
+ *       403:
+ *         description: Admin access only
+ *       404:
+ *         description: Verification document not found
+ *       500:
+ *         description: Server error
+ */
+export const rejectVerificationDoc = reviewVerificationDocument(DOC_STATUS.REJECTED, {
+  remarksRequired: true,
+});
+
+
+/**
+ * @swagger
+ * /admin/doctors/verification-docs/{docId}/request-resubmission:
+ *   patch:
+ *     summary: Ask the doctor to resubmit a verification document
+ *     description: Marks the document as "Resubmission Requested". Remarks telling the doctor what to fix are required.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: docId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the verification document
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [remarks]
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *                 example: "Scan is blurry, please upload a clearer copy"
+ *     responses:
+ *       200:
+ *         description: Resubmission requested
+ *       400:
+ *         description: Remarks are required
+ *       403:
+ *         description: Admin access only
+ *       404:
+ *         description: Verification document not found
+ *       500:
+ *         description: Server error
+ */
+export const requestVerificationDocResubmission = reviewVerificationDocument(
+  DOC_STATUS.RESUBMISSION_REQUESTED,
+  { remarksRequired: true }
+);
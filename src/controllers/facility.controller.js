@@ -0,0 +1,749 @@
+import db from '../config/db.js';
+import { validateFields } from '../utils/validation.js';
+
+const COORDINATE_FIELDS = {
+  latitude: { type: 'number', min: -90, max: 90 },
+  longitude: { type: 'number', min: -180, max: 180 },
+};
+
+const HOSPITAL_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  hospital_type: { type: 'string', maxLength: 100 },
+  ownership: { type: 'string', maxLength: 255 },
+  address_line: { type: 'string', maxLength: 255 },
+  postal_code: { type: 'string', maxLength: 20 },
+  city_id: { type: 'int', min: 1 },
+  contact_number: { type: 'string', maxLength: 20 },
+  website_url: { type: 'url', maxLength: 255 },
+  bed_count: { type: 'int', min: 0 },
+  emergency_available: { type: 'boolean' },
+  ...COORDINATE_FIELDS,
+};
+
+const CLINIC_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  address_line: { type: 'string', maxLength: 255 },
+  postal_code: { type: 'string', maxLength: 20 },
+  city_id: { type: 'int', min: 1 },
+  ...COORDINATE_FIELDS,
+};
+
+const DEPARTMENT_FIELDS = {
+  specialization_id: { type: 'int', min: 1, required: true },
+  floor: { type: 'string', maxLength: 50 },
+  description: { type: 'string', maxLength: 1000 },
+};
+
+const FACILITIES = {
+  hospital: { table: 'hospitals', label: 'Hospital' },
+  clinic: { table: 'clinics', label: 'Clinic' },
+  department: { table: 'hospital_departments', label: 'Hospital department' },
+};
+
+// Latitude and longitude only make sense together
+const checkCoordinatePair = (values, existing = {}) => {
+  const latitude = values.latitude !== undefined ? values.latitude : existing.latitude ?? null;
+  const longitude = values.longitude !== undefined ? values.longitude : existing.longitude ?? null;
+  return (latitude === null) === (longitude === null) ? [] : ['latitude and longitude must be set together'];
+};
+
+// Maps foreign key failures to the offending field
+const foreignKeyError = (error, fields) => {
+  if (error.code !== 'ER_NO_REFERENCED_ROW_2') return null;
+  const field = fields.find((name) => error.message.includes(`\`${name}\``)) || fields.join(' / ');
+  return `${field} does not exist`;
+};
+
+const findById = async (table, id) => {
+  const [rows] = await db.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HospitalInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: City Care Hospital
+ *         hospital_type:
+ *           type: string
+ *           example: Private
+ *         ownership:
+ *           type: string
+ *           example: City Care Trust
+ *         address_line:
+ *           type: string
+ *           example: 12 Ring Road
+ *         postal_code:
+ *           type: string
+ *           example: "452001"
+ *         city_id:
+ *           type: integer
+ *           example: 7
+ *         contact_number:
+ *           type: string
+ *           example: "07314000000"
+ *         website_url:
+ *           type: string
+ *           example: https://citycare.example.com
+ *         bed_count:
+ *           type: integer
+ *           example: 250
+ *         emergency_available:
+ *           type: boolean
+ *           example: true
+ *         latitude:
+ *           type: number
+ *           example: 22.7196
+ *         longitude:
+ *           type: number
+ *           example: 75.8577
+ *     ClinicInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Healthy Smiles Dental Clinic
+ *         address_line:
+ *           type: string
+ *         postal_code:
+ *           type: string
+ *         city_id:
+ *           type: integer
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *     DepartmentInput:
+ *       type: object
+ *       properties:
+ *         specialization_id:
+ *           type: integer
+ *           example: 3
+ *         floor:
+ *           type: string
+ *           example: "2"
+ *         description:
+ *           type: string
+ *           example: Cardiology OPD and cath lab
+ */
+
+
+/**
+ * @swagger
+ * /api/admin/hospitals:
+ *   post:
+ *     summary: Create a hospital
+ *     description: Requires the `facilities:manage` permission. `name` is required; latitude and longitude must be sent together.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HospitalInput'
+ *     responses:
+ *       201:
+ *         description: Hospital created
+ *       400:
+ *         description: Validation failed
+ *       500:
+ *         description: Server error
+ */
+export const createHospital = async (req, res) => {
+  const { errors, values } = validateFields(req.body, HOSPITAL_FIELDS);
+  errors.push(...checkCoordinatePair(values));
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const [result] = await db.query(`INSERT INTO hospitals SET ?`, [values]);
+    const hospital = await findById('hospitals', result.insertId);
+
+    res.status(201).json({ message: 'Hospital created successfully', hospital });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['city_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error('❌ Error creating hospital:', error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/hospitals/{id}:
+ *   put:
+ *     summary: Update a hospital
+ *     description: Partial update; send only the fields to change, or null to clear an optional field. Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HospitalInput'
+ *     responses:
+ *       200:
+ *         description: Hospital updated
+ *       400:
+ *         description: Validation failed or nothing to update
+ *       404:
+ *         description: Hospital not found
+ *       500:
+ *         description: Server error
+ */
+export const updateHospital = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const existing = await findById('hospitals', id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    const { errors, values } = validateFields(req.body, HOSPITAL_FIELDS, { partial: true });
+    errors.push(...checkCoordinatePair(values, existing));
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('No fields to update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    await db.query(`UPDATE hospitals SET ? WHERE id = ?`, [values, id]);
+    const hospital = await findById('hospitals', id);
+
+    res.status(200).json({ message: 'Hospital updated successfully', hospital });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['city_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error(`❌ Error updating hospital (ID: ${id}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/clinics:
+ *   post:
+ *     summary: Create a clinic
+ *     description: Requires the `facilities:manage` permission. `name` is required; latitude and longitude must be sent together.
+ *     tags:
+ *       - Clinics
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClinicInput'
+ *     responses:
+ *       201:
+ *         description: Clinic created
+ *       400:
+ *         description: Validation failed
+ *       500:
+ *         description: Server error
+ */
+export const createClinic = async (req, res) => {
+  const { errors, values } = validateFields(req.body, CLINIC_FIELDS);
+  errors.push(...checkCoordinatePair(values));
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const [result] = await db.query(`INSERT INTO clinics SET ?`, [values]);
+    const clinic = await findById('clinics', result.insertId);
+
+    res.status(201).json({ message: 'Clinic created successfully', clinic });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['city_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error('❌ Error creating clinic:', error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/clinics/{id}:
+ *   put:
+ *     summary: Update a clinic
+ *     description: Partial update; send only the fields to change, or null to clear an optional field. Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Clinics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClinicInput'
+ *     responses:
+ *       200:
+ *         description: Clinic updated
+ *       400:
+ *         description: Validation failed or nothing to update
+ *       404:
+ *         description: Clinic not found
+ *       500:
+ *         description: Server error
+ */
+export const updateClinic = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const existing = await findById('clinics', id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Clinic not found' });
+    }
+
+    const { errors, values } = validateFields(req.body, CLINIC_FIELDS, { partial: true });
+    errors.push(...checkCoordinatePair(values, existing));
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push('No fields to update');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    await db.query(`UPDATE clinics SET ? WHERE id = ?`, [values, id]);
+    const clinic = await findById('clinics', id);
+
+    res.status(200).json({ message: 'Clinic updated successfully', clinic });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['city_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error(`❌ Error updating clinic (ID: ${id}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/hospitals/{hospitalId}/departments:
+ *   get:
+ *     summary: List the departments of a hospital
+ *     description: Requires the `facilities:read` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Also return deactivated departments
+ *     responses:
+ *       200:
+ *         description: Departments with their specialization name
+ *       404:
+ *         description: Hospital not found
+ *       500:
+ *         description: Server error
+ */
+export const getHospitalDepartments = async (req, res) => {
+  const { hospitalId } = req.params;
+  const includeInactive = req.query.include_inactive === 'true';
+
+  try {
+    const hospital = await findById('hospitals', hospitalId);
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+
+    const [rows] = await db.query(
+      `SELECT hd.*, s.name AS specialization_name
+       FROM hospital_departments hd
+       LEFT JOIN specializations s ON hd.specialization_id = s.id
+       WHERE hd.hospital_id = ? ${includeInactive ? '' : 'AND hd.is_active = 1'}
+       ORDER BY s.name ASC`,
+      [hospitalId]
+    );
+
+    res.status(200).json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error(`❌ Error fetching departments (Hospital ID: ${hospitalId}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/hospitals/{hospitalId}/departments:
+ *   post:
+ *     summary: Add a department to a hospital
+ *     description: Requires the `facilities:manage` permission. `specialization_id` is required.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: hospitalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DepartmentInput'
+ *     responses:
+ *       201:
+ *         description: Department created
+ *       400:
+ *         description: Validation failed or hospital is deactivated
+ *       404:
+ *         description: Hospital not found
+ *       500:
+ *         description: Server error
+ */
+export const createDepartment = async (req, res) => {
+  const { hospitalId } = req.params;
+
+  const { errors, values } = validateFields(req.body, DEPARTMENT_FIELDS);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const hospital = await findById('hospitals', hospitalId);
+    if (!hospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    if (!hospital.is_active) {
+      return res.status(400).json({ error: 'Cannot add departments to a deactivated hospital' });
+    }
+
+    const [result] = await db.query(`INSERT INTO hospital_departments SET ?`, [
+      { ...values, hospital_id: hospital.id },
+    ]);
+    const department = await findById('hospital_departments', result.insertId);
+
+    res.status(201).json({ message: 'Hospital department created successfully', department });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['specialization_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error(`❌ Error creating department (Hospital ID: ${hospitalId}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/departments/{id}:
+ *   put:
+ *     summary: Update a hospital department
+ *     description: Partial update. Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DepartmentInput'
+ *     responses:
+ *       200:
+ *         description: Department updated
+ *       400:
+ *         description: Validation failed or nothing to update
+ *       404:
+ *         description: Department not found
+ *       500:
+ *         description: Server error
+ */
+export const updateDepartment = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, DEPARTMENT_FIELDS, { partial: true });
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push('No fields to update');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const existing = await findById('hospital_departments', id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Hospital department not found' });
+    }
+
+    await db.query(`UPDATE hospital_departments SET ? WHERE id = ?`, [values, id]);
+    const department = await findById('hospital_departments', id);
+
+    res.status(200).json({ message: 'Hospital department updated successfully', department });
+  } catch (error) {
+    const fkError = foreignKeyError(error, ['specialization_id']);
+    if (fkError) {
+      return res.status(400).json({ error: fkError });
+    }
+    console.error(`❌ Error updating department (ID: ${id}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+// Builds a handler that activates or deactivates a hospital, clinic or department
+const setFacilityActive = (kind, isActive) => async (req, res) => {
+  const { id } = req.params;
+  const { table, label } = FACILITIES[kind];
+
+  try {
+    const existing = await findById(table, id);
+    if (!existing) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    if (Boolean(existing.is_active) === isActive) {
+      return res.status(400).json({ error: `${label} is already ${isActive ? 'active' : 'deactivated'}` });
+    }
+
+    await db.query(`UPDATE ${table} SET is_active = ?, deactivated_at = ${isActive ? 'NULL' : 'NOW()'} WHERE id = ?`, [
+      isActive ? 1 : 0,
+      id,
+    ]);
+
+    res.status(200).json({ message: `${label} ${isActive ? 'activated' : 'deactivated'} successfully` });
+  } catch (error) {
+    console.error(`❌ Error changing ${kind} status (ID: ${id}):`, error.message);
+    res.status(500).json({ error: 'Server error', details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/hospitals/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a hospital
+ *     description: >
+ *       Hides the hospital from nearby search and listings without deleting it; practices and appointments keep
+ *       their history. Departments keep their own active flag. While it is deactivated, practices in its
+ *       departments get no new slots, cannot be booked and are left out of doctor search. Requires the
+ *       `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Hospital deactivated
+ *       400:
+ *         description: Hospital is already deactivated
+ *       404:
+ *         description: Hospital not found
+ *       500:
+ *         description: Server error
+ */
+export const deactivateHospital = setFacilityActive('hospital', false);
+
+/**
+ * @swagger
+ * /api/admin/hospitals/{id}/activate:
+ *   patch:
+ *     summary: Reactivate a hospital
+ *     description: Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Hospital activated
+ *       400:
+ *         description: Hospital is already active
+ *       404:
+ *         description: Hospital not found
+ *       500:
+ *         description: Server error
+ */
+export const activateHospital = setFacilityActive('hospital', true);
+
+/**
+ * @swagger
+ * /api/admin/clinics/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a clinic
+ *     description: >
+ *       Hides the clinic from nearby search and listings without deleting it. While it is deactivated, its
+ *       practices get no new slots, cannot be booked and are left out of doctor search. Requires the
+ *       `facilities:manage` permission.
+ *     tags:
+ *       - Clinics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Clinic deactivated
+ *       400:
+ *         description: Clinic is already deactivated
+ *       404:
+ *         description: Clinic not found
+ *       500:
+ *         description: Server error
+ */
+export const deactivateClinic = setFacilityActive('clinic', false);
+
+/**
+ * @swagger
+ * /api/admin/clinics/{id}/activate:
+ *   patch:
+ *     summary: Reactivate a clinic
+ *     description: Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Clinics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Clinic activated
+ *       400:
+ *         description: Clinic is already active
+ *       404:
+ *         description: Clinic not found
+ *       500:
+ *         description: Server error
+ */
+export const activateClinic = setFacilityActive('clinic', true);
+
+/**
+ * @swagger
+ * /api/admin/departments/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a hospital department
+ *     description: >
+ *       While it is deactivated, its practices get no new slots, cannot be booked and are left out of doctor
+ *       search. Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Department deactivated
+ *       400:
+ *         description: Department is already deactivated
+ *       404:
+ *         description: Department not found
+ *       500:
+ *         description: Server error
+ */
+export const deactivateDepartment = setFacilityActive('department', false);
+
+/**
+ * @swagger
+ * /api/admin/departments/{id}/activate:
+ *   patch:
+ *     summary: Reactivate a hospital department
+ *     description: Requires the `facilities:manage` permission.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Department activated
+ *       400:
+ *         description: Department is already active
+ *       404:
+ *         description: Department not found
+ *       500:
+ *         description: Server error
+ */
+export const activateDepartment = setFacilityActive('department', true);
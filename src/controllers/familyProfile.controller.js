@@ -0,0 +1,525 @@
+import db from "../config/db.js";
+import {
+  BLOOD_GROUPS,
+  PROFILE_GENDERS,
+  PROFILE_RELATIONSHIPS,
+  SELF_RELATIONSHIP,
+  countUpcomingAppointments,
+  getActiveProfileId,
+  getProfileById,
+  getProfilesForUsers,
+} from "../models/PatientProfile.js";
+import { releaseHoldsForProfile } from "../models/SlotHold.js";
+import { fetchPage, parseListQuery } from "../utils/listQuery.js";
+import { validateFields } from "../utils/validation.js";
+
+const PROFILE_FIELDS = {
+  full_name: { type: "string", required: true, maxLength: 255 },
+  relationship: { type: "enum", values: PROFILE_RELATIONSHIPS, required: true },
+  date_of_birth: { type: "date" },
+  gender: { type: "enum", values: PROFILE_GENDERS },
+  blood_group: { type: "enum", values: BLOOD_GROUPS },
+  profile_image_url: { type: "url", maxLength: 1000 },
+};
+
+// Loads one of the caller's own profiles that has not been removed.
+// Sends the error response and returns null otherwise.
+const loadOwnProfile = async (req, res, profileId, executor = db) => {
+  const profile = await getProfileById(profileId, executor);
+  if (!profile || profile.removed_at) {
+    res.status(404).json({ error: "Patient profile not found" });
+    return null;
+  }
+  if (profile.user_id !== Number(req.user.sub)) {
+    res.status(403).json({ message: "Access Denied: Patient profile does not belong to you" });
+    return null;
+  }
+  return profile;
+};
+
+const hasSelfProfile = async (userId, excludeProfileId = null, executor = db) => {
+  const [rows] = await executor.query(
+    `SELECT id FROM patient_profiles
+     WHERE user_id = ? AND relationship = ? AND removed_at IS NULL AND (? IS NULL OR id <> ?)
+     LIMIT 1`,
+    [userId, SELF_RELATIONSHIP, excludeProfileId, excludeProfileId]
+  );
+  return rows.length > 0;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientProfile:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         full_name:
+ *           type: string
+ *           example: Anaya Sharma
+ *         relationship:
+ *           type: string
+ *           enum: [Self, Spouse, Child, Parent, Sibling, Other]
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *         gender:
+ *           type: string
+ *           enum: [Male, Female, Other]
+ *         blood_group:
+ *           type: string
+ *           enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *         profile_image_url:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         is_active_profile:
+ *           type: boolean
+ *           description: Whether bookings default to this profile
+ *     PatientProfileInput:
+ *       type: object
+ *       properties:
+ *         full_name:
+ *           type: string
+ *           example: Anaya Sharma
+ *         relationship:
+ *           type: string
+ *           enum: [Self, Spouse, Child, Parent, Sibling, Other]
+ *           example: Child
+ *         date_of_birth:
+ *           type: string
+ *           format: date
+ *           example: "2018-04-12"
+ *         gender:
+ *           type: string
+ *           enum: [Male, Female, Other]
+ *         blood_group:
+ *           type: string
+ *           enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *         profile_image_url:
+ *           type: string
+ */
+
+
+/**
+ * @swagger
+ * /api/me/patient-profiles:
+ *   get:
+ *     summary: List the caller's own and family member profiles
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profiles, the caller's own profile first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 active_patient_profile_id:
+ *                   type: integer
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PatientProfile'
+ *       500:
+ *         description: Server error
+ */
+
+export const getMyProfiles = async (req, res) => {
+  try {
+    const [profiles, activeProfileId] = await Promise.all([
+      getProfilesForUsers([req.user.sub]),
+      getActiveProfileId(req.user.sub),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: profiles.length,
+      active_patient_profile_id: activeProfileId,
+      data: profiles.map((profile) => ({ ...profile, is_active_profile: profile.id === activeProfileId })),
+    });
+  } catch (error) {
+    console.error(`Error fetching patient profiles (User ID: ${req.user.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/patient-profiles:
+ *   post:
+ *     summary: Add a family member profile
+ *     description: An account can hold one `Self` profile and any number of dependents.
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientProfileInput'
+ *     responses:
+ *       201:
+ *         description: Profile created
+ *       400:
+ *         description: Validation failed
+ *       409:
+ *         description: The account already has a Self profile
+ *       500:
+ *         description: Server error
+ */
+
+export const createMyProfile = async (req, res) => {
+  const { errors, values } = validateFields(req.body, PROFILE_FIELDS);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    if (values.relationship === SELF_RELATIONSHIP && (await hasSelfProfile(req.user.sub))) {
+      return res.status(409).json({ error: "You already have a Self profile" });
+    }
+
+    const [result] = await db.query(`INSERT INTO patient_profiles SET ?`, [{ ...values, user_id: req.user.sub }]);
+    const profile = await getProfileById(result.insertId);
+
+    return res.status(201).json({ message: "Patient profile created successfully", profile });
+  } catch (error) {
+    console.error(`Error creating patient profile (User ID: ${req.user.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/patient-profiles/{profileId}:
+ *   put:
+ *     summary: Edit one of the caller's profiles
+ *     description: Partial update. The `Self` profile keeps its relationship.
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientProfileInput'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Profile belongs to another account
+ *       404:
+ *         description: Profile not found
+ *       409:
+ *         description: The account already has a Self profile
+ *       500:
+ *         description: Server error
+ */
+
+export const updateMyProfile = async (req, res) => {
+  const { profileId } = req.params;
+
+  const { errors, values } = validateFields(req.body, PROFILE_FIELDS, { partial: true });
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push("No fields to update");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const profile = await loadOwnProfile(req, res, profileId);
+    if (!profile) return;
+
+    if (values.relationship !== undefined && values.relationship !== profile.relationship) {
+      if (profile.relationship === SELF_RELATIONSHIP) {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: ["The relationship of your Self profile cannot change"] });
+      }
+      if (values.relationship === SELF_RELATIONSHIP && (await hasSelfProfile(req.user.sub, profile.id))) {
+        return res.status(409).json({ error: "You already have a Self profile" });
+      }
+    }
+
+    await db.query(`UPDATE patient_profiles SET ? WHERE id = ?`, [values, profile.id]);
+    const updated = await getProfileById(profile.id);
+
+    return res.status(200).json({ message: "Patient profile updated successfully", profile: updated });
+  } catch (error) {
+    console.error(`Error updating patient profile (ID: ${profileId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/patient-profiles/{profileId}:
+ *   delete:
+ *     summary: Remove a family member profile
+ *     description: >
+ *       Hides the profile from the account; its appointment and medical history are kept. The `Self` profile cannot be
+ *       removed, nor a profile with upcoming appointments. Live slot holds of the profile are released.
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *     responses:
+ *       200:
+ *         description: Profile removed
+ *       400:
+ *         description: The Self profile cannot be removed
+ *       403:
+ *         description: Profile belongs to another account
+ *       404:
+ *         description: Profile not found
+ *       409:
+ *         description: Profile has upcoming appointments
+ *       500:
+ *         description: Server error
+ */
+
+export const removeMyProfile = async (req, res) => {
+  const { profileId } = req.params;
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const profile = await loadOwnProfile(req, res, profileId, connection);
+    if (!profile) {
+      await connection.rollback();
+      return;
+    }
+    if (profile.relationship === SELF_RELATIONSHIP) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Your Self profile cannot be removed" });
+    }
+
+    const upcoming = await countUpcomingAppointments(profile.id, connection);
+    if (upcoming > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: "Cancel or complete the profile's upcoming appointments before removing it",
+        upcoming_appointments: upcoming,
+      });
+    }
+
+    await releaseHoldsForProfile(connection, profile.id);
+    await connection.query(`UPDATE patient_profiles SET removed_at = NOW() WHERE id = ?`, [profile.id]);
+    await connection.query(
+      `UPDATE users SET active_patient_profile_id = NULL WHERE id = ? AND active_patient_profile_id = ?`,
+      [req.user.sub, profile.id]
+    );
+
+    await connection.commit();
+    return res.status(200).json({ message: "Patient profile removed successfully" });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error removing patient profile (ID: ${profileId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/active-profile:
+ *   patch:
+ *     summary: Switch the profile bookings are made for
+ *     description: Slot holds without a `patient_profile_id` are made for the active profile.
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [patient_profile_id]
+ *             properties:
+ *               patient_profile_id:
+ *                 type: integer
+ *                 example: 12
+ *     responses:
+ *       200:
+ *         description: Active profile switched
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Profile belongs to another account
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+
+export const setActiveProfile = async (req, res) => {
+  const { errors, values } = validateFields(req.body, {
+    patient_profile_id: { type: "int", min: 1, required: true },
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const profile = await loadOwnProfile(req, res, values.patient_profile_id);
+    if (!profile) return;
+
+    await db.query(`UPDATE users SET active_patient_profile_id = ? WHERE id = ?`, [profile.id, req.user.sub]);
+
+    return res.status(200).json({
+      message: "Active profile switched successfully",
+      profile: { ...profile, is_active_profile: true },
+    });
+  } catch (error) {
+    console.error(`Error switching active profile (User ID: ${req.user.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/households:
+ *   get:
+ *     summary: Household view of patient profiles
+ *     description: Pages through accounts that hold patient profiles, with every profile grouped under its owning user.
+ *     tags:
+ *       - Family Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, id, -id]
+ *           default: name
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Account holder name (partial match)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Account holder email (partial match)
+ *     responses:
+ *       200:
+ *         description: A page of households
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_id:
+ *                         type: integer
+ *                       full_name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       active_patient_profile_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       profile_count:
+ *                         type: integer
+ *                       profiles:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/PatientProfile'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+
+export const getHouseholds = async (req, res) => {
+  const listQuery = parseListQuery(req.query, {
+    sortable: { name: "u.full_name", id: "u.id" },
+    defaultSort: "name",
+    filters: {
+      name: { column: "u.full_name" },
+      email: { column: "u.email" },
+    },
+    cursorColumn: "u.id",
+  });
+  if (listQuery.errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query", details: listQuery.errors });
+  }
+
+  try {
+    const { rows, pagination } = await fetchPage(db, {
+      select: `
+      SELECT
+        u.id AS user_id,
+        u.full_name,
+        u.email,
+        u.phone,
+        u.active_patient_profile_id`,
+      from: `
+      FROM users u`,
+      where: [`EXISTS (SELECT 1 FROM patient_profiles p WHERE p.user_id = u.id AND p.removed_at IS NULL)`],
+      listQuery,
+      cursorKey: "user_id",
+    });
+
+    const profiles = await getProfilesForUsers(rows.map((row) => row.user_id));
+    const data = rows.map((household) => {
+      const members = profiles.filter((profile) => profile.user_id === household.user_id);
+      return { ...household, profile_count: members.length, profiles: members };
+    });
+
+    return res.status(200).json({ data, pagination });
+  } catch (error) {
+    console.error("Error fetching households:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
@@ -1,6 +1,8 @@
 // controllers/healthcareController.js
 
 import db from '../config/db.js';
+import { fetchPage, parseListQuery } from '../utils/listQuery.js';
+import { boundingBox, boundingBoxCondition, haversineKm, isValidCoordinate } from '../utils/geo.js';
 
 /**
  * @swagger
@@ -10,55 +12,127 @@ import db from '../config/db.js';
  *     description: Returns a list of all hospitals including hospital type, ownership, address, contact, and emergency support.
  *     tags:
  *       - Hospitals
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, bed_count, -bed_count, id, -id]
+ *           default: name
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by hospital name (partial match)
+ *       - in: query
+ *         name: city_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: hospital_type
+ *         schema:
+ *           type: string
+ *         required: false
+ *       - in: query
+ *         name: emergency_available
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Filter by active / deactivated hospitals
  *     responses:
  *       200:
- *         description: A list of hospitals
+ *         description: A page of hospitals
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   name:
- *                     type: string
- *                     example: MedStar General Hospital
- *                   hospital_type:
- *                     type: string
- *                     example: Private
- *                   ownership:
- *                     type: string
- *                     example: MedStar Healthcare Group
- *                   address_line:
- *                     type: string
- *                     example: 123 Health Ave
- *                   postal_code:
- *                     type: string
- *                     example: 110001
- *                   city:
- *                     type: string
- *                     example: New Delhi
- *                   contact_number:
- *                     type: string
- *                     example: 0112345678
- *                   website_url:
- *                     type: string
- *                     example: https://www.medstar.com
- *                   bed_count:
- *                     type: integer
- *                     example: 500
- *                   emergency_available:
- *                     type: boolean
- *                     example: true
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       name:
+ *                         type: string
+ *                         example: MedStar General Hospital
+ *                       hospital_type:
+ *                         type: string
+ *                         example: Private
+ *                       ownership:
+ *                         type: string
+ *                         example: MedStar Healthcare Group
+ *                       address_line:
+ *                         type: string
+ *                         example: 123 Health Ave
+ *                       postal_code:
+ *                         type: string
+ *                         example: 110001
+ *                       city:
+ *                         type: string
+ *                         example: New Delhi
+ *                       contact_number:
+ *                         type: string
+ *                         example: 0112345678
+ *                       website_url:
+ *                         type: string
+ *                         example: https://www.medstar.com
+ *                       bed_count:
+ *                         type: integer
+ *                         example: 500
+ *                       emergency_available:
+ *                         type: boolean
+ *                         example: true
+ *                       latitude:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 28.6139
+ *                       longitude:
+ *                         type: number
+ *                         nullable: true
+ *                         example: 77.209
+ *                       is_active:
+ *                         type: boolean
+ *                         example: true
  *       500:
  *         description: Server error
  */
 export const getAllHospitals = async (req, res) => {
   try {
-    const [hospitals] = await db.query(`
+    const listQuery = parseListQuery(req.query, {
+      sortable: { name: 'h.name', bed_count: 'h.bed_count', id: 'h.id' },
+      defaultSort: 'name',
+      filters: {
+        name: { column: 'h.name' },
+        city_id: { column: 'h.city_id', type: 'int' },
+        hospital_type: { column: 'h.hospital_type', op: 'eq' },
+        emergency_available: { column: 'h.emergency_available', type: 'boolean' },
+        is_active: { column: 'h.is_active', type: 'boolean' },
+      },
+      cursorColumn: 'h.id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `
       SELECT 
         h.id,
         h.name,
@@ -70,12 +144,17 @@ export const getAllHospitals = async (req, res) => {
         h.contact_number,
         h.website_url,
         h.bed_count,
-        h.emergency_available
+        h.emergency_available,
+        h.latitude,
+        h.longitude,
+        h.is_active`,
+      from: `
       FROM hospitals h
-      LEFT JOIN cities c ON h.city_id = c.id
-    `);
+      LEFT JOIN cities c ON h.city_id = c.id`,
+      listQuery,
+    });
 
-    res.status(200).json(hospitals);
+    res.status(200).json({ data: rows, pagination });
   } catch (error) {
     console.error("❌ Error fetching hospitals:", error.message);
     res.status(500).json({ error: "Server error" });
@@ -83,61 +162,128 @@ export const getAllHospitals = async (req, res) => {
 };
 
 
-// /**
-//  * @swagger
-//  * /api/admin/doctors/clinic:
-//  *   get:
-//  *     summary: Get all clinics with address and city information
-//  *     description: Returns a list of all clinics with location details.
-//  *     tags:
-//  *       - Clinics
-//  *     responses:
-//  *       200:
-//  *         description: A list of clinics
-//  *         content:
-//  *           application/json:
-//  *             schema:
-//  *               type: array
-//  *               items:
-//  *                 type: object
-//  *                 properties:
-//  *                   id:
-//  *                     type: integer
-//  *                     example: 1
-//  *                   name:
-//  *                     type: string
-//  *                     example: Healthy Smiles Dental Clinic
-//  *                   address_line:
-//  *                     type: string
-//  *                     example: Shop No. 5, Sector 14, Dwarka
-//  *                   postal_code:
-//  *                     type: string
-//  *                     example: 110078
-//  *                   city:
-//  *                     type: string
-//  *                     example: New Delhi
-//  *       500:
-//  *         description: Server error
-//  */
-// export const getAllClinics = async (req, res) => {
-//   try {
-//     const [clinics] = await db.query(`
-//       SELECT 
-//         cl.id,
-//         cl.name,
-//         cl.address_line,
-//         cl.postal_code,
-//         c.name AS city
-//       FROM clinics cl
-//       LEFT JOIN cities c ON cl.city_id = c.id
-//     `);
-
-//     res.status(200).json(clinics);
-//   } catch (error) {
-//     console.error("❌ Error fetching clinics:", error.message);
-//     res.status(500).json({ error: "Server error" });
-//   }
-// };
+/**
+ * @swagger
+ * /api/admin/doctors/clinic:
+ *   get:
+ *     summary: Get all clinics with address and city information
+ *     description: Returns a page of clinics with location details.
+ *     tags:
+ *       - Clinics
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, id, -id]
+ *           default: name
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by clinic name (partial match)
+ *       - in: query
+ *         name: city_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Filter by active / deactivated clinics
+ *     responses:
+ *       200:
+ *         description: A page of clinics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       name:
+ *                         type: string
+ *                         example: Healthy Smiles Dental Clinic
+ *                       address_line:
+ *                         type: string
+ *                         example: Shop No. 5, Sector 14, Dwarka
+ *                       postal_code:
+ *                         type: string
+ *                         example: 110078
+ *                       city:
+ *                         type: string
+ *                         example: New Delhi
+ *                       latitude:
+ *                         type: number
+ *                         nullable: true
+ *                       longitude:
+ *                         type: number
+ *                         nullable: true
+ *                       is_active:
+ *                         type: boolean
+ *                         example: true
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+export const getAllClinics = async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, {
+      sortable: { name: 'cl.name', id: 'cl.id' },
+      defaultSort: 'name',
+      filters: {
+        name: { column: 'cl.name' },
+        city_id: { column: 'cl.city_id', type: 'int' },
+        is_active: { column: 'cl.is_active', type: 'boolean' },
+      },
+      cursorColumn: 'cl.id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `
+      SELECT 
+        cl.id,
+        cl.name,
+        cl.address_line,
+        cl.postal_code,
+        c.name AS city,
+        cl.latitude,
+        cl.longitude,
+        cl.is_active`,
+      from: `
+      FROM clinics cl
+      LEFT JOIN cities c ON cl.city_id = c.id`,
+      listQuery,
+    });
+
+    res.status(200).json({ data: rows, pagination });
+  } catch (error) {
+    console.error("❌ Error fetching clinics:", error.message);
+    res.status(500).json({ error: "Server error" });
+  }
+};
 
 
 // controllers/healthcareController.js
@@ -181,6 +327,14 @@ export const getAllHospitals = async (req, res) => {
  *                 city:
  *                   type: string
  *                   example: New Delhi
+ *                 latitude:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 28.5921
+ *                 longitude:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 77.046
  *       404:
  *         description: Clinic not found
  *       500:
@@ -198,7 +352,9 @@ export const getClinicById = async (req, res) => {
         cl.name,
         cl.address_line,
         cl.postal_code,
-        c.name AS city
+        c.name AS city,
+        cl.latitude,
+        cl.longitude
       FROM clinics cl
       LEFT JOIN cities c ON cl.city_id = c.id
       WHERE cl.id = ?
@@ -218,6 +374,256 @@ export const getClinicById = async (req, res) => {
 };
 
 
+const NEARBY_DEFAULT_RADIUS_KM = 10;
+const NEARBY_MAX_RADIUS_KM = 100;
+const NEARBY_DEFAULT_LIMIT = 20;
+const NEARBY_MAX_LIMIT = 100;
+
+// Number(''), Number(' ') and Number([]) are 0, so only non-blank strings are converted; anything else is NaN
+const toNumberParam = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+const FACILITY_TYPES = ['hospital', 'clinic'];
+
+/**
+ * @swagger
+ * /api/facilities/nearby:
+ *   get:
+ *     summary: Find hospitals and clinics near a location
+ *     description: >
+ *       Returns hospitals and clinics within `radius_km` of the given point, nearest first, with the distance in km.
+ *       Distances are great-circle (haversine) distances computed by the API; no external map service is used.
+ *       Deactivated facilities and facilities without coordinates are never returned. The `emergency_available`, `hospital_type` and `min_beds`
+ *       filters only apply to hospitals, so clinics are left out when any of them is set.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         example: 22.7196
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *         example: 75.8577
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [hospital, clinic]
+ *         description: Only return this kind of facility
+ *       - in: query
+ *         name: emergency_available
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hospital_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_beds
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Facilities ordered by distance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       facility_type:
+ *                         type: string
+ *                         example: hospital
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       address_line:
+ *                         type: string
+ *                       city:
+ *                         type: string
+ *                       latitude:
+ *                         type: number
+ *                       longitude:
+ *                         type: number
+ *                       distance_km:
+ *                         type: number
+ *                         example: 1.84
+ *                       hospital_type:
+ *                         type: string
+ *                         nullable: true
+ *                       bed_count:
+ *                         type: integer
+ *                         nullable: true
+ *                       emergency_available:
+ *                         type: boolean
+ *                         nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+export const getNearbyFacilities = async (req, res) => {
+  const { type, hospital_type } = req.query;
+  const lat = toNumberParam(req.query.lat);
+  const lng = toNumberParam(req.query.lng);
+  const radiusKm = req.query.radius_km === undefined ? NEARBY_DEFAULT_RADIUS_KM : toNumberParam(req.query.radius_km);
+  const limit = req.query.limit === undefined ? NEARBY_DEFAULT_LIMIT : toNumberParam(req.query.limit);
+  const minBeds = req.query.min_beds === undefined ? undefined : toNumberParam(req.query.min_beds);
+
+  let emergencyAvailable;
+  if (req.query.emergency_available !== undefined) {
+    emergencyAvailable = ['true', '1'].includes(req.query.emergency_available)
+      ? 1
+      : ['false', '0'].includes(req.query.emergency_available)
+      ? 0
+      : null;
+  }
+
+  const errors = [];
+  if (!isValidCoordinate(lat, lng)) {
+    errors.push('lat and lng are required and must be valid coordinates');
+  }
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > NEARBY_MAX_RADIUS_KM) {
+    errors.push(`radius_km must be greater than 0 and at most ${NEARBY_MAX_RADIUS_KM}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > NEARBY_MAX_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${NEARBY_MAX_LIMIT}`);
+  }
+  if (type !== undefined && !FACILITY_TYPES.includes(type)) {
+    errors.push(`type must be one of ${FACILITY_TYPES.join(', ')}`);
+  }
+  if (minBeds !== undefined && (!Number.isInteger(minBeds) || minBeds < 0)) {
+    errors.push('min_beds must be a non-negative integer');
+  }
+  if (emergencyAvailable === null) {
+    errors.push('emergency_available must be true or false');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid query', details: errors });
+  }
+
+  const hasHospitalFilters = emergencyAvailable !== undefined || hospital_type !== undefined || minBeds !== undefined;
+  const includeHospitals = type !== 'clinic';
+  const includeClinics = type !== 'hospital' && !hasHospitalFilters;
+
+  try {
+    const box = boundingBox(lat, lng, radiusKm);
+    const candidates = [];
+
+    if (includeHospitals) {
+      const area = boundingBoxCondition(box, 'h.latitude', 'h.longitude');
+      const conditions = [area.sql, 'h.is_active = 1'];
+      const params = [...area.params];
+
+      if (emergencyAvailable !== undefined) {
+        conditions.push('h.emergency_available = ?');
+        params.push(emergencyAvailable);
+      }
+      if (hospital_type !== undefined) {
+        conditions.push('h.hospital_type = ?');
+        params.push(hospital_type);
+      }
+      if (minBeds !== undefined) {
+        conditions.push('h.bed_count >= ?');
+        params.push(minBeds);
+      }
+
+      const [hospitals] = await db.query(
+        `SELECT
+           'hospital' AS facility_type,
+           h.id,
+           h.name,
+           h.address_line,
+           h.postal_code,
+           c.name AS city,
+           h.contact_number,
+           h.latitude,
+           h.longitude,
+           h.hospital_type,
+           h.bed_count,
+           h.emergency_available
+         FROM hospitals h
+         LEFT JOIN cities c ON h.city_id = c.id
+         WHERE ${conditions.join(' AND ')}`,
+        params
+      );
+      candidates.push(...hospitals);
+    }
+
+    if (includeClinics) {
+      const area = boundingBoxCondition(box, 'cl.latitude', 'cl.longitude');
+      const [clinics] = await db.query(
+        `SELECT
+           'clinic' AS facility_type,
+           cl.id,
+           cl.name,
+           cl.address_line,
+           cl.postal_code,
+           c.name AS city,
+           cl.latitude,
+           cl.longitude,
+           NULL AS hospital_type,
+           NULL AS bed_count,
+           NULL AS emergency_available
+         FROM clinics cl
+         LEFT JOIN cities c ON cl.city_id = c.id
+         WHERE ${area.sql} AND cl.is_active = 1`,
+        area.params
+      );
+      candidates.push(...clinics);
+    }
+
+    // ✅ Exact distance on the bounding-box candidates, nearest first
+    const data = candidates
+      .map((facility) => ({
+        ...facility,
+        latitude: Number(facility.latitude),
+        longitude: Number(facility.longitude),
+        distance_km: Number(
+          haversineKm(lat, lng, Number(facility.latitude), Number(facility.longitude)).toFixed(2)
+        ),
+      }))
+      .filter((facility) => facility.distance_km <= radiusKm)
+      .sort((a, b) => a.distance_km - b.distance_km)
+      .slice(0, limit);
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error('❌ Error fetching nearby facilities:', error.message);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+
 
 
 export async function getAllDoctorsWithPracticeDetails(req, res) {
@@ -447,10 +853,33 @@ export async function getAllDoctorsWithPracticeDetails(req, res) {
  * /api/admin/patients:
  *   get:
  *     summary: Get all patient profiles
- *     description: Fetches all patients along with their documents, medical conditions, and allergies. Supports filtering by full name, email, and gender.
+ *     description: Fetches a page of patients along with their documents, medical conditions, and allergies. Supports filtering by full name, email, gender, blood group and relationship.
  *     tags:
  *       - Patients
  *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, full_name, -full_name, date_of_birth, -date_of_birth]
+ *           default: -created_at
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: blood_group
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter patients by blood group
+ *       - in: query
+ *         name: relationship
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter patients by relationship to the account owner
  *       - in: query
  *         name: full_name
  *         schema:
@@ -472,90 +901,114 @@ export async function getAllDoctorsWithPracticeDetails(req, res) {
  *         description: Filter patients by gender
  *     responses:
  *       200:
- *         description: A list of patients with documents, conditions, and allergies
+ *         description: A page of patients with documents, conditions, and allergies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   patient_id:
- *                     type: integer
- *                     example: 1
- *                   full_name:
- *                     type: string
- *                     example: "Ravi Kumar"
- *                   email:
- *                     type: string
- *                     example: "ravi@example.com"
- *                   phone:
- *                     type: string
- *                     example: "+91-9876543210"
- *                   relationship:
- *                     type: string
- *                     example: "Self"
- *                   date_of_birth:
- *                     type: string
- *                     format: date
- *                   gender:
- *                     type: string
- *                     example: "Male"
- *                   blood_group:
- *                     type: string
- *                     example: "O+"
- *                   profile_image_url:
- *                     type: string
- *                     example: "https://example.com/patient/image.jpg"
- *                   documents:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         document_name:
- *                           type: string
- *                         document_type:
- *                           type: string
- *                         document_url:
- *                           type: string
- *                   conditions:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         condition_name:
- *                           type: string
- *                         diagnosed_on:
- *                           type: string
- *                           format: date
- *                         condition_status:
- *                           type: string
- *                         notes:
- *                           type: string
- *                   allergies:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         allergen:
- *                           type: string
- *                         severity:
- *                           type: string
- *                         reaction_notes:
- *                           type: string
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       patient_id:
+ *                         type: integer
+ *                         example: 1
+ *                       full_name:
+ *                         type: string
+ *                         example: "Ravi Kumar"
+ *                         description: Name of the account holder
+ *                       profile_name:
+ *                         type: string
+ *                         example: "Anaya Kumar"
+ *                         description: Name of the patient on this profile
+ *                       email:
+ *                         type: string
+ *                         example: "ravi@example.com"
+ *                       phone:
+ *                         type: string
+ *                         example: "+91-9876543210"
+ *                       relationship:
+ *                         type: string
+ *                         example: "Self"
+ *                       date_of_birth:
+ *                         type: string
+ *                         format: date
+ *                       gender:
+ *                         type: string
+ *                         example: "Male"
+ *                       blood_group:
+ *                         type: string
+ *                         example: "O+"
+ *                       profile_image_url:
+ *                         type: string
+ *                         example: "https://example.com/patient/image.jpg"
+ *                       documents:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             document_name:
+ *                               type: string
+ *                             document_type:
+ *                               type: string
+ *                             document_url:
+ *                               type: string
+ *                       conditions:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             condition_name:
+ *                               type: string
+ *                             diagnosed_on:
+ *                               type: string
+ *                               format: date
+ *                             condition_status:
+ *                               type: string
+ *                             notes:
+ *                               type: string
+ *                       allergies:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             allergen:
+ *                               type: string
+ *                             severity:
+ *                               type: string
+ *                             reaction_notes:
+ *                               type: string
  *       500:
  *         description: Internal server error
  */
 export const getAllPatients = async (req, res) => {
   try {
-    const { full_name, email, gender } = req.query;
+    const listQuery = parseListQuery(req.query, {
+      sortable: { created_at: 'p.created_at', full_name: 'u.full_name', date_of_birth: 'p.date_of_birth' },
+      defaultSort: '-created_at', // latest patient first
+      filters: {
+        full_name: { column: 'u.full_name' },
+        email: { column: 'u.email' },
+        gender: { column: 'p.gender', type: 'enum', values: ['Male', 'Female', 'Other'] },
+        blood_group: { column: 'p.blood_group', op: 'eq' },
+        relationship: { column: 'p.relationship', op: 'eq' },
+      },
+      cursorColumn: 'p.id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
 
-    // Base SQL query
-    let baseQuery = `
+    const select = `
       SELECT
         p.id AS patient_id,
         u.id AS user_id,               -- Added user_id
         u.full_name,
+        COALESCE(p.full_name, u.full_name) AS profile_name,
         u.email,
         u.phone,
         p.relationship,
@@ -636,39 +1089,18 @@ export const getAllPatients = async (req, res) => {
           )
           FROM patient_vitals v
           WHERE v.patient_profile_id = p.id
-        ) AS vitals
+        ) AS vitals`;
 
+    const { rows, pagination } = await fetchPage(db, {
+      select,
+      from: `
       FROM patient_profiles p
-      JOIN users u ON u.id = p.user_id
-    `;
-
-    const whereClauses = [];
-    const params = [];
-
-    if (full_name) {
-      whereClauses.push(`u.full_name LIKE ?`);
-      params.push(`%${full_name}%`);
-    }
-
-    if (email) {
-      whereClauses.push(`u.email LIKE ?`);
-      params.push(`%${email}%`);
-    }
-
-    if (gender) {
-      whereClauses.push(`p.gender = ?`);
-      params.push(gender);
-    }
-
-    if (whereClauses.length > 0) {
-      baseQuery += ' WHERE ' + whereClauses.join(' AND ');
-    }
-
-    baseQuery += ' ORDER BY p.created_at DESC'; // latest patient first
-
-    const [rows] = await db.query(baseQuery, params);
+      JOIN users u ON u.id = p.user_id`,
+      listQuery,
+      cursorKey: 'patient_id',
+    });
 
-    res.status(200).json(rows);
+    res.status(200).json({ data: rows, pagination });
   } catch (error) {
     console.error('Error fetching patient data:', error.message);
     res.status(500).json({ error: 'Internal Server Error' });
@@ -704,12 +1136,17 @@ export const getAllPatients = async (req, res) => {
  *               items:
  *                 type: object
  *                 properties:
+ *                   id:
+ *                     type: integer
  *                   rating:
  *                     type: number
  *                     example: 4.5
  *                   review_text:
  *                     type: string
  *                     example: "Very professional and kind."
+ *                   doctor_reply:
+ *                     type: string
+ *                     nullable: true
  *                   doctor_name:
  *                     type: string
  *                     example: "Dr. Anjali Sharma"
@@ -728,8 +1165,10 @@ export const getDoctorRatingsAndReviews = async (req, res) => {
     // Base SQL query
     let sql = `
       SELECT 
+        r.id,
         r.rating,
         r.review_text,
+        r.doctor_reply,
         du.full_name AS doctor_name,
         pu.full_name AS patient_name
       FROM reviews r
@@ -1,10 +1,26 @@
 import db from '../config/db.js'
+import { fetchPage, parseListQuery } from '../utils/listQuery.js';
 
 // Get all millet products with category details
 export const getAllMilletProducts = async (req, res) => {
   try {
-    const [rows] = await db.query(
-      `SELECT 
+    const listQuery = parseListQuery(req.query, {
+      sortable: { id: 'mp.id', name: 'mp.name', price: 'mp.price' },
+      defaultSort: '-id',
+      filters: {
+        category_id: { column: 'mp.category_id', type: 'int' },
+        name: { column: 'mp.name' },
+        min_price: { column: 'mp.price', type: 'number', op: 'gte' },
+        max_price: { column: 'mp.price', type: 'number', op: 'lte' },
+      },
+      cursorColumn: 'mp.id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `SELECT 
          mp.id,
          mp.category_id,
          mc.name AS category_name,
@@ -16,12 +32,12 @@ export const getAllMilletProducts = async (req, res) => {
          mp.image_url,
          mp.public_id,
          mp.is_active,
-         mp.nutritional_info_json
-       FROM millet_products mp
-       LEFT JOIN millet_categories mc ON mp.category_id = mc.id
-       WHERE mp.is_active = 1
-       ORDER BY mp.id DESC`
-    );
+         mp.nutritional_info_json`,
+      from: `FROM millet_products mp
+       LEFT JOIN millet_categories mc ON mp.category_id = mc.id`,
+      where: ['mp.is_active = 1'],
+      listQuery,
+    });
 
     // Safe parse JSON
     const products = rows.map(product => {
@@ -46,11 +62,7 @@ export const getAllMilletProducts = async (req, res) => {
       };
     });
 
-    res.status(200).json({
-      success: true,
-      count: products.length,
-      products,
-    });
+    res.status(200).json({ data: products, pagination });
   } catch (error) {
     console.error("Error fetching millet products:", error);
     res.status(500).json({ error: "Server error" });
@@ -0,0 +1,714 @@
+import db from "../config/db.js";
+import config from "../config/config.js";
+import { VITAL_TYPES } from "../config/vitals.js";
+import {
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  buildVitalSeries,
+  canTransitionCondition,
+  checkVitalReading,
+  flagVitalReading,
+  getAllowedConditionTransitions,
+  parseVitalValues,
+} from "../models/PatientRecord.js";
+import { getDocumentFormat } from "../middleware/documentUpload.js";
+import { deletePrivateDocument, getSignedDocumentUrl, uploadPrivateDocument } from "../utils/documentStorage.js";
+import { validateFields } from "../utils/validation.js";
+
+// Each record type maps to its table, writable fields and an optional cross-field check.
+// `check(values, body, existing)` returns error messages and may add derived columns to `values`.
+const RECORD_TYPES = {
+  conditions: {
+    table: "patient_conditions",
+    label: "Condition",
+    fields: {
+      condition_name: { type: "string", required: true, maxLength: 255 },
+      diagnosed_on: { type: "date" },
+      condition_status: { type: "enum", values: CONDITION_STATUSES, nullable: false },
+      notes: { type: "string", maxLength: 2000 },
+    },
+    defaults: { condition_status: "Active" },
+    orderBy: "diagnosed_on DESC, id DESC",
+    check: (values, body, existing) => {
+      if (!existing || values.condition_status === undefined) return [];
+      if (canTransitionCondition(existing.condition_status, values.condition_status)) return [];
+      return [
+        `condition_status cannot change from ${existing.condition_status} to ${values.condition_status}; ` +
+          `allowed: ${getAllowedConditionTransitions(existing.condition_status).join(", ")}`,
+      ];
+    },
+  },
+  allergies: {
+    table: "patient_allergies",
+    label: "Allergy",
+    fields: {
+      allergen: { type: "string", required: true, maxLength: 255 },
+      severity: { type: "enum", values: ALLERGY_SEVERITIES, required: true },
+      reaction_notes: { type: "string", maxLength: 1000 },
+    },
+    orderBy: "id DESC",
+  },
+  vitals: {
+    table: "patient_vitals",
+    label: "Vital reading",
+    fields: {
+      vital_type: { type: "string", required: true, maxLength: 50 },
+      unit: { type: "string", maxLength: 20 },
+      recorded_at: { type: "datetime", notInFuture: true, nullable: false },
+    },
+    orderBy: "recorded_at DESC, id DESC",
+    check: (values, body, existing) => {
+      const readingChanged =
+        !existing || body.values !== undefined || values.vital_type !== undefined || values.unit !== undefined;
+      if (!readingChanged) return [];
+      if (!existing && (body.values === undefined || body.values === null)) return ["values is required"];
+
+      const reading = checkVitalReading(
+        values.vital_type ?? existing.vital_type,
+        values.unit !== undefined ? values.unit : existing?.unit,
+        body.values !== undefined ? body.values : parseVitalValues(existing.values)
+      );
+      if (reading.errors.length > 0) return reading.errors;
+
+      values.unit = reading.unit;
+      values.values = JSON.stringify(reading.values);
+      if (!existing && values.recorded_at === undefined) values.recorded_at = new Date();
+      return [];
+    },
+    format: (row) => {
+      const values = parseVitalValues(row.values);
+      return { ...row, values, flags: flagVitalReading(row.vital_type, row.unit, values) };
+    },
+  },
+  documents: {
+    table: "patient_documents",
+    label: "Document",
+    fields: {
+      document_name: { type: "string", required: true, maxLength: 255 },
+      document_type: { type: "string", required: true, maxLength: 100 },
+      document_url: { type: "url", required: true, maxLength: 1000 },
+    },
+    orderBy: "id DESC",
+    check: (values, body, existing) =>
+      existing?.storage_public_id && values.document_url !== undefined
+        ? ["document_url cannot be set on an uploaded document"]
+        : [],
+    // Uploaded documents are private; their URL is only handed out by the download endpoint
+    format: ({ storage_public_id, ...row }) => ({ ...row, is_private: !!storage_public_id }),
+    onDelete: async (row) => {
+      if (!row.storage_public_id) return;
+      try {
+        await deletePrivateDocument(row.storage_public_id);
+      } catch (error) {
+        console.error(`❌ Failed to delete stored document ${row.storage_public_id}:`, error.message);
+      }
+    },
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_VITALS_HISTORY_DAYS = 90;
+
+const formatLocalDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+const formatRecord = (recordType, row) => (recordType.format ? recordType.format(row) : row);
+
+const findRecord = async (recordType, profileId, recordId, executor = db) => {
+  const [rows] = await executor.query(`SELECT * FROM ${recordType.table} WHERE id = ? AND patient_profile_id = ?`, [
+    recordId,
+    profileId,
+  ]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     PatientProfileIdParam:
+ *       in: path
+ *       name: profileId
+ *       required: true
+ *       schema:
+ *         type: integer
+ *     PatientRecordTypeParam:
+ *       in: path
+ *       name: recordType
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [conditions, allergies, vitals, documents]
+ *   schemas:
+ *     PatientRecordInput:
+ *       type: object
+ *       description: >
+ *         Fields depend on the record type.
+ *         **conditions**: condition_name (required), diagnosed_on (YYYY-MM-DD), condition_status
+ *         (Suspected, Active, Managed, Resolved; defaults to Active), notes.
+ *         **allergies**: allergen (required), severity (Mild, Moderate, Severe; required), reaction_notes.
+ *         **vitals**: vital_type (required), values (required; a number, or an object such as
+ *         { systolic, diastolic } for blood_pressure), unit (must be one of the units of the vital type;
+ *         defaults to its first unit), recorded_at (ISO date-time, defaults to now).
+ *         **documents**: document_name, document_type and document_url (all required).
+ *       example:
+ *         vital_type: blood_pressure
+ *         values: { systolic: 128, diastolic: 84 }
+ *         unit: mmHg
+ *         recorded_at: "2025-06-01T08:30:00Z"
+ */
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/{recordType}:
+ *   get:
+ *     summary: List a patient's conditions, allergies, vitals or documents
+ *     description: >
+ *       Allowed for the account that owns the patient profile (the patient or their family account holder), the
+ *       patient's doctors (any pending, confirmed or completed appointment) and staff with `patients:read`. Adding,
+ *       changing and downloading records is limited to treating doctors with a confirmed or completed appointment.
+ *       Documents, which can carry links to the files, are only listed for the account and treating doctors.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - $ref: '#/components/parameters/PatientRecordTypeParam'
+ *     responses:
+ *       200:
+ *         description: Records, newest first
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPatientRecords = async (req, res) => {
+  const recordType = RECORD_TYPES[req.params.recordType];
+
+  try {
+    const [rows] = await db.query(
+      `SELECT * FROM ${recordType.table} WHERE patient_profile_id = ? ORDER BY ${recordType.orderBy}`,
+      [req.patientProfile.id]
+    );
+
+    const data = rows.map((row) => formatRecord(recordType, row));
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error(`Error fetching patient ${req.params.recordType} (Profile ID: ${req.patientProfile.id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/{recordType}:
+ *   post:
+ *     summary: Add a condition, allergy, vital reading or document to a patient's record
+ *     description: Allowed for the account that owns the patient profile and the patient's treating doctors.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - $ref: '#/components/parameters/PatientRecordTypeParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientRecordInput'
+ *     responses:
+ *       201:
+ *         description: Record created
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile not found
+ *       500:
+ *         description: Server error
+ */
+
+export const createPatientRecord = async (req, res) => {
+  const recordType = RECORD_TYPES[req.params.recordType];
+  const body = req.body || {};
+
+  const { errors, values } = validateFields(body, recordType.fields);
+  if (errors.length === 0 && recordType.check) {
+    errors.push(...recordType.check(values, body, null));
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const [result] = await db.query(`INSERT INTO ${recordType.table} SET ?`, [
+      {
+        ...recordType.defaults,
+        ...values,
+        patient_profile_id: req.patientProfile.id,
+        recorded_by: req.user.sub,
+      },
+    ]);
+    const record = await findRecord(recordType, req.patientProfile.id, result.insertId);
+
+    return res.status(201).json({
+      message: `${recordType.label} added successfully`,
+      record: formatRecord(recordType, record),
+    });
+  } catch (error) {
+    console.error(`Error creating patient ${req.params.recordType} (Profile ID: ${req.patientProfile.id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/{recordType}/{recordId}:
+ *   put:
+ *     summary: Edit a record in a patient's medical history
+ *     description: >
+ *       Partial update; send only the fields to change. Condition status changes must follow
+ *       Suspected → Active | Resolved, Active → Managed | Resolved, Managed → Active | Resolved, Resolved → Active.
+ *       Allowed for the account that owns the patient profile and the patient's treating doctors.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - $ref: '#/components/parameters/PatientRecordTypeParam'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientRecordInput'
+ *     responses:
+ *       200:
+ *         description: Record updated
+ *       400:
+ *         description: Validation failed or status change not allowed
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile or record not found
+ *       500:
+ *         description: Server error
+ */
+
+export const updatePatientRecord = async (req, res) => {
+  const recordType = RECORD_TYPES[req.params.recordType];
+  const { recordId } = req.params;
+  const body = req.body || {};
+
+  try {
+    const existing = await findRecord(recordType, req.patientProfile.id, recordId);
+    if (!existing) {
+      return res.status(404).json({ error: `${recordType.label} not found` });
+    }
+
+    const { errors, values } = validateFields(body, recordType.fields, { partial: true });
+    if (errors.length === 0 && recordType.check) {
+      errors.push(...recordType.check(values, body, existing));
+    }
+    if (errors.length === 0 && Object.keys(values).length === 0) {
+      errors.push("No fields to update");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: errors });
+    }
+
+    await db.query(`UPDATE ${recordType.table} SET ? WHERE id = ?`, [values, existing.id]);
+    const record = await findRecord(recordType, req.patientProfile.id, existing.id);
+
+    return res.status(200).json({
+      message: `${recordType.label} updated successfully`,
+      record: formatRecord(recordType, record),
+    });
+  } catch (error) {
+    console.error(`Error updating patient ${req.params.recordType} (ID: ${recordId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/{recordType}/{recordId}:
+ *   delete:
+ *     summary: Remove a record from a patient's medical history
+ *     description: Allowed for the account that owns the patient profile and the patient's treating doctors.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - $ref: '#/components/parameters/PatientRecordTypeParam'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Record deleted
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile or record not found
+ *       500:
+ *         description: Server error
+ */
+
+export const deletePatientRecord = async (req, res) => {
+  const recordType = RECORD_TYPES[req.params.recordType];
+  const { recordId } = req.params;
+
+  try {
+    const existing = await findRecord(recordType, req.patientProfile.id, recordId);
+    if (!existing) {
+      return res.status(404).json({ error: `${recordType.label} not found` });
+    }
+
+    await db.query(`DELETE FROM ${recordType.table} WHERE id = ?`, [existing.id]);
+    if (recordType.onDelete) await recordType.onDelete(existing);
+
+    return res.status(200).json({ message: `${recordType.label} deleted successfully` });
+  } catch (error) {
+    console.error(`Error deleting patient ${req.params.recordType} (ID: ${recordId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/vitals/history:
+ *   get:
+ *     summary: Vitals time-series with trends and abnormal-range flags
+ *     description: >
+ *       Returns one series per vital type (and unit) over the date range, oldest reading first, with min / max / avg
+ *       per component, the latest reading and the reference range used. Readings outside the configured reference
+ *       range (config/vitals.js, overridable with VITAL_REFERENCE_RANGES) are flagged `low` or `high` per component.
+ *       Same access rules as the patient record endpoints.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day included (YYYY-MM-DD); defaults to 90 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day included (YYYY-MM-DD); defaults to today
+ *       - in: query
+ *         name: vital_type
+ *         schema:
+ *           type: string
+ *         description: Comma separated vital types, e.g. blood_pressure,spo2
+ *     responses:
+ *       200:
+ *         description: Vital series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       vital_type:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       unit:
+ *                         type: string
+ *                       reference_range:
+ *                         type: object
+ *                         nullable: true
+ *                       count:
+ *                         type: integer
+ *                       abnormal_count:
+ *                         type: integer
+ *                       stats:
+ *                         type: object
+ *                       latest:
+ *                         type: object
+ *                       readings:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                   example:
+ *                     - vital_type: blood_pressure
+ *                       label: Blood pressure
+ *                       unit: mmHg
+ *                       reference_range: { systolic: { min: 90, max: 120 }, diastolic: { min: 60, max: 80 } }
+ *                       count: 2
+ *                       abnormal_count: 1
+ *                       stats: { systolic: { min: 118, max: 142, avg: 130 }, diastolic: { min: 78, max: 92, avg: 85 } }
+ *                       latest: { id: 12, recorded_at: "2025-06-02T08:00:00.000Z", values: { systolic: 142, diastolic: 92 }, flags: { systolic: high, diastolic: high }, is_abnormal: true }
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getVitalsHistory = async (req, res) => {
+  const errors = [];
+  const { from, vital_type } = req.query;
+  const to = req.query.to ?? formatLocalDate(new Date());
+
+  if (!DATE_PATTERN.test(to) || isNaN(new Date(to).getTime())) errors.push("to must be a date (YYYY-MM-DD)");
+  if (from !== undefined && (!DATE_PATTERN.test(from) || isNaN(new Date(from).getTime()))) {
+    errors.push("from must be a date (YYYY-MM-DD)");
+  }
+
+  const start =
+    from ??
+    (errors.length === 0
+      ? formatLocalDate(new Date(new Date(`${to}T00:00:00`).getTime() - DEFAULT_VITALS_HISTORY_DAYS * 86400000))
+      : null);
+  if (errors.length === 0 && start > to) errors.push("from cannot be after to");
+
+  const vitalTypes = vital_type
+    ? String(vital_type)
+        .split(",")
+        .map((type) => type.trim())
+        .filter(Boolean)
+    : [];
+  const unknownTypes = vitalTypes.filter((type) => !VITAL_TYPES[type]);
+  if (unknownTypes.length > 0) {
+    errors.push(`vital_type must be one of ${Object.keys(VITAL_TYPES).join(", ")}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query", details: errors });
+  }
+
+  try {
+    const [rows] = await db.query(
+      `SELECT id, vital_type, \`values\`, unit, recorded_at
+       FROM patient_vitals
+       WHERE patient_profile_id = ?
+         AND recorded_at >= ? AND recorded_at < DATE_ADD(?, INTERVAL 1 DAY)
+         ${vitalTypes.length > 0 ? "AND vital_type IN (?)" : ""}
+       ORDER BY recorded_at ASC, id ASC`,
+      [req.patientProfile.id, start, to, ...(vitalTypes.length > 0 ? [vitalTypes] : [])]
+    );
+
+    return res.status(200).json({ from: start, to, data: buildVitalSeries(rows) });
+  } catch (error) {
+    console.error(`Error fetching vitals history (Profile ID: ${req.patientProfile.id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/documents/upload:
+ *   post:
+ *     summary: Upload a medical document to private storage
+ *     description: >
+ *       Accepts one PDF, DICOM (.dcm), JPG, PNG or WEBP file (PATIENT_DOCUMENT_MAX_SIZE_MB, default 25). The file is
+ *       stored privately and can only be fetched through a signed URL from the download endpoint. Allowed for the
+ *       account that owns the patient profile and the patient's treating doctors.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, document_type]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               document_type:
+ *                 type: string
+ *                 example: Lab Report
+ *               document_name:
+ *                 type: string
+ *                 description: Defaults to the file name
+ *                 example: CBC June 2025
+ *     responses:
+ *       201:
+ *         description: Document uploaded
+ *       400:
+ *         description: Missing or invalid file, or validation failed
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile not found
+ *       500:
+ *         description: Server error
+ */
+
+export const uploadPatientDocument = async (req, res) => {
+  const recordType = RECORD_TYPES.documents;
+
+  if (!req.file || !req.file.buffer) {
+    return res.status(400).json({ error: "Invalid upload", details: ["file is required"] });
+  }
+
+  const { errors, values } = validateFields(
+    { document_name: req.file.originalname, ...req.body },
+    { document_name: recordType.fields.document_name, document_type: recordType.fields.document_type }
+  );
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let stored = null;
+  let documentId = null;
+  try {
+    stored = await uploadPrivateDocument(req.file.buffer, String(req.patientProfile.id));
+
+    const [result] = await db.query(`INSERT INTO patient_documents SET ?`, [
+      {
+        ...values,
+        document_url: null,
+        storage_public_id: stored.public_id,
+        file_format: stored.format || getDocumentFormat(req.file),
+        mime_type: req.file.mimetype,
+        file_size_bytes: req.file.size,
+        patient_profile_id: req.patientProfile.id,
+        recorded_by: req.user.sub,
+      },
+    ]);
+    documentId = result.insertId;
+    const record = await findRecord(recordType, req.patientProfile.id, documentId);
+
+    return res.status(201).json({
+      message: "Document uploaded successfully",
+      record: formatRecord(recordType, record),
+    });
+  } catch (error) {
+    console.error(`Error uploading patient document (Profile ID: ${req.patientProfile.id}):`, error);
+
+    // ✅ Don't leave a private document in storage without a row pointing at it
+    if (stored && documentId === null) {
+      try {
+        await deletePrivateDocument(stored.public_id);
+      } catch (cleanupError) {
+        console.error(`❌ Failed to delete stored document ${stored.public_id}:`, cleanupError.message);
+      }
+    }
+    return res.status(500).json({ error: "Document upload failed", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/patients/{profileId}/documents/{recordId}/download:
+ *   get:
+ *     summary: Get a time-limited download URL for a patient document
+ *     description: >
+ *       Returns a signed URL that expires after PATIENT_DOCUMENT_URL_TTL_SECONDS (default 300). With `preview=true`
+ *       the URL serves a JPG preview (first page of a PDF, rendered DICOM image). Documents added as plain links return
+ *       their stored URL. Only the account that owns the patient profile and the patient's treating doctors may fetch
+ *       documents.
+ *     tags:
+ *       - Patient Records
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PatientProfileIdParam'
+ *       - in: path
+ *         name: recordId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: preview
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Download URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 ttl_seconds:
+ *                   type: integer
+ *       403:
+ *         description: Not the patient, their family account or a treating doctor
+ *       404:
+ *         description: Patient profile or document not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPatientDocumentUrl = async (req, res) => {
+  const { recordId } = req.params;
+  const preview = req.query.preview === "true";
+
+  try {
+    const document = await findRecord(RECORD_TYPES.documents, req.patientProfile.id, recordId);
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    if (!document.storage_public_id) {
+      return res.status(200).json({ url: document.document_url, expires_at: null });
+    }
+
+    const signed = getSignedDocumentUrl(document.storage_public_id, document.file_format, { preview });
+    return res.status(200).json({ ...signed, ttl_seconds: config.patientDocuments.signedUrlTtlSeconds });
+  } catch (error) {
+    console.error(`Error signing patient document URL (ID: ${recordId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
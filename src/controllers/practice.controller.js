@@ -0,0 +1,647 @@
+import db from "../config/db.js";
+import { hasPermission, PERMISSIONS } from "../middleware/rbac.js";
+import {
+  endPractice,
+  ensurePrimaryPractice,
+  getFeeHistory,
+  recordFeeChange,
+  setPrimaryPractice,
+} from "../models/DoctorPractice.js";
+import { validateFields } from "../utils/validation.js";
+
+const PRACTICE_FIELDS = {
+  clinic_id: { type: "int", min: 1 },
+  hospital_department_id: { type: "int", min: 1 },
+  practice_type: { type: "string", maxLength: 50 },
+  consultation_fee: { type: "number", min: 0 },
+  is_primary: { type: "boolean" },
+  notes: { type: "string", maxLength: 1000 },
+};
+
+// The facility of an affiliation cannot change; end it and add a new one instead
+const PRACTICE_UPDATE_FIELDS = {
+  practice_type: PRACTICE_FIELDS.practice_type,
+  consultation_fee: PRACTICE_FIELDS.consultation_fee,
+  is_primary: PRACTICE_FIELDS.is_primary,
+  notes: PRACTICE_FIELDS.notes,
+};
+
+const PRACTICE_COLUMNS = `
+  dp.id,
+  dp.doctor_id,
+  dp.clinic_id,
+  c.name AS clinic_name,
+  dp.hospital_department_id,
+  h.id AS hospital_id,
+  h.name AS hospital_name,
+  s.name AS department_name,
+  dp.practice_type,
+  dp.consultation_fee,
+  dp.is_primary,
+  dp.notes,
+  dp.is_active,
+  dp.ended_at,
+  dp.end_reason`;
+
+const PRACTICE_FROM = `
+  FROM doctor_practices dp
+  LEFT JOIN clinics c ON dp.clinic_id = c.id
+  LEFT JOIN hospital_departments hd ON dp.hospital_department_id = hd.id
+  LEFT JOIN hospitals h ON hd.hospital_id = h.id
+  LEFT JOIN specializations s ON hd.specialization_id = s.id`;
+
+const toPractice = (row) => ({
+  ...row,
+  consultation_fee: row.consultation_fee === null ? null : Number(row.consultation_fee),
+  is_primary: !!row.is_primary,
+  is_active: !!row.is_active,
+});
+
+const getPracticeById = async (id, executor = db) => {
+  const [rows] = await executor.query(`SELECT ${PRACTICE_COLUMNS} ${PRACTICE_FROM} WHERE dp.id = ?`, [id]);
+  return rows.length > 0 ? toPractice(rows[0]) : null;
+};
+
+// Loads a doctor and checks the caller may manage their practices: practices:manage or the doctor themselves.
+// Sends the error response and returns null when not allowed.
+const loadManageableDoctor = async (req, res, doctorId, executor = db) => {
+  const [rows] = await executor.query(`SELECT id, user_id FROM doctors WHERE id = ?`, [doctorId]);
+  if (rows.length === 0) {
+    res.status(404).json({ error: "Doctor not found" });
+    return null;
+  }
+
+  const doctor = rows[0];
+  if (doctor.user_id !== Number(req.user.sub) && !(await hasPermission(req, PERMISSIONS.PRACTICES_MANAGE))) {
+    res.status(403).json({ message: "Access Denied: You can only manage your own practices" });
+    return null;
+  }
+  return doctor;
+};
+
+// Checks the clinic or hospital department of a new affiliation exists and is active.
+// Returns an error message, or null when the facility can take the affiliation.
+const checkPracticeFacility = async (connection, { clinic_id, hospital_department_id }) => {
+  if (clinic_id) {
+    const [rows] = await connection.query(`SELECT is_active FROM clinics WHERE id = ?`, [clinic_id]);
+    if (rows.length === 0) return "clinic_id does not exist";
+    return rows[0].is_active ? null : "Clinic is deactivated";
+  }
+
+  const [rows] = await connection.query(
+    `SELECT hd.is_active, h.is_active AS hospital_is_active
+     FROM hospital_departments hd
+     JOIN hospitals h ON hd.hospital_id = h.id
+     WHERE hd.id = ?`,
+    [hospital_department_id]
+  );
+  if (rows.length === 0) return "hospital_department_id does not exist";
+  if (!rows[0].hospital_is_active) return "Hospital is deactivated";
+  return rows[0].is_active ? null : "Hospital department is deactivated";
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorPractice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctor_id:
+ *           type: integer
+ *         clinic_id:
+ *           type: integer
+ *           nullable: true
+ *         clinic_name:
+ *           type: string
+ *           nullable: true
+ *         hospital_department_id:
+ *           type: integer
+ *           nullable: true
+ *         hospital_id:
+ *           type: integer
+ *           nullable: true
+ *         hospital_name:
+ *           type: string
+ *           nullable: true
+ *         department_name:
+ *           type: string
+ *           nullable: true
+ *         practice_type:
+ *           type: string
+ *         consultation_fee:
+ *           type: number
+ *           nullable: true
+ *         is_primary:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         ended_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         end_reason:
+ *           type: string
+ *           nullable: true
+ */
+
+
+/**
+ * @swagger
+ * /api/doctors/{doctorId}/practices:
+ *   get:
+ *     summary: List a doctor's practice affiliations
+ *     description: Returns active affiliations, primary first. Ended ones are included with `include_ended=true`.
+ *     tags:
+ *       - Doctor Practices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_ended
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Practice affiliations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoctorPractice'
+ *       500:
+ *         description: Server error
+ */
+
+export const getDoctorPractices = async (req, res) => {
+  const { doctorId } = req.params;
+  const includeEnded = req.query.include_ended === "true";
+
+  try {
+    const [rows] = await db.query(
+      `SELECT ${PRACTICE_COLUMNS} ${PRACTICE_FROM}
+       WHERE dp.doctor_id = ? ${includeEnded ? "" : "AND dp.is_active = 1"}
+       ORDER BY dp.is_active DESC, dp.is_primary DESC, dp.id ASC`,
+      [doctorId]
+    );
+
+    return res.status(200).json({ success: true, count: rows.length, data: rows.map(toPractice) });
+  } catch (error) {
+    console.error(`Error fetching practices (Doctor ID: ${doctorId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctors/{doctorId}/practices:
+ *   post:
+ *     summary: Add a practice affiliation
+ *     description: >
+ *       Links the doctor to exactly one active clinic or hospital department. A doctor has exactly one primary
+ *       practice: the first affiliation becomes primary automatically, and `is_primary: true` moves the primary
+ *       flag from the current primary. Allowed for the doctor themselves or `practices:manage`.
+ *     tags:
+ *       - Doctor Practices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               clinic_id:
+ *                 type: integer
+ *               hospital_department_id:
+ *                 type: integer
+ *               practice_type:
+ *                 type: string
+ *                 example: Consultant
+ *               consultation_fee:
+ *                 type: number
+ *                 example: 600
+ *               is_primary:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Affiliation created
+ *       400:
+ *         description: Validation failed, or the facility does not exist or is deactivated
+ *       403:
+ *         description: Not the doctor
+ *       404:
+ *         description: Doctor not found
+ *       409:
+ *         description: The doctor already has an active affiliation with this facility
+ *       500:
+ *         description: Server error
+ */
+
+export const createDoctorPractice = async (req, res) => {
+  const { doctorId } = req.params;
+
+  const { errors, values } = validateFields(req.body, PRACTICE_FIELDS);
+  if (!values.clinic_id === !values.hospital_department_id) {
+    errors.push("Provide exactly one of clinic_id or hospital_department_id");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const doctor = await loadManageableDoctor(req, res, doctorId, connection);
+    if (!doctor) {
+      await connection.rollback();
+      return;
+    }
+
+    // ✅ Serialise practice changes per doctor so the primary flag cannot race
+    await connection.query(`SELECT id FROM doctors WHERE id = ? FOR UPDATE`, [doctor.id]);
+
+    const facilityError = await checkPracticeFacility(connection, values);
+    if (facilityError) {
+      await connection.rollback();
+      return res.status(400).json({ error: facilityError });
+    }
+
+    const [duplicates] = await connection.query(
+      `SELECT id FROM doctor_practices
+       WHERE doctor_id = ? AND is_active = 1 AND (clinic_id = ? OR hospital_department_id = ?)`,
+      [doctor.id, values.clinic_id ?? null, values.hospital_department_id ?? null]
+    );
+    if (duplicates.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: "Doctor already has an active affiliation with this facility",
+        doctor_practice_id: duplicates[0].id,
+      });
+    }
+
+    const { is_primary: makePrimary, ...fields } = values;
+    const [result] = await connection.query(`INSERT INTO doctor_practices SET ?`, [
+      { ...fields, doctor_id: doctor.id, is_primary: 0 },
+    ]);
+    const practiceId = result.insertId;
+
+    await recordFeeChange(connection, practiceId, values.consultation_fee ?? null, req.user.sub);
+    if (makePrimary) {
+      await setPrimaryPractice(connection, doctor.id, practiceId);
+    } else {
+      await ensurePrimaryPractice(connection, doctor.id);
+    }
+
+    await connection.commit();
+
+    const practice = await getPracticeById(practiceId);
+    return res.status(201).json({ message: "Practice affiliation created successfully", practice });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error creating practice (Doctor ID: ${doctorId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-practices/{id}:
+ *   put:
+ *     summary: Edit a practice affiliation
+ *     description: >
+ *       Partial update of the practice type, fee, notes or primary flag. A fee change closes the current fee period
+ *       and opens a new one, so past appointments keep the fee they were booked at. The primary flag can only be
+ *       moved by making another practice primary. Ended affiliations cannot be edited.
+ *     tags:
+ *       - Doctor Practices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               practice_type:
+ *                 type: string
+ *               consultation_fee:
+ *                 type: number
+ *               is_primary:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Affiliation updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the doctor
+ *       404:
+ *         description: Practice not found
+ *       409:
+ *         description: Affiliation has ended
+ *       500:
+ *         description: Server error
+ */
+
+export const updateDoctorPractice = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, PRACTICE_UPDATE_FIELDS, { partial: true });
+  if (values.is_primary === null) {
+    errors.push("is_primary cannot be null");
+  }
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push("No fields to update");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(`SELECT * FROM doctor_practices WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Doctor practice not found" });
+    }
+
+    const existing = rows[0];
+    const doctor = await loadManageableDoctor(req, res, existing.doctor_id, connection);
+    if (!doctor) {
+      await connection.rollback();
+      return;
+    }
+    if (!existing.is_active) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Doctor practice affiliation has ended" });
+    }
+    if (values.is_primary === false && existing.is_primary) {
+      await connection.rollback();
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["A doctor needs a primary practice; make another practice primary instead"],
+      });
+    }
+
+    await connection.query(`SELECT id FROM doctors WHERE id = ? FOR UPDATE`, [doctor.id]);
+
+    const { is_primary: makePrimary, ...fields } = values;
+    if (Object.keys(fields).length > 0) {
+      await connection.query(`UPDATE doctor_practices SET ? WHERE id = ?`, [fields, id]);
+    }
+
+    const currentFee = existing.consultation_fee === null ? null : Number(existing.consultation_fee);
+    if (values.consultation_fee !== undefined && values.consultation_fee !== currentFee) {
+      await recordFeeChange(connection, existing.id, values.consultation_fee, req.user.sub);
+    }
+    if (makePrimary && !existing.is_primary) {
+      await setPrimaryPractice(connection, doctor.id, existing.id);
+    }
+
+    await connection.commit();
+
+    const practice = await getPracticeById(id);
+    return res.status(200).json({ message: "Practice affiliation updated successfully", practice });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error updating practice (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-practices/{id}/end:
+ *   patch:
+ *     summary: End a practice affiliation
+ *     description: >
+ *       Marks the affiliation as ended and deactivates its schedules. Unbooked future slots are removed and
+ *       upcoming appointments are flagged `needs_reschedule`. When the primary practice ends, the doctor's oldest
+ *       remaining active practice becomes primary.
+ *     tags:
+ *       - Doctor Practices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Moved to another city
+ *     responses:
+ *       200:
+ *         description: Affiliation ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 removed_slots:
+ *                   type: integer
+ *                 flagged_appointments:
+ *                   type: integer
+ *                 new_primary_practice_id:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the doctor
+ *       404:
+ *         description: Practice not found
+ *       409:
+ *         description: Affiliation has already ended
+ *       500:
+ *         description: Server error
+ */
+
+export const endDoctorPractice = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, { reason: { type: "string", maxLength: 255 } });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(`SELECT * FROM doctor_practices WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Doctor practice not found" });
+    }
+
+    const existing = rows[0];
+    const doctor = await loadManageableDoctor(req, res, existing.doctor_id, connection);
+    if (!doctor) {
+      await connection.rollback();
+      return;
+    }
+    if (!existing.is_active) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Doctor practice affiliation has already ended" });
+    }
+
+    await connection.query(`SELECT id FROM doctors WHERE id = ? FOR UPDATE`, [doctor.id]);
+
+    const { removedSlots, flaggedAppointments } = await endPractice(connection, existing.id, values.reason ?? null);
+    const newPrimaryId = existing.is_primary ? await ensurePrimaryPractice(connection, doctor.id) : null;
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: "Practice affiliation ended successfully",
+      removed_slots: removedSlots,
+      flagged_appointments: flaggedAppointments,
+      new_primary_practice_id: newPrimaryId,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error ending practice (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-practices/{id}/fees:
+ *   get:
+ *     summary: Consultation fee history of a practice
+ *     description: Fee periods newest first; the open period has a null `effective_to`. Allowed for the doctor or `practices:manage`.
+ *     tags:
+ *       - Doctor Practices
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Fee history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       consultation_fee:
+ *                         type: number
+ *                         nullable: true
+ *                       effective_from:
+ *                         type: string
+ *                         format: date-time
+ *                       effective_to:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       changed_by:
+ *                         type: integer
+ *                         nullable: true
+ *                       changed_by_name:
+ *                         type: string
+ *                         nullable: true
+ *       403:
+ *         description: Not the doctor
+ *       404:
+ *         description: Practice not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPracticeFeeHistory = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await db.query(`SELECT id, doctor_id FROM doctor_practices WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Doctor practice not found" });
+    }
+
+    const doctor = await loadManageableDoctor(req, res, rows[0].doctor_id);
+    if (!doctor) return;
+
+    const history = await getFeeHistory(rows[0].id);
+    return res.status(200).json({ success: true, count: history.length, data: history });
+  } catch (error) {
+    console.error(`Error fetching fee history (Practice ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
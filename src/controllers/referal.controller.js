@@ -1,4 +1,6 @@
 import db from "../config/db.js";
+import { PARTNER_STATUS } from "../models/ChannelPartner.js";
+import { fetchPage, parseListQuery } from "../utils/listQuery.js";
 
 
 /**
@@ -6,11 +8,42 @@ import db from "../config/db.js";
  * /admin/channel-partners:
  *   get:
  *     summary: Get all channel partners
- *     description: Fetches all channel partners along with their user details (full name, email, phone).
+ *     description: Fetches a page of channel partners along with their user details (full name, email, phone).
  *     tags:
  *       - Channel Partners
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [company_name, -company_name, created_at, -created_at, commission_percentage, -commission_percentage]
+ *           default: -created_at
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: company_name
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by company name (partial match)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *         required: false
+ *         description: Filter by partner status
+ *       - in: query
+ *         name: gst_number
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by exact GST number
  *     responses:
  *       200:
  *         description: Successfully fetched channel partners
@@ -19,9 +52,8 @@ import db from "../config/db.js";
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -38,10 +70,16 @@ import db from "../config/db.js";
  *                         example: ABC Pvt Ltd
  *                       gst_number:
  *                         type: string
- *                         example: 29ABCDE1234F1Z5
+ *                         example: 27AAPFU0939F1ZV
  *                       address:
  *                         type: string
  *                         example: 123 Main Street, Mumbai
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, approved, rejected, suspended]
+ *                       commission_percentage:
+ *                         type: number
+ *                         example: 10
  *                       created_at:
  *                         type: string
  *                         format: date-time
@@ -65,20 +103,38 @@ import db from "../config/db.js";
 
 export const getAllChannelPartners = async (req, res) => {
   try {
-    const [rows] = await db.query(`
+    const listQuery = parseListQuery(req.query, {
+      sortable: {
+        company_name: "cpp.company_name",
+        created_at: "cpp.created_at",
+        commission_percentage: "cpp.commission_percentage",
+      },
+      defaultSort: "-created_at",
+      filters: {
+        company_name: { column: "cpp.company_name" },
+        status: { column: "cpp.status", type: "enum", values: Object.values(PARTNER_STATUS) },
+        gst_number: { column: "cpp.gst_number", op: "eq" },
+      },
+      cursorColumn: "cpp.id",
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: "Invalid query", details: listQuery.errors });
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `
       SELECT 
         cpp.*, 
         u.full_name, 
         u.email, 
-        u.phone
+        u.phone`,
+      from: `
       FROM channel_partner_profiles cpp
-      JOIN users u ON cpp.user_id = u.id
-    `);
-
-    res.status(200).json({
-      success: true,
-      data: rows,
+      JOIN users u ON cpp.user_id = u.id`,
+      listQuery,
     });
+
+    res.status(200).json({ data: rows, pagination });
   } catch (error) {
     console.error("Error fetching channel partners:", error);
     res.status(500).json({
@@ -97,11 +153,48 @@ export const getAllChannelPartners = async (req, res) => {
  * /admin/refrals-details:
  *   get:
  *     summary: Get all referrals grouped by referrer
- *     description: Fetches all referrals, grouped by the referrer (channel partner) with details of referees.
+ *     description: >
+ *       Fetches a page of referrals, grouped by the referrer (channel partner) with details of referees.
+ *       Pagination applies to referral rows, so a referrer with many referrals can appear on several pages.
  *     tags:
  *       - Referrals
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, status, -status]
+ *           default: -created_at
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by referral status
+ *       - in: query
+ *         name: referrer_id
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         required: false
  *     responses:
  *       200:
  *         description: Successfully fetched referrals
@@ -110,12 +203,8 @@ export const getAllChannelPartners = async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 count:
- *                   type: integer
- *                   example: 2
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *                 data:
  *                   type: array
  *                   items:
@@ -187,7 +276,23 @@ export const getAllChannelPartners = async (req, res) => {
 
 export const getAllReferrals = async (req, res) => {
   try {
-    const [rows] = await db.query(`
+    const listQuery = parseListQuery(req.query, {
+      sortable: { created_at: "r.created_at", status: "r.status" },
+      defaultSort: "-created_at",
+      filters: {
+        status: { column: "r.status", op: "eq" },
+        referrer_id: { column: "r.referrer_id", type: "int" },
+        created_from: { column: "r.created_at", type: "date", op: "gte" },
+        created_to: { column: "r.created_at", type: "date", op: "lte" },
+      },
+      cursorColumn: "r.id",
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: "Invalid query", details: listQuery.errors });
+    }
+
+    const { rows, pagination } = await fetchPage(db, {
+      select: `
       SELECT 
         r.id AS referral_id,
         r.referral_code,
@@ -210,14 +315,15 @@ export const getAllReferrals = async (req, res) => {
         u2.id AS referee_id,
         u2.full_name AS referee_name,
         u2.email AS referee_email,
-        u2.phone AS referee_phone
-        
+        u2.phone AS referee_phone`,
+      from: `
       FROM referrals r
       JOIN users u1 ON r.referrer_id = u1.id
       JOIN users u2 ON r.referee_id = u2.id
-      LEFT JOIN channel_partner_profiles cpp ON cpp.user_id = u1.id
-      ORDER BY r.created_at DESC
-    `);
+      LEFT JOIN channel_partner_profiles cpp ON cpp.user_id = u1.id`,
+      listQuery,
+      cursorKey: "referral_id",
+    });
 
     // Group referrals by referrer
     const grouped = {};
@@ -256,9 +362,8 @@ export const getAllReferrals = async (req, res) => {
     });
 
     res.status(200).json({
-      success: true,
-      count: Object.keys(grouped).length, // number of referrers
       data: Object.values(grouped), // array of referrers with their referees
+      pagination,
     });
 
   } catch (error) {
@@ -0,0 +1,909 @@
+import config from "../config/config.js";
+import db from "../config/db.js";
+import { hasPermission, PERMISSIONS } from "../middleware/rbac.js";
+import { APPOINTMENT_STATUS } from "../models/Appointment.js";
+import { REVIEW_STATUS, getRatingBreakdown, recalculateDoctorRating, setReviewStatus } from "../models/Review.js";
+import { screenText } from "../utils/contentFilter.js";
+import { fetchPage, parseListQuery } from "../utils/listQuery.js";
+import { validateFields } from "../utils/validation.js";
+
+const REVIEW_COLUMNS = `
+  r.id,
+  r.doctor_id,
+  du.full_name AS doctor_name,
+  r.patient_profile_id,
+  COALESCE(p.full_name, pu.full_name) AS patient_name,
+  r.appointment_id,
+  r.rating,
+  r.review_text,
+  r.moderation_status,
+  r.is_public,
+  r.moderation_note,
+  r.moderated_by,
+  r.moderated_at,
+  r.flag_reason,
+  r.flagged_by,
+  r.flagged_at,
+  r.doctor_reply,
+  r.doctor_replied_at,
+  r.edited_at,
+  r.created_at`;
+
+const REVIEW_FROM = `
+  FROM reviews r
+  JOIN doctors d ON r.doctor_id = d.id
+  JOIN users du ON d.user_id = du.id
+  LEFT JOIN patient_profiles p ON r.patient_profile_id = p.id
+  LEFT JOIN users pu ON p.user_id = pu.id`;
+
+const getReviewById = async (id, executor = db) => {
+  const [rows] = await executor.query(`SELECT ${REVIEW_COLUMNS} ${REVIEW_FROM} WHERE r.id = ?`, [id]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Loads a review with the user id of the reviewed doctor, locking it for the rest of the transaction
+const lockReview = async (connection, id) => {
+  const [rows] = await connection.query(
+    `SELECT r.*, d.user_id AS doctor_user_id
+     FROM reviews r
+     JOIN doctors d ON r.doctor_id = d.id
+     WHERE r.id = ?
+     FOR UPDATE`,
+    [id]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// A flag stays open until a moderator acts on the review after it was raised
+const OPEN_FLAG_SQL = "r.flagged_at IS NOT NULL AND (r.moderated_at IS NULL OR r.moderated_at < r.flagged_at)";
+const hasOpenFlag = (review) =>
+  Boolean(review.flagged_at) && (!review.moderated_at || review.moderated_at < review.flagged_at);
+
+const REVIEW_SCHEMA = {
+  rating: { type: "int", required: true, min: 1, max: 5 },
+  review_text: { type: "string", maxLength: 2000, nullable: true },
+};
+
+const getEditableUntil = (createdAt) =>
+  new Date(new Date(createdAt).getTime() + config.reviews.editWindowHours * 60 * 60 * 1000);
+
+// Runs the content filter over patient-written text. Clean text can go straight to published;
+// anything the filter catches waits for a moderator with the reasons in the moderation note.
+const screenReview = (text) => {
+  const check = screenText(text);
+  return {
+    check,
+    status: check.clean && config.reviews.autoPublishClean ? REVIEW_STATUS.PUBLISHED : REVIEW_STATUS.PENDING,
+    moderation_note: check.clean ? null : `Held by content filter: ${check.reasons.join(", ")}`,
+  };
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctor_id:
+ *           type: integer
+ *         doctor_name:
+ *           type: string
+ *         patient_profile_id:
+ *           type: integer
+ *         patient_name:
+ *           type: string
+ *         appointment_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The completed appointment the review was written for
+ *         rating:
+ *           type: number
+ *           example: 4
+ *         review_text:
+ *           type: string
+ *         moderation_status:
+ *           type: string
+ *           enum: [pending, published, hidden, flagged]
+ *         is_public:
+ *           type: integer
+ *           description: 1 exactly when the review is published
+ *         moderation_note:
+ *           type: string
+ *           nullable: true
+ *         flag_reason:
+ *           type: string
+ *           nullable: true
+ *         doctor_reply:
+ *           type: string
+ *           nullable: true
+ *         doctor_replied_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         edited_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+
+/**
+ * @swagger
+ * /api/admin/reviews/moderation:
+ *   get:
+ *     summary: Review moderation queue
+ *     description: Pending, flagged and reported reviews by default, oldest first. Requires the `reviews:moderate` permission.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, rating, -rating]
+ *           default: created_at
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, published, hidden, flagged]
+ *         description: Only reviews in this status (default pending and flagged, plus reviews with an open report)
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+
+export const getModerationQueue = async (req, res) => {
+  const listQuery = parseListQuery(req.query, {
+    sortable: { created_at: "r.created_at", rating: "r.rating" },
+    defaultSort: "created_at",
+    filters: {
+      status: { column: "r.moderation_status", type: "enum", values: Object.values(REVIEW_STATUS) },
+      doctor_id: { column: "r.doctor_id", type: "int" },
+    },
+  });
+  if (listQuery.errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query", details: listQuery.errors });
+  }
+
+  try {
+    const { rows, pagination } = await fetchPage(db, {
+      select: `SELECT ${REVIEW_COLUMNS}`,
+      from: REVIEW_FROM,
+      where: req.query.status ? [] : [`(r.moderation_status IN (?) OR (${OPEN_FLAG_SQL}))`],
+      params: req.query.status ? [] : [[REVIEW_STATUS.PENDING, REVIEW_STATUS.FLAGGED]],
+      listQuery,
+    });
+
+    return res.status(200).json({ data: rows, pagination });
+  } catch (error) {
+    console.error("Error fetching review moderation queue:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+// Builds a moderator handler that moves a review to `status`
+const moderateReview = (status) => async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, { note: { type: "string", maxLength: 255 } });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const review = await lockReview(connection, id);
+    if (!review) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Review not found" });
+    }
+    // Publishing a reported review that is already published dismisses the report
+    if (review.moderation_status === status && !(status === REVIEW_STATUS.PUBLISHED && hasOpenFlag(review))) {
+      await connection.rollback();
+      return res.status(400).json({ error: `Review is already ${status}` });
+    }
+
+    const rating = await setReviewStatus(connection, review, status, {
+      moderation_note: values.note ?? null,
+      moderated_by: req.user.sub,
+      moderated_at: new Date(),
+    });
+
+    await connection.commit();
+
+    return res.status(200).json({
+      message: `Review ${status} successfully`,
+      review: await getReviewById(id),
+      doctor_rating: rating,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error moderating review (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/reviews/{id}/publish:
+ *   patch:
+ *     summary: Publish a review
+ *     description: Makes the review public and recalculates the doctor's average rating and review count. Requires `reviews:moderate`.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review published, with the doctor's recalculated rating
+ *       400:
+ *         description: Review is already published
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ */
+export const publishReview = moderateReview(REVIEW_STATUS.PUBLISHED);
+
+/**
+ * @swagger
+ * /api/admin/reviews/{id}/hide:
+ *   patch:
+ *     summary: Hide a review
+ *     description: Removes the review from public view and recalculates the doctor's rating. Requires `reviews:moderate`.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Contains personal contact details
+ *     responses:
+ *       200:
+ *         description: Review hidden, with the doctor's recalculated rating
+ *       400:
+ *         description: Review is already hidden
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ */
+export const hideReview = moderateReview(REVIEW_STATUS.HIDDEN);
+
+
+/**
+ * @swagger
+ * /api/reviews/{id}/flag:
+ *   post:
+ *     summary: Flag a review for abuse
+ *     description: >
+ *       Records the reason and puts the review in the moderation queue. The review keeps its status, and keeps
+ *       counting towards the doctor's rating, until a moderator hides it or publishes it to dismiss the report. Allowed
+ *       for the reviewed doctor and for `reviews:moderate`.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Abusive language
+ *     responses:
+ *       200:
+ *         description: Review reported to the moderators
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the reviewed doctor
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Review is hidden or already waiting for a moderator
+ *       500:
+ *         description: Server error
+ */
+
+export const flagReview = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, { reason: { type: "string", required: true, maxLength: 255 } });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const review = await lockReview(connection, id);
+    if (!review) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Review not found" });
+    }
+    if (review.doctor_user_id !== Number(req.user.sub) && !(await hasPermission(req, PERMISSIONS.REVIEWS_MODERATE))) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: You can only flag reviews about you" });
+    }
+    if ([REVIEW_STATUS.FLAGGED, REVIEW_STATUS.HIDDEN].includes(review.moderation_status)) {
+      await connection.rollback();
+      return res.status(409).json({ error: `Review is already ${review.moderation_status}` });
+    }
+    if (hasOpenFlag(review)) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Review is already waiting for a moderator" });
+    }
+
+    // Only a moderator takes a review down, so the status, is_public and the doctor's rating are left alone
+    await connection.query(`UPDATE reviews SET ? WHERE id = ?`, [
+      { flag_reason: values.reason, flagged_by: req.user.sub, flagged_at: new Date() },
+      review.id,
+    ]);
+
+    await connection.commit();
+    return res.status(200).json({ message: "Review flagged for moderation", review: await getReviewById(id) });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error flagging review (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reply:
+ *   put:
+ *     summary: Reply to a review as the reviewed doctor
+ *     description: Adds or replaces the doctor's public reply. Hidden reviews cannot be replied to.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reply]
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 example: Thank you for your feedback, glad you are feeling better.
+ *     responses:
+ *       200:
+ *         description: Reply saved
+ *       400:
+ *         description: Validation failed or review is hidden
+ *       403:
+ *         description: Not the reviewed doctor
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ */
+
+export const replyToReview = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, { reply: { type: "string", required: true, maxLength: 2000 } });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  try {
+    const [rows] = await db.query(
+      `SELECT r.id, r.moderation_status, d.user_id AS doctor_user_id
+       FROM reviews r
+       JOIN doctors d ON r.doctor_id = d.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const review = rows[0];
+    if (review.doctor_user_id !== Number(req.user.sub)) {
+      return res.status(403).json({ message: "Access Denied: Only the reviewed doctor can reply" });
+    }
+    if (review.moderation_status === REVIEW_STATUS.HIDDEN) {
+      return res.status(400).json({ error: "Hidden reviews cannot be replied to" });
+    }
+
+    await db.query(`UPDATE reviews SET doctor_reply = ?, doctor_replied_at = NOW() WHERE id = ?`, [values.reply, id]);
+
+    return res.status(200).json({ message: "Reply saved successfully", review: await getReviewById(id) });
+  } catch (error) {
+    console.error(`Error replying to review (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctors/{doctorId}/ratings:
+ *   get:
+ *     summary: Rating summary and per-star breakdown of a doctor
+ *     description: Counts published reviews only.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rating summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 doctor_id:
+ *                   type: integer
+ *                 average_rating:
+ *                   type: number
+ *                   example: 4.35
+ *                 total_reviews:
+ *                   type: integer
+ *                   example: 20
+ *                 breakdown:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stars:
+ *                         type: integer
+ *                       count:
+ *                         type: integer
+ *                       percentage:
+ *                         type: number
+ *                   example:
+ *                     - { stars: 5, count: 12, percentage: 60 }
+ *                     - { stars: 4, count: 5, percentage: 25 }
+ *                     - { stars: 3, count: 2, percentage: 10 }
+ *                     - { stars: 2, count: 0, percentage: 0 }
+ *                     - { stars: 1, count: 1, percentage: 5 }
+ *       404:
+ *         description: Doctor not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getDoctorRatingBreakdown = async (req, res) => {
+  const { doctorId } = req.params;
+
+  try {
+    const [rows] = await db.query(`SELECT id, average_rating, total_reviews FROM doctors WHERE id = ?`, [doctorId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Doctor not found" });
+    }
+
+    const breakdown = await getRatingBreakdown(rows[0].id);
+    return res.status(200).json({
+      doctor_id: rows[0].id,
+      average_rating: rows[0].average_rating === null ? null : Number(rows[0].average_rating),
+      total_reviews: rows[0].total_reviews,
+      breakdown,
+    });
+  } catch (error) {
+    console.error(`Error fetching rating breakdown (Doctor ID: ${doctorId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/appointments/{appointmentId}/review:
+ *   post:
+ *     summary: Review the doctor of a completed appointment
+ *     description: >
+ *       Only the account that owns the appointment's patient profile can review it, once the appointment is Completed.
+ *       Each appointment can be reviewed once. The text is screened for profanity and personal information
+ *       (phone, email, Aadhaar, PAN); clean reviews are published straight away, anything else waits in the
+ *       moderation queue. The review can be edited for `REVIEW_EDIT_WINDOW_HOURS` (default 72) after submission.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: appointmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               review_text:
+ *                 type: string
+ *                 example: Listened patiently and explained the treatment clearly.
+ *     responses:
+ *       201:
+ *         description: Review submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 review:
+ *                   $ref: '#/components/schemas/Review'
+ *                 content_check:
+ *                   type: object
+ *                   properties:
+ *                     clean:
+ *                       type: boolean
+ *                     reasons:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [phone number]
+ *                 editable_until:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Validation failed or the appointment is not completed
+ *       403:
+ *         description: Not the caller's appointment
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: The appointment has already been reviewed
+ *       500:
+ *         description: Server error
+ */
+
+export const submitReview = async (req, res) => {
+  const { appointmentId } = req.params;
+
+  const { errors, values } = validateFields(req.body, REVIEW_SCHEMA);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [appointments] = await connection.query(
+      `SELECT a.id, a.doctor_id, a.patient_profile_id, a.status, pp.user_id AS patient_user_id
+       FROM appointments a
+       JOIN patient_profiles pp ON a.patient_profile_id = pp.id
+       WHERE a.id = ?
+       FOR UPDATE`,
+      [appointmentId]
+    );
+    if (appointments.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Appointment not found" });
+    }
+
+    const appointment = appointments[0];
+    if (appointment.patient_user_id !== Number(req.user.sub)) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: You can only review your own appointments" });
+    }
+    if (appointment.status !== APPOINTMENT_STATUS.COMPLETED) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Only completed appointments can be reviewed", status: appointment.status });
+    }
+
+    const [existing] = await connection.query(`SELECT id FROM reviews WHERE appointment_id = ?`, [appointment.id]);
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({ error: "This appointment has already been reviewed", review_id: existing[0].id });
+    }
+
+    const { check, status, moderation_note } = screenReview(values.review_text);
+    const [result] = await connection.query(`INSERT INTO reviews SET ?`, {
+      doctor_id: appointment.doctor_id,
+      patient_profile_id: appointment.patient_profile_id,
+      appointment_id: appointment.id,
+      rating: values.rating,
+      review_text: values.review_text ?? null,
+      moderation_status: status,
+      is_public: status === REVIEW_STATUS.PUBLISHED ? 1 : 0,
+      moderation_note,
+    });
+    await recalculateDoctorRating(appointment.doctor_id, connection);
+
+    await connection.commit();
+
+    const review = await getReviewById(result.insertId);
+    return res.status(201).json({
+      message:
+        status === REVIEW_STATUS.PUBLISHED ? "Review published successfully" : "Review submitted for moderation",
+      review,
+      content_check: check,
+      editable_until: getEditableUntil(review.created_at),
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "This appointment has already been reviewed" });
+    }
+    console.error(`Error submitting review (Appointment ID: ${appointmentId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   put:
+ *     summary: Edit your review
+ *     description: >
+ *       Allowed for the patient account that wrote the review, within the edit window. The new text is screened
+ *       again when it changes, so an edit can move a published review back to pending. Flagged reviews stay flagged until a
+ *       moderator decides, and hidden reviews cannot be edited.
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               review_text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the caller's review
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: The edit window has closed or the review is hidden
+ *       500:
+ *         description: Server error
+ */
+
+export const updateMyReview = async (req, res) => {
+  const { id } = req.params;
+
+  const { errors, values } = validateFields(req.body, REVIEW_SCHEMA, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: "Validation failed", details: ["Provide rating or review_text"] });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT r.*, pp.user_id AS patient_user_id
+       FROM reviews r
+       JOIN patient_profiles pp ON r.patient_profile_id = pp.id
+       WHERE r.id = ?
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const review = rows[0];
+    if (review.patient_user_id !== Number(req.user.sub)) {
+      await connection.rollback();
+      return res.status(403).json({ message: "Access Denied: You can only edit your own reviews" });
+    }
+
+    const editableUntil = getEditableUntil(review.created_at);
+    if (editableUntil < new Date()) {
+      await connection.rollback();
+      return res.status(409).json({ error: "The edit window for this review has closed", editable_until: editableUntil });
+    }
+    if (review.moderation_status === REVIEW_STATUS.HIDDEN) {
+      await connection.rollback();
+      return res.status(409).json({ error: "Hidden reviews cannot be edited" });
+    }
+
+    // A rating-only edit keeps the moderator's decision; new text goes through the filter again
+    const textChanged = values.review_text !== undefined && values.review_text !== review.review_text;
+    const screened = screenReview(textChanged ? values.review_text : review.review_text);
+    let status = textChanged ? screened.status : review.moderation_status;
+    if (review.moderation_status === REVIEW_STATUS.FLAGGED) status = REVIEW_STATUS.FLAGGED;
+
+    await setReviewStatus(connection, review, status, {
+      ...values,
+      moderation_note: textChanged ? screened.moderation_note : review.moderation_note,
+      edited_at: new Date(),
+    });
+
+    await connection.commit();
+    return res.status(200).json({
+      message: "Review updated successfully",
+      review: await getReviewById(id),
+      content_check: screened.check,
+      editable_until: editableUntil,
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error updating review (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/me/reviews:
+ *   get:
+ *     summary: Reviews written from the caller's patient profiles
+ *     tags:
+ *       - Reviews
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The caller's reviews, newest first, with the time each stays editable until
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Review'
+ *                       - type: object
+ *                         properties:
+ *                           editable_until:
+ *                             type: string
+ *                             format: date-time
+ *       500:
+ *         description: Server error
+ */
+
+export const getMyReviews = async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT ${REVIEW_COLUMNS} ${REVIEW_FROM} WHERE p.user_id = ? ORDER BY r.created_at DESC`,
+      [req.user.sub]
+    );
+
+    const data = rows.map((review) => ({ ...review, editable_until: getEditableUntil(review.created_at) }));
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error("Error fetching the caller's reviews:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
@@ -0,0 +1,527 @@
+import db from "../config/db.js";
+import { hasPermission, PERMISSIONS } from "../middleware/rbac.js";
+import { regenerateScheduleSlots, toDayIndex, toMinutes } from "../models/AvailabilitySlot.js";
+import { findScheduleConflicts } from "../models/DoctorSchedule.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isProvided = (value) => value !== undefined && value !== null && value !== "";
+
+// Validates schedule fields. With `partial`, only the fields present are checked.
+const validateScheduleInput = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { day_of_week, start_time, end_time, consultation_mode, is_active } = body;
+
+  if (!partial || isProvided(day_of_week)) {
+    if (toDayIndex(day_of_week) === null) {
+      errors.push("day_of_week must be 0-6 (Sunday = 0) or a day name");
+    }
+  }
+  if (!partial || isProvided(start_time)) {
+    if (!TIME_PATTERN.test(start_time ?? "")) errors.push("start_time must be HH:MM or HH:MM:SS");
+  }
+  if (!partial || isProvided(end_time)) {
+    if (!TIME_PATTERN.test(end_time ?? "")) errors.push("end_time must be HH:MM or HH:MM:SS");
+  }
+  if (!partial || isProvided(consultation_mode)) {
+    if (typeof consultation_mode !== "string" || !consultation_mode.trim()) {
+      errors.push("consultation_mode is required");
+    }
+  }
+  if (is_active !== undefined && typeof is_active !== "boolean") {
+    errors.push("is_active must be a boolean");
+  }
+
+  return errors;
+};
+
+// Loads a practice and checks the caller may manage its schedules: schedules:manage or the practising doctor.
+// Sends the error response and returns null when not allowed.
+const loadManageablePractice = async (req, res, practiceId, executor = db) => {
+  const [rows] = await executor.query(
+    `SELECT dp.id, dp.doctor_id, dp.is_active, d.user_id
+     FROM doctor_practices dp
+     JOIN doctors d ON dp.doctor_id = d.id
+     WHERE dp.id = ?`,
+    [practiceId]
+  );
+  if (rows.length === 0) {
+    res.status(404).json({ error: "Doctor practice not found" });
+    return null;
+  }
+
+  const practice = rows[0];
+  if (practice.user_id !== Number(req.user.sub) && !(await hasPermission(req, PERMISSIONS.SCHEDULES_MANAGE))) {
+    res.status(403).json({ message: "Access Denied: You can only manage your own schedules" });
+    return null;
+  }
+  return practice;
+};
+
+const endedPracticeResponse = (res) =>
+  res.status(409).json({ error: "Doctor practice affiliation has ended; its schedules cannot be active" });
+
+const conflictResponse = (res, conflicts) =>
+  res.status(409).json({
+    error: "Schedule overlaps another active schedule of this doctor on the same day",
+    conflicts,
+  });
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DoctorSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         doctor_practice_id:
+ *           type: integer
+ *         day_of_week:
+ *           oneOf:
+ *             - type: integer
+ *             - type: string
+ *           description: 0-6 (Sunday = 0) or day name
+ *           example: 1
+ *         start_time:
+ *           type: string
+ *           example: "09:00:00"
+ *         end_time:
+ *           type: string
+ *           example: "13:00:00"
+ *         consultation_mode:
+ *           type: string
+ *           example: "In-Person"
+ *         is_active:
+ *           type: boolean
+ *     ScheduleConflict:
+ *       type: object
+ *       properties:
+ *         schedule_id:
+ *           type: integer
+ *         doctor_practice_id:
+ *           type: integer
+ *         practice_type:
+ *           type: string
+ *         clinic_name:
+ *           type: string
+ *           nullable: true
+ *         hospital_name:
+ *           type: string
+ *           nullable: true
+ *         hospital_department_id:
+ *           type: integer
+ *           nullable: true
+ *         day_of_week:
+ *           type: string
+ *         start_time:
+ *           type: string
+ *         end_time:
+ *           type: string
+ */
+
+
+/**
+ * @swagger
+ * /api/doctor-practices/{practiceId}/schedules:
+ *   get:
+ *     summary: List the schedules of a doctor practice
+ *     description: Available to the practising doctor and users with the `schedules:manage` permission.
+ *     tags:
+ *       - Doctor Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: practiceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedules of the practice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DoctorSchedule'
+ *       403:
+ *         description: Not the practising doctor
+ *       404:
+ *         description: Doctor practice not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPracticeSchedules = async (req, res) => {
+  const { practiceId } = req.params;
+
+  try {
+    const practice = await loadManageablePractice(req, res, practiceId);
+    if (!practice) return;
+
+    const [rows] = await db.query(
+      `SELECT * FROM doctor_schedules WHERE doctor_practice_id = ? ORDER BY day_of_week, start_time`,
+      [practice.id]
+    );
+
+    return res.status(200).json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error(`Error fetching schedules (Practice ID: ${practiceId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-practices/{practiceId}/schedules:
+ *   post:
+ *     summary: Add a weekly schedule to a doctor practice
+ *     description: >
+ *       Rejects the schedule with 409 and the conflicting schedules when it overlaps another active schedule of the
+ *       same doctor on the same weekday at any clinic or hospital. Slots are generated for the new schedule straight
+ *       away. Available to the practising doctor and users with the `schedules:manage` permission.
+ *     tags:
+ *       - Doctor Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: practiceId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [day_of_week, start_time, end_time, consultation_mode]
+ *             properties:
+ *               day_of_week:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 example: 1
+ *               start_time:
+ *                 type: string
+ *                 example: "09:00"
+ *               end_time:
+ *                 type: string
+ *                 example: "13:00"
+ *               consultation_mode:
+ *                 type: string
+ *                 example: "In-Person"
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Schedule created successfully
+ *                 schedule:
+ *                   $ref: '#/components/schemas/DoctorSchedule'
+ *                 slots_created:
+ *                   type: integer
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the practising doctor
+ *       404:
+ *         description: Doctor practice not found
+ *       409:
+ *         description: Overlaps another schedule, or the practice affiliation has ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScheduleConflict'
+ *       500:
+ *         description: Server error
+ */
+
+export const createPracticeSchedule = async (req, res) => {
+  const { practiceId } = req.params;
+  const body = req.body || {};
+
+  const errors = validateScheduleInput(body);
+  if (errors.length === 0 && toMinutes(body.start_time) >= toMinutes(body.end_time)) {
+    errors.push("end_time must be after start_time");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  let connection;
+  let scheduleId;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const practice = await loadManageablePractice(req, res, practiceId, connection);
+    if (!practice) {
+      await connection.rollback();
+      return;
+    }
+
+    const isActive = body.is_active ?? true;
+    if (isActive && !practice.is_active) {
+      await connection.rollback();
+      return endedPracticeResponse(res);
+    }
+
+    // ✅ Serialise schedule changes per doctor so concurrent edits cannot both pass the overlap check
+    await connection.query(`SELECT id FROM doctors WHERE id = ? FOR UPDATE`, [practice.doctor_id]);
+
+    if (isActive) {
+      const conflicts = await findScheduleConflicts(
+        {
+          doctorId: practice.doctor_id,
+          dayOfWeek: body.day_of_week,
+          startTime: body.start_time,
+          endTime: body.end_time,
+        },
+        connection
+      );
+      if (conflicts.length > 0) {
+        await connection.rollback();
+        return conflictResponse(res, conflicts);
+      }
+    }
+
+    const [result] = await connection.query(
+      `INSERT INTO doctor_schedules (doctor_practice_id, day_of_week, start_time, end_time, consultation_mode, is_active)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [practice.id, body.day_of_week, body.start_time, body.end_time, body.consultation_mode.trim(), isActive]
+    );
+    scheduleId = result.insertId;
+
+    await connection.commit();
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error creating schedule (Practice ID: ${practiceId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  try {
+    const { created } = await regenerateScheduleSlots(scheduleId);
+    const [rows] = await db.query(`SELECT * FROM doctor_schedules WHERE id = ?`, [scheduleId]);
+
+    return res.status(201).json({
+      message: "Schedule created successfully",
+      schedule: rows[0],
+      slots_created: created,
+    });
+  } catch (error) {
+    console.error(`Error generating slots for new schedule (ID: ${scheduleId}):`, error);
+    return res.status(500).json({ error: "Schedule created but slot generation failed", details: error.message });
+  }
+};
+
+
+// Applies a partial update to a schedule after the overlap check, then regenerates its future slots
+const applyScheduleUpdate = async (req, res, id, changes, successMessage) => {
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(`SELECT * FROM doctor_schedules WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ error: "Doctor schedule not found" });
+    }
+
+    const existing = rows[0];
+    const practice = await loadManageablePractice(req, res, existing.doctor_practice_id, connection);
+    if (!practice) {
+      await connection.rollback();
+      return;
+    }
+
+    await connection.query(`SELECT id FROM doctors WHERE id = ? FOR UPDATE`, [practice.doctor_id]);
+
+    const updated = {
+      day_of_week: changes.day_of_week ?? existing.day_of_week,
+      start_time: changes.start_time ?? existing.start_time,
+      end_time: changes.end_time ?? existing.end_time,
+      consultation_mode: changes.consultation_mode ?? existing.consultation_mode,
+      is_active: changes.is_active ?? Boolean(existing.is_active),
+    };
+
+    if (toMinutes(updated.start_time) >= toMinutes(updated.end_time)) {
+      await connection.rollback();
+      return res.status(400).json({ error: "Validation failed", details: ["end_time must be after start_time"] });
+    }
+    if (updated.is_active && !practice.is_active) {
+      await connection.rollback();
+      return endedPracticeResponse(res);
+    }
+
+    if (updated.is_active) {
+      const conflicts = await findScheduleConflicts(
+        {
+          doctorId: practice.doctor_id,
+          dayOfWeek: updated.day_of_week,
+          startTime: updated.start_time,
+          endTime: updated.end_time,
+          excludeScheduleId: existing.id,
+        },
+        connection
+      );
+      if (conflicts.length > 0) {
+        await connection.rollback();
+        return conflictResponse(res, conflicts);
+      }
+    }
+
+    await connection.query(
+      `UPDATE doctor_schedules
+       SET day_of_week = ?, start_time = ?, end_time = ?, consultation_mode = ?, is_active = ?
+       WHERE id = ?`,
+      [updated.day_of_week, updated.start_time, updated.end_time, updated.consultation_mode, updated.is_active, id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    if (connection) await connection.rollback();
+    console.error(`Error updating schedule (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+
+  try {
+    const { removed, created } = await regenerateScheduleSlots(id);
+    const [rows] = await db.query(`SELECT * FROM doctor_schedules WHERE id = ?`, [id]);
+
+    return res.status(200).json({
+      message: successMessage,
+      schedule: rows[0],
+      slots_removed: removed,
+      slots_created: created,
+    });
+  } catch (error) {
+    console.error(`Error regenerating slots for schedule (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Schedule updated but slot regeneration failed", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-schedules/{id}:
+ *   put:
+ *     summary: Edit a doctor schedule
+ *     description: >
+ *       Partial update. The resulting schedule is checked for overlaps with the doctor's other active schedules
+ *       (409 with conflict details). Unbooked future slots of the schedule are regenerated; booked slots are kept.
+ *       Available to the practising doctor and users with the `schedules:manage` permission.
+ *     tags:
+ *       - Doctor Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorSchedule'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Not the practising doctor
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: Overlaps another schedule, or the practice affiliation has ended
+ *       500:
+ *         description: Server error
+ */
+
+export const updateDoctorSchedule = async (req, res) => {
+  const body = req.body || {};
+
+  const errors = validateScheduleInput(body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Validation failed", details: errors });
+  }
+
+  const changes = {};
+  for (const field of ["day_of_week", "start_time", "end_time", "consultation_mode", "is_active"]) {
+    if (isProvided(body[field])) changes[field] = body[field];
+  }
+  if (changes.consultation_mode) changes.consultation_mode = changes.consultation_mode.trim();
+
+  return applyScheduleUpdate(req, res, req.params.id, changes, "Schedule updated successfully");
+};
+
+
+/**
+ * @swagger
+ * /api/doctor-schedules/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a doctor schedule
+ *     description: >
+ *       Stops the schedule from producing slots and removes its unbooked future slots. Existing appointments are kept.
+ *       Available to the practising doctor and users with the `schedules:manage` permission.
+ *     tags:
+ *       - Doctor Schedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedule deactivated
+ *       403:
+ *         description: Not the practising doctor
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+
+export const deactivateDoctorSchedule = async (req, res) =>
+  applyScheduleUpdate(req, res, req.params.id, { is_active: false }, "Schedule deactivated successfully");
@@ -1,13 +1,435 @@
 import db from "../config/db.js";
+import { SUBSCRIPTION_STATUS, findActiveSubscription } from "../models/UserSubscription.js";
+import { consumeBenefit, getUserEntitlements } from "../models/Entitlement.js";
 
-// Update subscription plan (only admin allowed, partial updates)
+const isForced = (req) => req.query.force === "true" || req.body?.force === true;
+
+const isProvided = (value) => value !== undefined && value !== null && value !== "";
+
+// Validates plan fields; with `partial` only the provided fields are checked
+const validatePlanInput = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { name, price, currency, duration_days, is_active } = body;
+
+  if (!partial || isProvided(name)) {
+    if (typeof name !== "string" || name.trim() === "") {
+      errors.push("name is required");
+    }
+  }
+  if (!partial || isProvided(price)) {
+    if (!isProvided(price) || isNaN(Number(price)) || Number(price) < 0) {
+      errors.push("price must be a non-negative number");
+    }
+  }
+  if (!partial || isProvided(currency)) {
+    if (typeof currency !== "string" || !/^[A-Z]{3}$/.test(currency)) {
+      errors.push("currency must be a 3-letter ISO code (e.g. INR, USD)");
+    }
+  }
+  if (!partial || isProvided(duration_days)) {
+    if (!Number.isInteger(Number(duration_days)) || Number(duration_days) <= 0) {
+      errors.push("duration_days must be a positive integer");
+    }
+  }
+  if (isProvided(is_active) && ![true, false, 0, 1].includes(is_active)) {
+    errors.push("is_active must be a boolean");
+  }
+
+  return errors;
+};
+
+// Validates benefit fields; with `partial` only the provided fields are checked
+const validateBenefitInput = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { benefit_description, benefit_type, quantity, plan_id } = body;
+
+  if (!partial || isProvided(benefit_description)) {
+    if (typeof benefit_description !== "string" || benefit_description.trim() === "") {
+      errors.push("benefit_description is required");
+    }
+  }
+  if (!partial || isProvided(benefit_type)) {
+    if (typeof benefit_type !== "string" || benefit_type.trim() === "" || benefit_type.length > 50) {
+      errors.push("benefit_type is required and must be at most 50 characters");
+    }
+  }
+  // A missing quantity means the benefit is unlimited
+  if (isProvided(quantity)) {
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+      errors.push("quantity must be a non-negative integer");
+    }
+  }
+  if (partial && isProvided(plan_id) && !Number.isInteger(Number(plan_id))) {
+    errors.push("plan_id must be an integer");
+  }
+
+  return errors;
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans:
+ *   get:
+ *     summary: List subscription plans
+ *     description: Returns all subscription plans with their benefits. Archived plans and benefits are hidden unless `include_archived=true`.
+ *     tags:
+ *       - Subscription Plans
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Filter plans by active status
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Also return archived plans and benefits
+ *     responses:
+ *       200:
+ *         description: List of subscription plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SubscriptionPlan'
+ *                       - type: object
+ *                         properties:
+ *                           benefits:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/PlanBenefit'
+ *       500:
+ *         description: Server error
+ */
+
+export const getSubscriptionPlans = async (req, res) => {
+  try {
+    const { is_active } = req.query;
+    const includeArchived = req.query.include_archived === "true";
+
+    let query = `SELECT * FROM subscription_plans WHERE 1 = 1`;
+    const params = [];
+
+    if (!includeArchived) {
+      query += ` AND archived_at IS NULL`;
+    }
+
+    if (is_active !== undefined) {
+      query += ` AND is_active = ?`;
+      params.push(is_active === "true" || is_active === "1" ? 1 : 0);
+    }
+
+    query += ` ORDER BY price ASC`;
+
+    const [plans] = await db.query(query, params);
+
+    if (plans.length === 0) {
+      return res.status(200).json({ success: true, count: 0, data: [] });
+    }
+
+    const planIds = plans.map((p) => p.id);
+    const [benefits] = await db.query(
+      `SELECT * FROM plan_benefits
+       WHERE plan_id IN (?) ${includeArchived ? "" : "AND archived_at IS NULL"}
+       ORDER BY id ASC`,
+      [planIds]
+    );
+
+    // Group benefits by plan_id
+    const benefitsByPlan = benefits.reduce((acc, benefit) => {
+      if (!acc[benefit.plan_id]) acc[benefit.plan_id] = [];
+      acc[benefit.plan_id].push(benefit);
+      return acc;
+    }, {});
+
+    const data = plans.map((plan) => ({
+      ...plan,
+      benefits: benefitsByPlan[plan.id] || [],
+    }));
+
+    return res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error("Error fetching subscription plans:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans:
+ *   post:
+ *     summary: Create a subscription plan
+ *     description: Requires the `plans:write` permission.
+ *     tags:
+ *       - Subscription Plans
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, price, currency, duration_days]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Premium Plan
+ *               description:
+ *                 type: string
+ *                 example: Full access to all features
+ *               price:
+ *                 type: number
+ *                 example: 499
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               duration_days:
+ *                 type: integer
+ *                 example: 30
+ *               is_active:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Subscription plan created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscription plan created successfully
+ *                 plan:
+ *                   $ref: '#/components/schemas/SubscriptionPlan'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Missing the `plans:write` permission
+ *       500:
+ *         description: Server error
+ */
+
+export const createSubscriptionPlan = async (req, res) => {
+  try {
+    const validationErrors = validatePlanInput(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: validationErrors });
+    }
+
+    const plan = {
+      name: req.body.name.trim(),
+      description: req.body.description || null,
+      price: Number(req.body.price),
+      currency: req.body.currency,
+      duration_days: Number(req.body.duration_days),
+      is_active: isProvided(req.body.is_active) ? Boolean(req.body.is_active) : true,
+    };
+
+    const [result] = await db.query(
+      `INSERT INTO subscription_plans (name, description, price, currency, duration_days, is_active)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [plan.name, plan.description, plan.price, plan.currency, plan.duration_days, plan.is_active]
+    );
+
+    return res.status(201).json({
+      message: "Subscription plan created successfully",
+      plan: { id: result.insertId, ...plan },
+    });
+  } catch (error) {
+    console.error("Error creating subscription plan:", error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}/benefits:
+ *   get:
+ *     summary: List the benefits of a subscription plan
+ *     tags:
+ *       - Plan Benefits
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subscription plan ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of plan benefits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlanBenefit'
+ *       404:
+ *         description: Subscription plan not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPlanBenefits = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [planRows] = await db.query(`SELECT id FROM subscription_plans WHERE id = ?`, [id]);
+    if (planRows.length === 0) {
+      return res.status(404).json({ error: "Subscription plan not found" });
+    }
+
+    const [benefits] = await db.query(
+      `SELECT * FROM plan_benefits WHERE plan_id = ? AND archived_at IS NULL ORDER BY id ASC`,
+      [id]
+    );
+
+    return res.status(200).json({ success: true, count: benefits.length, data: benefits });
+  } catch (error) {
+    console.error(`Error fetching benefits for plan (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}/benefits:
+ *   post:
+ *     summary: Add a benefit to a subscription plan
+ *     description: Requires the `plans:write` permission. Omit `quantity` for an unlimited benefit.
+ *     tags:
+ *       - Plan Benefits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subscription plan ID
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [benefit_description, benefit_type]
+ *             properties:
+ *               benefit_description:
+ *                 type: string
+ *                 example: Free doctor consultations
+ *               benefit_type:
+ *                 type: string
+ *                 example: Consultation
+ *               quantity:
+ *                 type: integer
+ *                 example: 3
+ *               notes:
+ *                 type: string
+ *                 example: Valid for general physicians only
+ *     responses:
+ *       201:
+ *         description: Plan benefit created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Plan benefit created successfully
+ *                 benefit:
+ *                   $ref: '#/components/schemas/PlanBenefit'
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Missing the `plans:write` permission
+ *       404:
+ *         description: Subscription plan not found
+ *       500:
+ *         description: Server error
+ */
+
+export const createPlanBenefit = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const validationErrors = validateBenefitInput(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: validationErrors });
+    }
+
+    const [planRows] = await db.query(`SELECT id, archived_at FROM subscription_plans WHERE id = ?`, [id]);
+    if (planRows.length === 0) {
+      return res.status(404).json({ error: "Subscription plan not found" });
+    }
+    if (planRows[0].archived_at) {
+      return res.status(400).json({ error: "Cannot add benefits to an archived plan" });
+    }
+
+    const benefit = {
+      plan_id: Number(id),
+      benefit_description: req.body.benefit_description.trim(),
+      benefit_type: req.body.benefit_type.trim(),
+      quantity: isProvided(req.body.quantity) ? Number(req.body.quantity) : null,
+      notes: req.body.notes || null,
+    };
+
+    const [result] = await db.query(
+      `INSERT INTO plan_benefits (plan_id, benefit_description, benefit_type, quantity, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [benefit.plan_id, benefit.benefit_description, benefit.benefit_type, benefit.quantity, benefit.notes]
+    );
+
+    return res.status(201).json({
+      message: "Plan benefit created successfully",
+      benefit: { id: result.insertId, ...benefit },
+    });
+  } catch (error) {
+    console.error(`Error creating plan benefit (Plan ID: ${id}, User ID: ${req.user?.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+// Update subscription plan (requires plans:write, partial updates)
 
 /**
  * @swagger
  * /api/subscription-plans/{id}:
  *   put:
  *     summary: Update an existing subscription plan
- *     description: Only admins (role_id = 3) can update subscription plans. Partial updates are supported (only provided fields will be updated).
+ *     description: Requires the `plans:write` permission. Partial updates are supported (only provided fields will be updated).
  *     tags:
  *       - Subscription Plans
  *     security:
@@ -60,9 +482,9 @@ import db from "../config/db.js";
  *       400:
  *         description: No changes detected in subscription plan
  *       403:
- *         description: Only admins can update subscription plans
+ *         description: Missing the `plans:write` permission
  *       404:
- *         description: Subscription plan not found or user not found
+ *         description: Subscription plan not found
  *       500:
  *         description: Server error
  */
@@ -86,6 +508,10 @@ import db from "../config/db.js";
  *           type: integer
  *         is_active:
  *           type: boolean
+ *         archived_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 export const updateSubscriptionPlan = async (req, res) => {
@@ -96,15 +522,9 @@ export const updateSubscriptionPlan = async (req, res) => {
   };
 
   try {
-    
-    const userId = req.user.sub;
-    const [userRows] = await db.query(`SELECT role_id FROM users WHERE id = ?`, [userId]);
-
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-    if (userRows[0].role_id !== 3) {
-      return res.status(403).json({ error: "Only admins can update subscription plans" });
+    const validationErrors = validatePlanInput(req.body, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: validationErrors });
     }
 
     // ✅ Check if plan exists
@@ -114,6 +534,9 @@ export const updateSubscriptionPlan = async (req, res) => {
     }
 
     const existing = rows[0];
+    if (existing.archived_at) {
+      return res.status(400).json({ error: "Archived plans must be restored before they can be updated" });
+    }
 
     // ✅ Merge with only valid values
     const updatedPlan = {
@@ -158,14 +581,18 @@ export const updateSubscriptionPlan = async (req, res) => {
 };
 
 
-// Delete subscription plan (only admin allowed)
+// Delete (archive) subscription plan (requires plans:write)
 
 /**
  * @swagger
  * /api/subscription-plans/{id}:
  *   delete:
- *     summary: Delete a subscription plan
- *     description: Only admins (role_id = 3) can delete subscription plans.
+ *     summary: Archive a subscription plan
+ *     description: >
+ *       Requires the `plans:write` permission. The plan is archived (soft deleted) and deactivated,
+ *       so existing subscriptions keep their history. When the plan still has benefits or active subscribers the
+ *       request is refused unless `force=true` is passed; forcing also archives the plan's benefits.
+ *       Active subscribers keep their subscription until it ends.
  *     tags:
  *       - Subscription Plans
  *     security:
@@ -177,9 +604,15 @@ export const updateSubscriptionPlan = async (req, res) => {
  *         description: Subscription plan ID
  *         schema:
  *           type: integer
+ *       - name: force
+ *         in: query
+ *         required: false
+ *         description: Archive even when benefits or active subscribers exist
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: Subscription plan deleted successfully
+ *         description: Subscription plan archived successfully
  *         content:
  *           application/json:
  *             schema:
@@ -187,11 +620,18 @@ export const updateSubscriptionPlan = async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Subscription plan deleted successfully
+ *                   example: Subscription plan archived successfully
+ *                 archived_benefits:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Subscription plan is already archived
  *       403:
- *         description: Only admins can delete subscription plans
+ *         description: Missing the `plans:write` permission
  *       404:
- *         description: Subscription plan not found or user not found
+ *         description: Subscription plan not found
+ *       409:
+ *         description: Plan has benefits or active subscribers and `force` was not set
  *       500:
  *         description: Server error
  */
@@ -200,27 +640,63 @@ export const deleteSubscriptionPlan = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = req.user.sub;
-
-    // ✅ Check if user exists and is admin
-    const [userRows] = await db.query(`SELECT role_id FROM users WHERE id = ?`, [userId]);
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-    if (userRows[0].role_id !== 3) {
-      return res.status(403).json({ error: "Only admins can delete subscription plans" });
-    }
-
     // ✅ Check if plan exists
     const [rows] = await db.query(`SELECT * FROM subscription_plans WHERE id = ?`, [id]);
     if (rows.length === 0) {
       return res.status(404).json({ error: "Subscription plan not found" });
     }
+    if (rows[0].archived_at) {
+      return res.status(400).json({ error: "Subscription plan is already archived" });
+    }
+
+    // ✅ Check dependents
+    const [[{ benefit_count }]] = await db.query(
+      `SELECT COUNT(*) AS benefit_count FROM plan_benefits WHERE plan_id = ? AND archived_at IS NULL`,
+      [id]
+    );
+    const [[{ subscriber_count }]] = await db.query(
+      `SELECT COUNT(*) AS subscriber_count FROM user_subscriptions
+       WHERE plan_id = ? AND status = 'active' AND end_date > NOW()`,
+      [id]
+    );
+
+    if ((benefit_count > 0 || subscriber_count > 0) && !isForced(req)) {
+      return res.status(409).json({
+        error: "Subscription plan has benefits or active subscribers. Pass force=true to archive it anyway.",
+        active_benefits: benefit_count,
+        active_subscribers: subscriber_count,
+      });
+    }
+
+    // ✅ Archive the plan together with its benefits
+    const connection = await db.getConnection();
+    let archivedBenefits = 0;
+    try {
+      await connection.beginTransaction();
+
+      await connection.query(
+        `UPDATE subscription_plans SET archived_at = NOW(), archived_by = ?, is_active = 0 WHERE id = ?`,
+        [req.user.sub, id]
+      );
+      const [benefitResult] = await connection.query(
+        `UPDATE plan_benefits SET archived_at = (SELECT archived_at FROM subscription_plans WHERE id = ?), archived_by = ?
+         WHERE plan_id = ? AND archived_at IS NULL`,
+        [id, req.user.sub, id]
+      );
+      archivedBenefits = benefitResult.affectedRows;
 
-    // ✅ Delete the plan
-    await db.query(`DELETE FROM subscription_plans WHERE id = ?`, [id]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    return res.json({ message: "Subscription plan deleted successfully" });
+    return res.json({
+      message: "Subscription plan archived successfully",
+      archived_benefits: archivedBenefits,
+    });
   } catch (error) {
     console.error("Error deleting subscription plan:", error);
     return res.status(500).json({ error: "Server error", details: error.message });
@@ -234,7 +710,7 @@ export const deleteSubscriptionPlan = async (req, res) => {
  * /api/subscription-plans-benefits/{id}:
  *   put:
  *     summary: Update a plan benefit
- *     description: Only admins (role_id = 3) can update plan benefits. Partial updates are supported (only provided fields will be updated).
+ *     description: Requires the `plans:write` permission. Partial updates are supported (only provided fields will be updated).
  *     tags:
  *       - Plan Benefits
  *     security:
@@ -284,9 +760,9 @@ export const deleteSubscriptionPlan = async (req, res) => {
  *       400:
  *         description: No changes detected in plan benefit
  *       403:
- *         description: Only admins can update plan benefits
+ *         description: Missing the `plans:write` permission
  *       404:
- *         description: Plan benefit not found or user not found
+ *         description: Plan benefit not found
  *       500:
  *         description: Server error
  */
@@ -310,6 +786,10 @@ export const deleteSubscriptionPlan = async (req, res) => {
  *           type: integer
  *         notes:
  *           type: string
+ *         archived_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 export const updatePlanBenefit = async (req, res) => {
@@ -320,16 +800,9 @@ export const updatePlanBenefit = async (req, res) => {
   };
 
   try {
-    const userId = req.user.sub;
-
-    const [userRows] = await db.query(`SELECT role_id FROM users WHERE id = ?`, [userId]);
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    const ADMIN_ROLE_ID = 3;
-    if (userRows[0].role_id !== ADMIN_ROLE_ID) {
-      return res.status(403).json({ error: "Only admins can update plan benefits" });
+    const validationErrors = validateBenefitInput(req.body, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: "Validation failed", details: validationErrors });
     }
 
     // ✅ Check if plan benefit exists
@@ -339,6 +812,9 @@ export const updatePlanBenefit = async (req, res) => {
     }
 
     const existing = rows[0];
+    if (existing.archived_at) {
+      return res.status(400).json({ error: "Archived benefits must be restored before they can be updated" });
+    }
 
     // ✅ Merge with only valid values
     const updatedBenefit = {
@@ -390,8 +866,12 @@ export const updatePlanBenefit = async (req, res) => {
  * @swagger
  * /api/subscription-plans-benefits/{id}:
  *   delete:
- *     summary: Delete a plan benefit
- *     description: Only admins (role_id = 3) can delete plan benefits.
+ *     summary: Archive a plan benefit
+ *     description: >
+ *       Requires the `plans:write` permission. The benefit is archived (soft deleted) so its usage
+ *       history is kept. An archived benefit is withdrawn immediately from every subscriber, including
+ *       current ones: it no longer appears in their entitlements and cannot be consumed. Because of that,
+ *       when the plan has active subscribers the request is refused unless `force=true` is passed.
  *     tags:
  *       - Plan Benefits
  *     security:
@@ -403,9 +883,15 @@ export const updatePlanBenefit = async (req, res) => {
  *         description: Plan benefit ID
  *         schema:
  *           type: integer
+ *       - name: force
+ *         in: query
+ *         required: false
+ *         description: Archive even when the plan has active subscribers
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: Plan benefit deleted successfully
+ *         description: Plan benefit archived successfully
  *         content:
  *           application/json:
  *             schema:
@@ -413,11 +899,15 @@ export const updatePlanBenefit = async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Plan benefit deleted successfully
+ *                   example: Plan benefit archived successfully
+ *       400:
+ *         description: Plan benefit is already archived
+ *       409:
+ *         description: Plan has active subscribers and `force` was not set
  *       403:
- *         description: Only admins can delete plan benefits
+ *         description: Missing the `plans:write` permission
  *       404:
- *         description: Plan benefit not found or user not found
+ *         description: Plan benefit not found
  *       500:
  *         description: Server error
  */
@@ -426,33 +916,868 @@ export const deletePlanBenefit = async (req, res) => {
   const { id } = req.params;
 
   try {
-    const userId = req.user.sub;
+    // ✅ Check if benefit exists
+    const [benefitRows] = await db.query(`SELECT * FROM plan_benefits WHERE id = ?`, [id]);
+    if (benefitRows.length === 0) {
+      return res.status(404).json({ error: "Plan benefit not found" });
+    }
 
-    // ✅ Check if user exists
-    const [userRows] = await db.query(`SELECT role_id FROM users WHERE id = ?`, [userId]);
-    if (userRows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    const benefit = benefitRows[0];
+    if (benefit.archived_at) {
+      return res.status(400).json({ error: "Plan benefit is already archived" });
     }
 
-    const ADMIN_ROLE_ID = 3;
-    if (userRows[0].role_id !== ADMIN_ROLE_ID) {
-      return res.status(403).json({ error: "Only admins can delete plan benefits" });
+    // ✅ Check active subscribers relying on this benefit
+    const [[{ subscriber_count }]] = await db.query(
+      `SELECT COUNT(*) AS subscriber_count FROM user_subscriptions
+       WHERE plan_id = ? AND status = 'active' AND end_date > NOW()`,
+      [benefit.plan_id]
+    );
+
+    if (subscriber_count > 0 && !isForced(req)) {
+      return res.status(409).json({
+        error: "Plan has active subscribers using this benefit. Pass force=true to archive it anyway.",
+        active_subscribers: subscriber_count,
+      });
     }
 
-    // ✅ Check if benefit exists
-    const [benefitRows] = await db.query(`SELECT * FROM plan_benefits WHERE id = ?`, [id]);
-    if (benefitRows.length === 0) {
+    // ✅ Archive instead of delete
+    await db.query(
+      `UPDATE plan_benefits SET archived_at = NOW(), archived_by = ? WHERE id = ?`,
+      [req.user.sub, id]
+    );
+
+    return res.json({ message: "Plan benefit archived successfully" });
+  } catch (error) {
+    console.error(`Error deleting plan benefit (ID: ${id}, User ID: ${req.user?.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}/restore:
+ *   patch:
+ *     summary: Restore an archived subscription plan
+ *     description: Requires the `plans:write` permission. The plan is reactivated together with the benefits that were archived with it.
+ *     tags:
+ *       - Subscription Plans
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subscription plan ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription plan restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscription plan restored successfully
+ *                 restored_benefits:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Subscription plan is not archived
+ *       403:
+ *         description: Missing the `plans:write` permission
+ *       404:
+ *         description: Subscription plan not found
+ *       500:
+ *         description: Server error
+ */
+
+export const restoreSubscriptionPlan = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await db.query(`SELECT * FROM subscription_plans WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Subscription plan not found" });
+    }
+
+    const plan = rows[0];
+    if (!plan.archived_at) {
+      return res.status(400).json({ error: "Subscription plan is not archived" });
+    }
+
+    const connection = await db.getConnection();
+    let restoredBenefits = 0;
+    try {
+      await connection.beginTransaction();
+
+      // ✅ Only benefits archived together with the plan come back
+      const [benefitResult] = await connection.query(
+        `UPDATE plan_benefits SET archived_at = NULL, archived_by = NULL
+         WHERE plan_id = ? AND archived_at = ?`,
+        [id, plan.archived_at]
+      );
+      restoredBenefits = benefitResult.affectedRows;
+
+      await connection.query(
+        `UPDATE subscription_plans SET archived_at = NULL, archived_by = NULL, is_active = 1 WHERE id = ?`,
+        [id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return res.json({
+      message: "Subscription plan restored successfully",
+      restored_benefits: restoredBenefits,
+    });
+  } catch (error) {
+    console.error(`Error restoring subscription plan (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans-benefits/{id}/restore:
+ *   patch:
+ *     summary: Restore an archived plan benefit
+ *     description: Requires the `plans:write` permission. The parent plan must not be archived.
+ *     tags:
+ *       - Plan Benefits
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Plan benefit ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Plan benefit restored successfully
+ *       400:
+ *         description: Plan benefit is not archived or its plan is archived
+ *       403:
+ *         description: Missing the `plans:write` permission
+ *       404:
+ *         description: Plan benefit not found
+ *       500:
+ *         description: Server error
+ */
+
+export const restorePlanBenefit = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await db.query(
+      `SELECT pb.*, sp.archived_at AS plan_archived_at
+       FROM plan_benefits pb
+       JOIN subscription_plans sp ON pb.plan_id = sp.id
+       WHERE pb.id = ?`,
+      [id]
+    );
+    if (rows.length === 0) {
       return res.status(404).json({ error: "Plan benefit not found" });
     }
 
-    // ✅ Perform delete
-    await db.query(`DELETE FROM plan_benefits WHERE id = ?`, [id]);
+    if (!rows[0].archived_at) {
+      return res.status(400).json({ error: "Plan benefit is not archived" });
+    }
+    if (rows[0].plan_archived_at) {
+      return res.status(400).json({ error: "Restore the subscription plan before restoring its benefits" });
+    }
+
+    await db.query(`UPDATE plan_benefits SET archived_at = NULL, archived_by = NULL WHERE id = ?`, [id]);
 
-    return res.json({ message: "Plan benefit deleted successfully" });
+    return res.json({ message: "Plan benefit restored successfully" });
   } catch (error) {
-    console.error(`Error deleting plan benefit (ID: ${id}, User ID: ${req.user?.sub}):`, error);
+    console.error(`Error restoring plan benefit (ID: ${id}, User ID: ${req.user?.sub}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         plan_name:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, cancelled, expired]
+ *         start_date:
+ *           type: string
+ *           format: date-time
+ *         end_date:
+ *           type: string
+ *           format: date-time
+ *         price_paid:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         cancelled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         renewed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         renewed_from_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The cancelled or expired subscription this term renews
+ */
+
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}/subscribe:
+ *   post:
+ *     summary: Subscribe the logged-in user to a plan
+ *     description: Starts a subscription now with an end date computed from the plan's `duration_days`. A user can hold only one active subscription per plan.
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subscription plan ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Subscribed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscribed successfully
+ *                 subscription:
+ *                   $ref: '#/components/schemas/UserSubscription'
+ *       400:
+ *         description: Subscription plan is not active
+ *       404:
+ *         description: Subscription plan not found
+ *       409:
+ *         description: User already has an active subscription to this plan
+ *       500:
+ *         description: Server error
+ */
+
+export const subscribeToPlan = async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.sub;
+
+  try {
+    const [planRows] = await db.query(`SELECT * FROM subscription_plans WHERE id = ?`, [id]);
+    if (planRows.length === 0) {
+      return res.status(404).json({ error: "Subscription plan not found" });
+    }
+
+    const plan = planRows[0];
+    if (!plan.is_active) {
+      return res.status(400).json({ error: "Subscription plan is not active" });
+    }
+
+    const existing = await findActiveSubscription(userId, plan.id);
+    if (existing) {
+      return res.status(409).json({
+        error: "You already have an active subscription to this plan",
+        subscription_id: existing.id,
+      });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO user_subscriptions (user_id, plan_id, status, start_date, end_date, price_paid, currency)
+       VALUES (?, ?, ?, NOW(), NOW() + INTERVAL ? DAY, ?, ?)`,
+      [userId, plan.id, SUBSCRIPTION_STATUS.ACTIVE, plan.duration_days, plan.price, plan.currency]
+    );
+
+    const [rows] = await db.query(`SELECT * FROM user_subscriptions WHERE id = ?`, [result.insertId]);
+
+    return res.status(201).json({
+      message: "Subscribed successfully",
+      subscription: { ...rows[0], plan_name: plan.name },
+    });
+  } catch (error) {
+    console.error(`Error subscribing to plan (Plan ID: ${id}, User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/my-subscriptions:
+ *   get:
+ *     summary: List the logged-in user's subscriptions
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, expired]
+ *         required: false
+ *         description: Filter by subscription status
+ *     responses:
+ *       200:
+ *         description: List of subscriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSubscription'
+ *       400:
+ *         description: Invalid status filter
+ *       500:
+ *         description: Server error
+ */
+
+export const getMySubscriptions = async (req, res) => {
+  const userId = req.user.sub;
+  const { status } = req.query;
+
+  try {
+    if (status && !Object.values(SUBSCRIPTION_STATUS).includes(status)) {
+      return res.status(400).json({ error: "Invalid status filter" });
+    }
+
+    let query = `
+      SELECT us.*, sp.name AS plan_name, sp.duration_days
+      FROM user_subscriptions us
+      JOIN subscription_plans sp ON us.plan_id = sp.id
+      WHERE us.user_id = ?
+    `;
+    const params = [userId];
+
+    if (status) {
+      query += ` AND us.status = ?`;
+      params.push(status);
+    }
+
+    query += ` ORDER BY us.start_date DESC`;
+
+    const [rows] = await db.query(query, params);
+
+    return res.status(200).json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error(`Error fetching subscriptions (User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/my-subscriptions/{id}/cancel:
+ *   patch:
+ *     summary: Cancel one of the logged-in user's subscriptions
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: User subscription ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled successfully
+ *       400:
+ *         description: Only active subscriptions can be cancelled
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Server error
+ */
+
+export const cancelSubscription = async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.sub;
+
+  try {
+    const [rows] = await db.query(
+      `SELECT * FROM user_subscriptions WHERE id = ? AND user_id = ?`,
+      [id, userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    if (rows[0].status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      return res.status(400).json({ error: `Subscription is already ${rows[0].status}` });
+    }
+
+    await db.query(
+      `UPDATE user_subscriptions SET status = ?, cancelled_at = NOW() WHERE id = ?`,
+      [SUBSCRIPTION_STATUS.CANCELLED, id]
+    );
+
+    return res.json({ message: "Subscription cancelled successfully" });
+  } catch (error) {
+    console.error(`Error cancelling subscription (ID: ${id}, User ID: ${userId}):`, error);
     return res.status(500).json({ error: "Server error", details: error.message });
   }
 };
 
 
+/**
+ * @swagger
+ * /api/my-subscriptions/{id}/renew:
+ *   post:
+ *     summary: Renew one of the logged-in user's subscriptions
+ *     description: >
+ *       An active subscription is extended in place by the plan's `duration_days` from its current end date;
+ *       the extension is part of the same term, so its benefit quantities are not reset.
+ *       A cancelled or expired subscription is left as it was and a new subscription (201) starts a fresh
+ *       term from now, with `renewed_from_id` pointing at the old one and its own benefit quantities.
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: User subscription ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active subscription extended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscription renewed successfully
+ *                 subscription:
+ *                   $ref: '#/components/schemas/UserSubscription'
+ *       201:
+ *         description: New term started for a cancelled or expired subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Subscription renewed successfully
+ *                 subscription:
+ *                   $ref: '#/components/schemas/UserSubscription'
+ *       400:
+ *         description: Subscription plan is no longer active
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: Another active subscription to this plan exists
+ *       500:
+ *         description: Server error
+ */
+
+export const renewSubscription = async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.sub;
+
+  try {
+    const [rows] = await db.query(
+      `SELECT us.*, sp.name AS plan_name, sp.duration_days, sp.price, sp.currency AS plan_currency, sp.is_active AS plan_is_active
+       FROM user_subscriptions us
+       JOIN subscription_plans sp ON us.plan_id = sp.id
+       WHERE us.id = ? AND us.user_id = ?`,
+      [id, userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    const subscription = rows[0];
+    if (!subscription.plan_is_active) {
+      return res.status(400).json({ error: "Subscription plan is no longer active" });
+    }
+
+    const isCurrentlyActive =
+      subscription.status === SUBSCRIPTION_STATUS.ACTIVE && new Date(subscription.end_date) > new Date();
+
+    if (isCurrentlyActive) {
+      // ✅ Extend the running period
+      await db.query(
+        `UPDATE user_subscriptions
+         SET end_date = end_date + INTERVAL ? DAY, price_paid = price_paid + ?, renewed_at = NOW()
+         WHERE id = ?`,
+        [subscription.duration_days, subscription.price, id]
+      );
+
+      const [updated] = await db.query(`SELECT * FROM user_subscriptions WHERE id = ?`, [id]);
+
+      return res.json({
+        message: "Subscription renewed successfully",
+        subscription: { ...updated[0], plan_name: subscription.plan_name },
+      });
+    }
+
+    const existing = await findActiveSubscription(userId, subscription.plan_id);
+    if (existing) {
+      return res.status(409).json({
+        error: "You already have an active subscription to this plan",
+        subscription_id: existing.id,
+      });
+    }
+
+    // ✅ Start a new term; the old row keeps its dates, price and benefit usage
+    const [result] = await db.query(
+      `INSERT INTO user_subscriptions
+         (user_id, plan_id, status, start_date, end_date, price_paid, currency, renewed_from_id)
+       VALUES (?, ?, ?, NOW(), NOW() + INTERVAL ? DAY, ?, ?, ?)`,
+      [
+        userId,
+        subscription.plan_id,
+        SUBSCRIPTION_STATUS.ACTIVE,
+        subscription.duration_days,
+        subscription.price,
+        subscription.plan_currency,
+        subscription.id,
+      ]
+    );
+
+    const [created] = await db.query(`SELECT * FROM user_subscriptions WHERE id = ?`, [result.insertId]);
+
+    return res.status(201).json({
+      message: "Subscription renewed successfully",
+      subscription: { ...created[0], plan_name: subscription.plan_name },
+    });
+  } catch (error) {
+    console.error(`Error renewing subscription (ID: ${id}, User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/subscription-plans/{id}/subscribers:
+ *   get:
+ *     summary: List the subscribers of a plan
+ *     description: Requires the `subscriptions:read` permission. Defaults to active subscribers.
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Subscription plan ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, expired]
+ *           default: active
+ *         required: false
+ *         description: Subscription status to list
+ *     responses:
+ *       200:
+ *         description: List of subscribers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 12
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/UserSubscription'
+ *                       - type: object
+ *                         properties:
+ *                           full_name:
+ *                             type: string
+ *                           email:
+ *                             type: string
+ *                           phone:
+ *                             type: string
+ *       400:
+ *         description: Invalid status filter
+ *       403:
+ *         description: Missing the `subscriptions:read` permission
+ *       404:
+ *         description: Subscription plan not found
+ *       500:
+ *         description: Server error
+ */
+
+export const getPlanSubscribers = async (req, res) => {
+  const { id } = req.params;
+  const status = req.query.status || SUBSCRIPTION_STATUS.ACTIVE;
+
+  try {
+    if (!Object.values(SUBSCRIPTION_STATUS).includes(status)) {
+      return res.status(400).json({ error: "Invalid status filter" });
+    }
+
+    const [planRows] = await db.query(`SELECT id FROM subscription_plans WHERE id = ?`, [id]);
+    if (planRows.length === 0) {
+      return res.status(404).json({ error: "Subscription plan not found" });
+    }
+
+    const [rows] = await db.query(
+      `SELECT us.*, u.full_name, u.email, u.phone
+       FROM user_subscriptions us
+       JOIN users u ON us.user_id = u.id
+       WHERE us.plan_id = ? AND us.status = ?
+       ORDER BY us.end_date DESC`,
+      [id, status]
+    );
+
+    return res.status(200).json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error(`Error fetching subscribers for plan (ID: ${id}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Entitlement:
+ *       type: object
+ *       properties:
+ *         subscription_id:
+ *           type: integer
+ *           example: 7
+ *         plan_id:
+ *           type: integer
+ *           example: 2
+ *         plan_name:
+ *           type: string
+ *           example: Premium Plan
+ *         end_date:
+ *           type: string
+ *           format: date-time
+ *         benefit_id:
+ *           type: integer
+ *           example: 4
+ *         benefit_type:
+ *           type: string
+ *           example: Consultation
+ *         benefit_description:
+ *           type: string
+ *           example: Free doctor consultations
+ *         quantity:
+ *           type: integer
+ *           nullable: true
+ *           example: 3
+ *         used:
+ *           type: integer
+ *           example: 1
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *           example: 2
+ *         unlimited:
+ *           type: boolean
+ *           example: false
+ */
+
+
+/**
+ * @swagger
+ * /api/my-subscriptions/entitlements:
+ *   get:
+ *     summary: Get the logged-in user's remaining benefit entitlements
+ *     description: Returns, for every benefit on the user's active subscriptions, how much has been used and how much is left.
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Remaining entitlements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Entitlement'
+ *       500:
+ *         description: Server error
+ */
+
+export const getMyEntitlements = async (req, res) => {
+  const userId = req.user.sub;
+
+  try {
+    const entitlements = await getUserEntitlements(userId);
+    return res.status(200).json({ success: true, count: entitlements.length, data: entitlements });
+  } catch (error) {
+    console.error(`Error fetching entitlements (User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  }
+};
+
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/entitlements/consume:
+ *   post:
+ *     summary: Record the use of a subscription benefit for a user
+ *     description: >
+ *       Requires the `subscriptions:manage` permission. The usage is charged to the user's active
+ *       subscription that expires first and still has the benefit available. A reference can only consume a benefit once.
+ *     tags:
+ *       - User Subscriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         description: ID of the subscriber
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [benefit_type]
+ *             properties:
+ *               benefit_type:
+ *                 type: string
+ *                 example: Consultation
+ *               quantity:
+ *                 type: integer
+ *                 example: 1
+ *               reference_type:
+ *                 type: string
+ *                 example: appointment
+ *               reference_id:
+ *                 type: integer
+ *                 example: 42
+ *     responses:
+ *       201:
+ *         description: Benefit usage recorded
+ *       400:
+ *         description: Validation failed
+ *       403:
+ *         description: Missing the `subscriptions:manage` permission
+ *       409:
+ *         description: No remaining entitlement or reference already consumed
+ *       500:
+ *         description: Server error
+ */
+
+export const recordBenefitUsage = async (req, res) => {
+  const { userId } = req.params;
+  const { benefit_type, reference_type, reference_id } = req.body;
+  const quantity = isProvided(req.body.quantity) ? Number(req.body.quantity) : 1;
+
+  if (typeof benefit_type !== "string" || benefit_type.trim() === "") {
+    return res.status(400).json({ error: "benefit_type is required" });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ error: "quantity must be a positive integer" });
+  }
+
+  let connection;
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const usage = await consumeBenefit(connection, {
+      userId,
+      benefitType: benefit_type.trim(),
+      quantity,
+      referenceType: reference_type || null,
+      referenceId: reference_id || null,
+    });
+
+    if (!usage) {
+      await connection.rollback();
+      return res.status(409).json({ error: `No remaining "${benefit_type}" entitlement for this user` });
+    }
+
+    await connection.commit();
+
+    return res.status(201).json({ message: "Benefit usage recorded", usage });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "This reference has already consumed the benefit" });
+    }
+    console.error(`Error recording benefit usage (User ID: ${userId}):`, error);
+    return res.status(500).json({ error: "Server error", details: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
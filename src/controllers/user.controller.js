@@ -2,6 +2,8 @@
 
 import { deactivateUser, activateUser, isUserActive } from '../models/User.js';
 import db from '../config/db.js';
+import { fetchPage, parseListQuery } from '../utils/listQuery.js';
+import { attachDoctorProfileDetails, DOCTOR_PROFILE_COLUMNS } from '../models/DoctorProfile.js';
 
 
 
@@ -255,180 +257,221 @@ export const getVerifiedDoctors = async (req, res) => {
  * /admin/doctors/verified-details:
  *   get:
  *     summary: Get all verified doctors with full profile and related details
- *     description: Returns a list of verified doctors including personal info, address, qualifications, schedules, slots, appointments, and documents.
+ *     description: Returns a page of verified doctors including personal info, address, qualifications, schedules, slots, appointments, and documents.
  *     tags:
  *       - Doctors
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, experience_years, -experience_years, average_rating, -average_rating, total_reviews, -total_reviews]
+ *           default: name
+ *         required: false
+ *         description: Sort field, prefix with - for descending
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by doctor name (partial match)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter by email (partial match)
+ *       - in: query
+ *         name: min_rating
+ *         schema:
+ *           type: number
+ *         required: false
+ *         description: Minimum average rating
+ *       - in: query
+ *         name: min_experience
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Minimum years of experience
  *     responses:
  *       200:
- *         description: A list of verified doctor profiles with full detail
+ *         description: A page of verified doctor profiles with full detail
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   doctor_id:
- *                     type: integer
- *                     example: 1
- *                   name:
- *                     type: string
- *                     example: "Harshvardhan Singh"
- *                   email:
- *                     type: string
- *                     example: "pateldiploma@gmail.com"
- *                   phone:
- *                     type: string
- *                     example: "8879543448"
- *                   bio:
- *                     type: string
- *                     example: "Cardiologist with 10 years experience"
- *                   experience_years:
- *                     type: integer
- *                     example: 10
- *                   languages_spoken:
- *                     type: string
- *                     example: "English, Hindi"
- *                   average_rating:
- *                     type: string
- *                     example: "0.00"
- *                   total_reviews:
- *                     type: integer
- *                     example: 0
- *                   is_verified:
- *                     type: integer
- *                     example: 1
- *                   profile_url:
- *                     type: string
- *                     example: "https://res.cloudinary.com/.../doctor_profiles/image.jpg"
- *                   profile_img_public_id:
- *                     type: string
- *                     example: "medicaps/doctor_profiles/baiop5oxu1umtddwt4cv"
- *                   address:
- *                     type: string
- *                     example: "123 Baker Street"
- *                   postal_code:
- *                     type: string
- *                     example: "110001"
- *                   city:
- *                     type: string
- *                     example: "Arwal"
- *                   state:
- *                     type: string
- *                     example: "Bihar"
- *                   country:
- *                     type: string
- *                     example: "India"
- *                   qualifications:
- *                     type: string
- *                     example: "MBBS from KGMU (2025); degree from institution (2023)"
- *                   schedules:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         day_of_week:
- *                           type: integer
- *                           example: 4
- *                         start_time:
- *                           type: string
- *                           example: "19:00:00"
- *                         end_time:
- *                           type: string
- *                           example: "22:00:00"
- *                         consultation_mode:
- *                           type: string
- *                           example: "Online"
- *                         is_active:
- *                           type: integer
- *                           example: 1
- *                   availability_slots:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         slot_start_time:
- *                           type: string
- *                           example: "16:08:00"
- *                         slot_end_time:
- *                           type: string
- *                           example: "22:15:00"
- *                         consultation_mode:
- *                           type: string
- *                           example: "InPerson"
- *                         slot_date:
- *                           type: string
- *                           format: date-time
- *                           example: "2025-07-07T18:30:00.000Z"
- *                         created_from_schedule_id:
- *                           type: integer
- *                           example: 8
- *                   appointments:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         id:
- *                           type: integer
- *                           example: 9
- *                         slot_id:
- *                           type: integer
- *                           example: 15
- *                         patient_profile_id:
- *                           type: integer
- *                           example: 1
- *                         status:
- *                           type: string
- *                           example: "Scheduled"
- *                         consultation_type:
- *                           type: string
- *                           example: "Video"
- *                         patient_symptoms:
- *                           type: string
- *                           example: "swelling in leg"
- *                         channel_name:
- *                           type: string
- *                           example: "appointment_9"
- *                   documents:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         id:
- *                           type: integer
- *                           example: 5
- *                         doctor_id:
- *                           type: integer
- *                           example: 1
- *                         document_type:
- *                           type: string
- *                           example: "Government ID"
- *                         document_url:
- *                           type: string
- *                           example: "https://res.cloudinary.com/.../file_uugiqp.png"
- *                         status:
- *                           type: string
- *                           example: "Approved"
- *                         reviewed_by:
- *                           type: integer
- *                           nullable: true
- *                           example: 3
- *                         remarks:
- *                           type: string
- *                           nullable: true
- *                           example: "Just approved the doctor document"
- *                         reviewed_at:
- *                           type: string
- *                           format: date-time
- *                           nullable: true
- *                           example: "2025-07-08T04:43:22.000Z"
- *                         uploaded_at:
- *                           type: string
- *                           format: date-time
- *                           example: "2025-07-07T23:38:38.000Z"
- *                         public_id:
- *                           type: string
- *                           example: "medicaps/doctor_docs/file_uugiqp"
+ *               type: object
+ *               properties:
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       doctor_id:
+ *                         type: integer
+ *                         example: 1
+ *                       name:
+ *                         type: string
+ *                         example: "Harshvardhan Singh"
+ *                       email:
+ *                         type: string
+ *                         example: "pateldiploma@gmail.com"
+ *                       phone:
+ *                         type: string
+ *                         example: "8879543448"
+ *                       bio:
+ *                         type: string
+ *                         example: "Cardiologist with 10 years experience"
+ *                       experience_years:
+ *                         type: integer
+ *                         example: 10
+ *                       languages_spoken:
+ *                         type: string
+ *                         example: "English, Hindi"
+ *                       average_rating:
+ *                         type: string
+ *                         example: "0.00"
+ *                       total_reviews:
+ *                         type: integer
+ *                         example: 0
+ *                       is_verified:
+ *                         type: integer
+ *                         example: 1
+ *                       profile_url:
+ *                         type: string
+ *                         example: "https://res.cloudinary.com/.../doctor_profiles/image.jpg"
+ *                       profile_img_public_id:
+ *                         type: string
+ *                         example: "medicaps/doctor_profiles/baiop5oxu1umtddwt4cv"
+ *                       address:
+ *                         type: string
+ *                         example: "123 Baker Street"
+ *                       postal_code:
+ *                         type: string
+ *                         example: "110001"
+ *                       city:
+ *                         type: string
+ *                         example: "Arwal"
+ *                       state:
+ *                         type: string
+ *                         example: "Bihar"
+ *                       country:
+ *                         type: string
+ *                         example: "India"
+ *                       qualifications:
+ *                         type: string
+ *                         example: "MBBS from KGMU (2025); degree from institution (2023)"
+ *                       schedules:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             day_of_week:
+ *                               type: integer
+ *                               example: 4
+ *                             start_time:
+ *                               type: string
+ *                               example: "19:00:00"
+ *                             end_time:
+ *                               type: string
+ *                               example: "22:00:00"
+ *                             consultation_mode:
+ *                               type: string
+ *                               example: "Online"
+ *                             is_active:
+ *                               type: integer
+ *                               example: 1
+ *                       availability_slots:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             slot_start_time:
+ *                               type: string
+ *                               example: "16:08:00"
+ *                             slot_end_time:
+ *                               type: string
+ *                               example: "22:15:00"
+ *                             consultation_mode:
+ *                               type: string
+ *                               example: "InPerson"
+ *                             slot_date:
+ *                               type: string
+ *                               format: date-time
+ *                               example: "2025-07-07T18:30:00.000Z"
+ *                             created_from_schedule_id:
+ *                               type: integer
+ *                               example: 8
+ *                       appointments:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                               example: 9
+ *                             slot_id:
+ *                               type: integer
+ *                               example: 15
+ *                             patient_profile_id:
+ *                               type: integer
+ *                               example: 1
+ *                             status:
+ *                               type: string
+ *                               example: "Scheduled"
+ *                             consultation_type:
+ *                               type: string
+ *                               example: "Video"
+ *                             patient_symptoms:
+ *                               type: string
+ *                               example: "swelling in leg"
+ *                             channel_name:
+ *                               type: string
+ *                               example: "appointment_9"
+ *                       documents:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                               example: 5
+ *                             doctor_id:
+ *                               type: integer
+ *                               example: 1
+ *                             document_type:
+ *                               type: string
+ *                               example: "Government ID"
+ *                             document_url:
+ *                               type: string
+ *                               example: "https://res.cloudinary.com/.../file_uugiqp.png"
+ *                             status:
+ *                               type: string
+ *                               example: "Approved"
+ *                             reviewed_by:
+ *                               type: integer
+ *                               nullable: true
+ *                               example: 3
+ *                             remarks:
+ *                               type: string
+ *                               nullable: true
+ *                               example: "Just approved the doctor document"
+ *                             reviewed_at:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                               example: "2025-07-08T04:43:22.000Z"
+ *                             uploaded_at:
+ *                               type: string
+ *                               format: date-time
+ *                               example: "2025-07-07T23:38:38.000Z"
+ *                             public_id:
+ *                               type: string
+ *                               example: "medicaps/doctor_docs/file_uugiqp"
  *       500:
  *         description: Server error
  *         content:
@@ -445,122 +488,39 @@ export const getVerifiedDoctors = async (req, res) => {
 
 export const getVerifiedDoctorsDetails = async (req, res) => {
   try {
-    const [rows] = await db.query(`
-      SELECT 
-        d.id AS doctor_id,
-        d.user_id AS user_id,
-        u.full_name AS name,
-        u.email,
-        u.phone,
-        d.bio,
-        d.experience_years,
-        d.languages_spoken,
-        d.average_rating,
-        d.total_reviews,
-        d.is_verified,
-        d.profile_url,
-        d.profile_img_public_id
-      FROM doctors d
-      JOIN users u ON d.user_id = u.id
-      WHERE d.is_verified = '1' AND d.is_verified IS NOT NULL
-    `);
-
-    for (const doctor of rows) {
-      const doctorId = doctor.doctor_id;
-
-      // Addresses (array)
-      const [addresses] = await db.query(
-        `SELECT 
-          a.id,
-          a.street,
-          a.landmark,
-          a.postal_code,
-          a.address_type,
-          c.name AS city,
-          s.name AS state,
-          cn.name AS country
-         FROM addresses a
-         LEFT JOIN cities c ON a.city_id = c.id
-         LEFT JOIN states s ON a.state_id = s.id
-         LEFT JOIN countries cn ON a.country_id = cn.id
-         WHERE a.user_id = ?`,
-        [doctor.user_id]
-      );
-      doctor.addresses = addresses;
-
-      // Qualifications
-      const [qualifications] = await db.query(
-        `SELECT DISTINCT 
-          CONCAT(degree_name, ' from ', institution, ' (', completion_year, ')') AS qualification
-         FROM doctor_qualifications
-         WHERE doctor_id = ?`,
-        [doctorId]
-      );
-      doctor.qualifications = qualifications.map(q => q.qualification);
-
-      // Schedules
-      const [schedules] = await db.query(
-        `SELECT 
-          day_of_week, start_time, end_time, consultation_mode, is_active
-         FROM doctor_schedules
-         WHERE doctor_practice_id IN (
-           SELECT id FROM doctor_practices WHERE doctor_id = ?
-         )`,
-        [doctorId]
-      );
-      doctor.schedules = schedules;
-
-      // Availability Slots
-      const [slots] = await db.query(
-        `SELECT 
-          slot_start_time, slot_end_time, consultation_mode, slot_date, created_from_schedule_id
-         FROM availability_slots
-         WHERE doctor_practice_id IN (
-           SELECT id FROM doctor_practices WHERE doctor_id = ?
-         )`,
-        [doctorId]
-      );
-      doctor.availability_slots = slots;
-
-      // Appointments with patient name & time
-      const [appointments] = await db.query(
-        `SELECT 
-          a.id,
-          a.slot_id,
-          a.patient_profile_id,
-          a.status,
-          a.consultation_type,
-          a.patient_symptoms,
-          a.channel_name,
-          u.full_name AS patient_name,
-          s.slot_start_time,
-          s.slot_end_time,
-          s.slot_date
-        FROM appointments a
-        LEFT JOIN patient_profiles pp ON a.patient_profile_id = pp.id
-        LEFT JOIN users u ON pp.user_id = u.id
-        LEFT JOIN availability_slots s ON a.slot_id = s.id
-        WHERE a.doctor_id = ?`,
-        [doctorId]
-      );
-      doctor.appointments = appointments;
-
-      // Documents
-      const [documents] = await db.query(
-        `SELECT d1.*
-         FROM doctor_verification_docs d1
-         INNER JOIN (
-           SELECT MIN(id) AS min_id
-           FROM doctor_verification_docs
-           WHERE doctor_id = ?
-           GROUP BY public_id
-         ) d2 ON d1.id = d2.min_id`,
-        [doctorId]
-      );
-      doctor.documents = documents;
+    const listQuery = parseListQuery(req.query, {
+      sortable: {
+        name: 'u.full_name',
+        experience_years: 'd.experience_years',
+        average_rating: 'd.average_rating',
+        total_reviews: 'd.total_reviews',
+      },
+      defaultSort: 'name',
+      filters: {
+        name: { column: 'u.full_name' },
+        email: { column: 'u.email' },
+        min_rating: { column: 'd.average_rating', type: 'number', op: 'gte' },
+        min_experience: { column: 'd.experience_years', type: 'int', op: 'gte' },
+      },
+      cursorColumn: 'd.id',
+    });
+    if (listQuery.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
     }
 
-    res.status(200).json(rows);
+    const { rows, pagination } = await fetchPage(db, {
+      select: `SELECT ${DOCTOR_PROFILE_COLUMNS}`,
+      from: `
+      FROM doctors d
+      JOIN users u ON d.user_id = u.id`,
+      where: [`d.is_verified = '1'`, `d.is_verified IS NOT NULL`],
+      listQuery,
+      cursorKey: 'doctor_id',
+    });
+
+    await attachDoctorProfileDetails(rows);
+
+    res.status(200).json({ data: rows, pagination });
   } catch (error) {
     console.error("❌ Error fetching verified doctors:", error.message);
     res.status(500).json({ error: "Server error" });
@@ -715,23 +675,9 @@ export const getVerifiedDoctorDetailsById = async (req, res) => {
   try {
     const { id } = req.params; // this is user_id
 
-    // Fetch main doctor data (without single address join)
     const [rows] = await db.query(
       `
-      SELECT 
-        d.id AS doctor_id,        -- doctor table id
-        d.user_id AS user_id,     -- link to user
-        u.full_name AS name,
-        u.email,
-        u.phone,
-        d.bio,
-        d.experience_years,
-        d.languages_spoken,
-        d.average_rating,
-        d.total_reviews,
-        d.is_verified,
-        d.profile_url,
-        d.profile_img_public_id
+      SELECT ${DOCTOR_PROFILE_COLUMNS}
       FROM doctors d
       JOIN users u ON d.user_id = u.id
       WHERE d.is_verified = '1' 
@@ -745,99 +691,7 @@ export const getVerifiedDoctorDetailsById = async (req, res) => {
       return res.status(404).json({ error: "Doctor not found" });
     }
 
-    const doctor = rows[0];
-    const doctorId = doctor.doctor_id;
-
-    // Addresses (array)
-    const [addresses] = await db.query(
-      `SELECT 
-          a.id,
-          a.street,
-          a.landmark,
-          a.postal_code,
-          a.address_type,
-          c.name AS city,
-          s.name AS state,
-          cn.name AS country
-       FROM addresses a
-       LEFT JOIN cities c ON a.city_id = c.id
-       LEFT JOIN states s ON a.state_id = s.id
-       LEFT JOIN countries cn ON a.country_id = cn.id
-       WHERE a.user_id = ?`,
-      [doctor.user_id]
-    );
-    doctor.addresses = addresses;
-
-    // Qualifications
-    const [qualifications] = await db.query(
-      `SELECT DISTINCT 
-         CONCAT(degree_name, ' from ', institution, ' (', completion_year, ')') AS qualification
-       FROM doctor_qualifications
-       WHERE doctor_id = ?`,
-      [doctorId]
-    );
-    doctor.qualifications = qualifications.map((q) => q.qualification);
-
-    // Schedules
-    const [schedules] = await db.query(
-      `SELECT 
-         day_of_week, start_time, end_time, consultation_mode, is_active
-       FROM doctor_schedules
-       WHERE doctor_practice_id IN (
-         SELECT id FROM doctor_practices WHERE doctor_id = ?
-       )`,
-      [doctorId]
-    );
-    doctor.schedules = schedules;
-
-    // Availability Slots
-    const [slots] = await db.query(
-      `SELECT 
-         slot_start_time, slot_end_time, consultation_mode, slot_date, created_from_schedule_id
-       FROM availability_slots
-       WHERE doctor_practice_id IN (
-         SELECT id FROM doctor_practices WHERE doctor_id = ?
-       )`,
-      [doctorId]
-    );
-    doctor.availability_slots = slots;
-
-    // Appointments
-    const [appointments] = await db.query(
-      `SELECT 
-         a.id,
-         a.slot_id,
-         a.patient_profile_id,
-         a.status,
-         a.consultation_type,
-         a.patient_symptoms,
-         a.channel_name,
-         u.full_name AS patient_name,
-         s.slot_start_time,
-         s.slot_end_time,
-         s.slot_date
-       FROM appointments a
-       LEFT JOIN patient_profiles pp ON a.patient_profile_id = pp.id
-       LEFT JOIN users u ON pp.user_id = u.id
-       LEFT JOIN availability_slots s ON a.slot_id = s.id
-       WHERE a.doctor_id = ?`,
-      [doctorId]
-    );
-    doctor.appointments = appointments;
-
-    // Documents
-    const [documents] = await db.query(
-      `SELECT d1.*
-       FROM doctor_verification_docs d1
-       INNER JOIN (
-         SELECT MIN(id) AS min_id
-         FROM doctor_verification_docs
-         WHERE doctor_id = ?
-         GROUP BY public_id
-       ) d2 ON d1.id = d2.min_id`,
-      [doctorId]
-    );
-    doctor.documents = documents;
+    const [doctor] = await attachDoctorProfileDetails(rows);
 
     res.status(200).json(doctor);
   } catch (error) {
@@ -857,7 +711,7 @@ export const getVerifiedDoctorDetailsById = async (req, res) => {
  *     description: >
  *       Retrieves a list of all users with **role_id = 6 (Nutritionists)** along with their 
  *       associated address information.  
- *       Returns user details even if they do not have an address (LEFT JOIN).
+ *       Returns user details even if they do not have an address (LEFT JOIN). Requires the `users:read` permission.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,11 @@
+import { applyDueCommissionRates } from '../models/ChannelPartner.js';
+import { intervalFromEnv, startIntervalJob } from './intervalJob.js';
+
+// Periodically moves channel partners onto commission rates whose effective date has arrived
+export const startCommissionRateJob = () =>
+  startIntervalJob({
+    name: 'Commission rate',
+    run: () => applyDueCommissionRates(),
+    intervalMs: intervalFromEnv('COMMISSION_RATE_INTERVAL_MINUTES', 60),
+    describe: (updated) => `💰 Applied new commission rates to ${updated} channel partner(s)`,
+  });
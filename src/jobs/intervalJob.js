@@ -0,0 +1,26 @@
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+
+// Interval read from an env var holding a whole number of `unitMs`, or `fallback` units when unset
+export const intervalFromEnv = (variable, fallback, unitMs = MINUTE_MS) =>
+  (parseInt(process.env[variable], 10) || fallback) * unitMs;
+
+// Runs `run` now and then every `intervalMs` without keeping the process alive. `run` returns
+// how many rows it changed; `describe(count)` is logged when that is more than zero.
+export const startIntervalJob = ({ name, run, intervalMs, describe }) => {
+  const tick = async () => {
+    try {
+      const count = await run();
+      if (count > 0) {
+        console.log(describe(count));
+      }
+    } catch (error) {
+      console.error(`❌ ${name} job failed:`, error.message);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,11 @@
+import { generateSlots } from '../models/AvailabilitySlot.js';
+import { HOUR_MS, intervalFromEnv, startIntervalJob } from './intervalJob.js';
+
+// Keeps availability slots materialised the configured number of days ahead
+export const startSlotGenerationJob = () =>
+  startIntervalJob({
+    name: 'Slot generation',
+    run: () => generateSlots(),
+    intervalMs: intervalFromEnv('SLOT_GENERATION_INTERVAL_HOURS', 24, HOUR_MS),
+    describe: (created) => `📅 Generated ${created} availability slot(s)`,
+  });
@@ -0,0 +1,11 @@
+import { expireStaleHolds } from '../models/SlotHold.js';
+import { intervalFromEnv, startIntervalJob } from './intervalJob.js';
+
+// Periodically expires slot holds whose checkout window has passed
+export const startSlotHoldReleaseJob = () =>
+  startIntervalJob({
+    name: 'Slot hold release',
+    run: () => expireStaleHolds(),
+    intervalMs: intervalFromEnv('SLOT_HOLD_RELEASE_INTERVAL_MINUTES', 1),
+    describe: (expired) => `⏰ Released ${expired} expired slot hold(s)`,
+  });
@@ -0,0 +1,11 @@
+import { expireDueSubscriptions } from '../models/UserSubscription.js';
+import { intervalFromEnv, startIntervalJob } from './intervalJob.js';
+
+// Periodically flips active subscriptions past their end_date to expired
+export const startSubscriptionExpiryJob = () =>
+  startIntervalJob({
+    name: 'Subscription expiry',
+    run: () => expireDueSubscriptions(),
+    intervalMs: intervalFromEnv('SUBSCRIPTION_EXPIRY_INTERVAL_MINUTES', 60),
+    describe: (expired) => `⏰ Marked ${expired} subscription(s) as expired`,
+  });
@@ -23,10 +23,29 @@ export const verifyToken = (req, res, next) => {
   }
 };
 
-export const authorizeAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'Admin') {
-    next();
-  } else {
-    res.status(403).json({ message: 'Access Denied: Admin privileges required' });
-  }
+const toPathRegex = (path) =>
+  new RegExp('^' + path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:[^/]+/g, '[^/]+') + '/?$');
+
+// Secure-by-default gate: every request needs a valid token unless its method
+// and path are on the given allow-list.
+export const requireAuthByDefault = (publicRoutes) => {
+  const allowList = publicRoutes.map((route) => ({
+    method: route.method.toUpperCase(),
+    regex: toPathRegex(route.path),
+  }));
+
+  return (req, res, next) => {
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const isPublic = allowList.some((route) => route.method === method && route.regex.test(req.path));
+
+    if (isPublic) {
+      return next();
+    }
+
+    return verifyToken(req, res, next);
+  };
 };
@@ -0,0 +1,40 @@
+import multer from "multer";
+import path from "path";
+import config from "../config/config.js";
+
+// Accepted medical document formats by file extension, with the MIME types browsers send for them.
+// DICOM files are often sent as application/octet-stream, so the extension decides.
+export const DOCUMENT_FORMATS = {
+  pdf: ["application/pdf"],
+  dcm: ["application/dicom", "application/octet-stream"],
+  jpg: ["image/jpeg"],
+  jpeg: ["image/jpeg"],
+  png: ["image/png"],
+  webp: ["image/webp"],
+};
+
+export const getDocumentFormat = (file) => {
+  const extension = path.extname(file.originalname || "").slice(1).toLowerCase();
+  return DOCUMENT_FORMATS[extension]?.includes(file.mimetype) ? extension : null;
+};
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.patientDocuments.maxSizeMb * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (getDocumentFormat(file)) cb(null, true);
+    else cb(new Error("Invalid file type. Only PDF, DICOM (.dcm), JPG, PNG and WEBP are allowed."));
+  },
+});
+
+// Single `file` upload that answers invalid files with a 400 instead of the default error page
+export const uploadDocument = (req, res, next) =>
+  documentUpload.single("file")(req, res, (error) => {
+    if (!error) return next();
+
+    const message =
+      error.code === "LIMIT_FILE_SIZE"
+        ? `File is larger than ${config.patientDocuments.maxSizeMb} MB`
+        : error.message;
+    return res.status(400).json({ error: "Invalid upload", details: [message] });
+  });
@@ -0,0 +1,41 @@
+import db from '../config/db.js';
+import { hasPermission, PERMISSIONS } from './rbac.js';
+import { isTreatingDoctor, READING_APPOINTMENT_STATUSES, TREATING_APPOINTMENT_STATUSES } from '../models/PatientRecord.js';
+
+// Must run after verifyToken. Allows the request for the account that owns the patient profile
+// in `req.params[param]` (the patient, or the family account holding a dependent's profile) and
+// for the patient's treating doctors (confirmed or completed appointment). With mode 'read', doctors
+// with a pending appointment and staff with patients:read are allowed too; any other mode ('write',
+// 'download') is limited to the account and treating doctors. Removed profiles are not found.
+// The profile is attached as req.patientProfile.
+export const patientAccess = (mode = 'read', param = 'profileId') => async (req, res, next) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT id, user_id, full_name, relationship FROM patient_profiles WHERE id = ? AND removed_at IS NULL`,
+      [req.params[param]]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Patient profile not found' });
+    }
+
+    const profile = rows[0];
+    const allowed =
+      profile.user_id === Number(req.user.sub) ||
+      (await isTreatingDoctor(
+        req.user.sub,
+        profile.id,
+        mode === 'read' ? READING_APPOINTMENT_STATUSES : TREATING_APPOINTMENT_STATUSES
+      )) ||
+      (mode === 'read' && (await hasPermission(req, PERMISSIONS.PATIENTS_READ)));
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Access Denied: Not your patient record' });
+    }
+
+    req.patientProfile = profile;
+    next();
+  } catch (error) {
+    console.error('❌ Patient access check failed:', error.message);
+    return res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
@@ -0,0 +1,96 @@
+import db from '../config/db.js';
+
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  CONTACTS_READ: 'contacts:read',
+  DOCTORS_READ: 'doctors:read',
+  DOCTORS_VERIFY: 'doctors:verify',
+  FACILITIES_READ: 'facilities:read',
+  FACILITIES_MANAGE: 'facilities:manage',
+  PATIENTS_READ: 'patients:read',
+  REVIEWS_READ: 'reviews:read',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  PARTNERS_READ: 'partners:read',
+  PARTNERS_MANAGE: 'partners:manage',
+  REFERRALS_READ: 'referrals:read',
+  BLOGS_PUBLISH: 'blogs:publish',
+  PLANS_WRITE: 'plans:write',
+  SUBSCRIPTIONS_READ: 'subscriptions:read',
+  SUBSCRIPTIONS_MANAGE: 'subscriptions:manage',
+  APPOINTMENTS_READ: 'appointments:read',
+  APPOINTMENTS_MANAGE: 'appointments:manage',
+  SCHEDULES_MANAGE: 'schedules:manage',
+  PRACTICES_MANAGE: 'practices:manage',
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+const rolePermissionCache = new Map();
+
+// Permission names granted to a role, cached briefly to avoid a query per request
+export const getRolePermissions = async (roleId) => {
+  const cached = rolePermissionCache.get(roleId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const [rows] = await db.query(
+    `SELECT p.name
+     FROM role_permissions rp
+     JOIN permissions p ON rp.permission_id = p.id
+     WHERE rp.role_id = ?`,
+    [roleId]
+  );
+
+  const permissions = new Set(rows.map((row) => row.name));
+  rolePermissionCache.set(roleId, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Loads the caller's role and permissions from the database onto req.user
+export const loadUserPermissions = async (req) => {
+  if (req.user.permissions) {
+    return req.user.permissions;
+  }
+
+  const [rows] = await db.query(`SELECT role_id, is_active FROM users WHERE id = ?`, [req.user.sub]);
+  if (rows.length === 0 || !rows[0].is_active) {
+    return null;
+  }
+
+  req.user.role_id = rows[0].role_id;
+  req.user.permissions = await getRolePermissions(rows[0].role_id);
+  return req.user.permissions;
+};
+
+export const hasPermission = async (req, permission) => {
+  const permissions = await loadUserPermissions(req);
+  return Boolean(permissions && permissions.has(permission));
+};
+
+// Must run after verifyToken. Allows the request only if the user's role has every listed permission.
+export const authorize = (...required) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access Denied: No token provided' });
+  }
+
+  try {
+    const permissions = await loadUserPermissions(req);
+    if (!permissions) {
+      return res.status(403).json({ message: 'Access Denied: Account not found or inactive' });
+    }
+
+    const missing = required.filter((permission) => !permissions.has(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: 'Access Denied: Missing required permission',
+        missing_permissions: missing,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Permission check failed:', error.message);
+    return res.status(500).json({ message: 'Server error during authorization' });
+  }
+};
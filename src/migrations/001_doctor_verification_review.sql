@@ -0,0 +1,5 @@
+-- Doctor verification review workflow
+-- Adds the "Resubmission Requested" state used when an admin asks a doctor to re-upload a document.
+
+ALTER TABLE doctor_verification_docs
+  MODIFY status ENUM('Pending', 'Approved', 'Rejected', 'Resubmission Requested') NOT NULL DEFAULT 'Pending';
@@ -0,0 +1,22 @@
+-- User subscriptions
+-- A user holding a subscription plan for a period computed from subscription_plans.duration_days.
+
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  plan_id INT NOT NULL,
+  status ENUM('active', 'cancelled', 'expired') NOT NULL DEFAULT 'active',
+  start_date DATETIME NOT NULL,
+  end_date DATETIME NOT NULL,
+  price_paid DECIMAL(10, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  cancelled_at DATETIME NULL,
+  renewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_user_subscriptions_user FOREIGN KEY (user_id) REFERENCES users (id),
+  CONSTRAINT fk_user_subscriptions_plan FOREIGN KEY (plan_id) REFERENCES subscription_plans (id),
+  INDEX idx_user_subscriptions_user_status (user_id, status),
+  INDEX idx_user_subscriptions_plan_status (plan_id, status),
+  INDEX idx_user_subscriptions_status_end (status, end_date)
+);
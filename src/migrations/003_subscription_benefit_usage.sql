@@ -0,0 +1,16 @@
+-- Benefit entitlement ledger
+-- One row per use of a plan benefit by a subscriber (e.g. a free consultation spent on an appointment).
+
+CREATE TABLE IF NOT EXISTS subscription_benefit_usage (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_subscription_id INT NOT NULL,
+  plan_benefit_id INT NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  reference_type VARCHAR(50) NULL,
+  reference_id INT NULL,
+  used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_benefit_usage_subscription FOREIGN KEY (user_subscription_id) REFERENCES user_subscriptions (id),
+  CONSTRAINT fk_benefit_usage_benefit FOREIGN KEY (plan_benefit_id) REFERENCES plan_benefits (id),
+  UNIQUE KEY uq_benefit_usage_reference (plan_benefit_id, reference_type, reference_id),
+  INDEX idx_benefit_usage_subscription (user_subscription_id, plan_benefit_id)
+);
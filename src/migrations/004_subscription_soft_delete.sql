@@ -0,0 +1,10 @@
+-- Soft delete for subscription plans and plan benefits
+-- Deleting a plan or benefit archives it so subscription history keeps pointing at a real row.
+
+ALTER TABLE subscription_plans
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
+
+ALTER TABLE plan_benefits
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL;
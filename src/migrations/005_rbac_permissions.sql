@@ -0,0 +1,36 @@
+-- Role-based access control
+-- Named permissions granted to roles. Routes check permissions, never raw role ids.
+
+CREATE TABLE IF NOT EXISTS permissions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description VARCHAR(255) NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INT NOT NULL,
+  permission_id INT NOT NULL,
+  PRIMARY KEY (role_id, permission_id),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role_id) REFERENCES roles (id),
+  CONSTRAINT fk_role_permissions_permission FOREIGN KEY (permission_id) REFERENCES permissions (id)
+);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('users:read', 'View user accounts'),
+  ('users:manage', 'Activate and deactivate user accounts'),
+  ('contacts:read', 'View user contacts'),
+  ('doctors:read', 'View doctor profiles and documents'),
+  ('doctors:verify', 'Review doctor verification documents'),
+  ('facilities:read', 'View hospitals, clinics and doctor workplaces'),
+  ('patients:read', 'View patient profiles and medical records'),
+  ('reviews:read', 'View doctor reviews'),
+  ('partners:read', 'View channel partners'),
+  ('referrals:read', 'View referrals'),
+  ('blogs:publish', 'Create, edit and delete blogs and blog images'),
+  ('plans:write', 'Create, edit, archive and restore subscription plans and benefits'),
+  ('subscriptions:read', 'View plan subscribers'),
+  ('subscriptions:manage', 'Record benefit usage on behalf of subscribers');
+
+-- Admins get every permission
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'Admin';
@@ -0,0 +1,21 @@
+-- Appointment management
+-- Pins the appointment status set used by the status-transition rules and records
+-- who cancelled an appointment and where it was rescheduled from.
+
+ALTER TABLE appointments
+  MODIFY status ENUM('Pending', 'Confirmed', 'Completed', 'Cancelled', 'No Show') NOT NULL DEFAULT 'Pending',
+  ADD COLUMN status_updated_at DATETIME NULL,
+  ADD COLUMN cancelled_by INT NULL,
+  ADD COLUMN cancellation_reason VARCHAR(255) NULL,
+  ADD COLUMN rescheduled_from_slot_id INT NULL,
+  ADD COLUMN rescheduled_at DATETIME NULL,
+  ADD INDEX idx_appointments_slot_status (slot_id, status),
+  ADD INDEX idx_appointments_doctor_status (doctor_id, status);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('appointments:read', 'View every appointment'),
+  ('appointments:manage', 'Change the status of and reschedule any appointment');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name IN ('appointments:read', 'appointments:manage');
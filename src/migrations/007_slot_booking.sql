@@ -0,0 +1,27 @@
+-- Slot booking
+-- Short-lived holds reserve a slot while the patient checks out. Generated columns
+-- back the application checks with unique keys, so a slot can never carry two
+-- active holds or two active appointments even under concurrent requests.
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slot_id INT NOT NULL,
+  patient_profile_id INT NOT NULL,
+  held_by INT NOT NULL,
+  status ENUM('held', 'confirmed', 'released', 'expired') NOT NULL DEFAULT 'held',
+  expires_at DATETIME NOT NULL,
+  appointment_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  active_slot_id INT AS (IF(status = 'held', slot_id, NULL)) STORED,
+  CONSTRAINT fk_slot_holds_slot FOREIGN KEY (slot_id) REFERENCES availability_slots (id),
+  CONSTRAINT fk_slot_holds_patient_profile FOREIGN KEY (patient_profile_id) REFERENCES patient_profiles (id),
+  CONSTRAINT fk_slot_holds_user FOREIGN KEY (held_by) REFERENCES users (id),
+  UNIQUE KEY uq_slot_holds_active_slot (active_slot_id),
+  INDEX idx_slot_holds_status_expires (status, expires_at)
+);
+
+-- Existing duplicate active bookings must be resolved before this runs
+ALTER TABLE appointments
+  ADD COLUMN active_slot_id INT AS (IF(status IN ('Pending', 'Confirmed'), slot_id, NULL)) STORED,
+  ADD UNIQUE KEY uq_appointments_active_slot (active_slot_id);
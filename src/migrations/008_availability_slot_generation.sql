@@ -0,0 +1,14 @@
+-- Availability slot generation
+-- Slots are materialised from doctor_schedules. The unique key makes re-running
+-- the generator idempotent (INSERT IGNORE skips slots that already exist).
+
+ALTER TABLE availability_slots
+  ADD UNIQUE KEY uq_availability_slots_practice_start (doctor_practice_id, slot_date, slot_start_time),
+  ADD INDEX idx_availability_slots_schedule_date (created_from_schedule_id, slot_date);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('schedules:manage', 'Manage doctor schedules and generate availability slots');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'schedules:manage';
@@ -0,0 +1,29 @@
+-- Doctor leave and holiday blackouts
+-- A blackout blocks a time window for one doctor (all of their practices), a whole
+-- clinic, or a hospital department. Slots are not generated inside a blackout and
+-- booked appointments that fall inside one are flagged for rescheduling.
+
+CREATE TABLE IF NOT EXISTS doctor_blackouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doctor_id INT NULL,
+  clinic_id INT NULL,
+  hospital_department_id INT NULL,
+  blackout_type ENUM('leave', 'holiday', 'other') NOT NULL DEFAULT 'leave',
+  start_at DATETIME NOT NULL,
+  end_at DATETIME NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_by INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_doctor_blackouts_doctor FOREIGN KEY (doctor_id) REFERENCES doctors (id),
+  CONSTRAINT fk_doctor_blackouts_clinic FOREIGN KEY (clinic_id) REFERENCES clinics (id),
+  CONSTRAINT fk_doctor_blackouts_department FOREIGN KEY (hospital_department_id) REFERENCES hospital_departments (id),
+  CONSTRAINT fk_doctor_blackouts_creator FOREIGN KEY (created_by) REFERENCES users (id),
+  INDEX idx_doctor_blackouts_window (start_at, end_at),
+  INDEX idx_doctor_blackouts_doctor (doctor_id)
+);
+
+ALTER TABLE appointments
+  ADD COLUMN needs_reschedule TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN reschedule_reason VARCHAR(255) NULL,
+  ADD COLUMN flagged_blackout_id INT NULL,
+  ADD INDEX idx_appointments_needs_reschedule (needs_reschedule);
@@ -0,0 +1,12 @@
+-- Facility coordinates
+-- WGS84 latitude / longitude for hospitals and clinics, used by the nearby search.
+
+ALTER TABLE hospitals
+  ADD COLUMN latitude DECIMAL(9, 6) NULL,
+  ADD COLUMN longitude DECIMAL(9, 6) NULL,
+  ADD INDEX idx_hospitals_lat_lng (latitude, longitude);
+
+ALTER TABLE clinics
+  ADD COLUMN latitude DECIMAL(9, 6) NULL,
+  ADD COLUMN longitude DECIMAL(9, 6) NULL,
+  ADD INDEX idx_clinics_lat_lng (latitude, longitude);
@@ -0,0 +1,22 @@
+-- Facility management
+-- Hospitals, clinics and hospital departments are deactivated instead of deleted,
+-- because doctor practices and appointments keep referring to them.
+
+ALTER TABLE hospitals
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN deactivated_at DATETIME NULL;
+
+ALTER TABLE clinics
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN deactivated_at DATETIME NULL;
+
+ALTER TABLE hospital_departments
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN deactivated_at DATETIME NULL;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('facilities:manage', 'Create, edit and deactivate hospitals, clinics and hospital departments');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'facilities:manage';
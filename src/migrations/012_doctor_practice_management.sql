@@ -0,0 +1,57 @@
+-- Doctor practice affiliations
+-- Affiliations are ended instead of deleted so past appointments keep their practice.
+-- A generated column backs the "one active primary practice per doctor" rule with a
+-- unique key, and fee changes are kept in doctor_practice_fees.
+
+ALTER TABLE doctor_practices
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN ended_at DATETIME NULL,
+  ADD COLUMN end_reason VARCHAR(255) NULL;
+
+-- Keep only the oldest primary practice of each doctor before adding the unique key
+UPDATE doctor_practices dp
+JOIN (
+  SELECT doctor_id, MIN(id) AS keep_id
+  FROM doctor_practices
+  WHERE is_primary = 1
+  GROUP BY doctor_id
+) keep ON dp.doctor_id = keep.doctor_id
+SET dp.is_primary = 0
+WHERE dp.is_primary = 1 AND dp.id <> keep.keep_id;
+
+ALTER TABLE doctor_practices
+  ADD COLUMN primary_doctor_id INT AS (IF(is_primary = 1 AND is_active = 1, doctor_id, NULL)) STORED,
+  ADD UNIQUE KEY uq_doctor_practices_primary (primary_doctor_id);
+
+CREATE TABLE IF NOT EXISTS doctor_practice_fees (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  doctor_practice_id INT NOT NULL,
+  consultation_fee DECIMAL(10, 2) NULL,
+  effective_from DATETIME NOT NULL,
+  effective_to DATETIME NULL,
+  changed_by INT NULL,
+  CONSTRAINT fk_doctor_practice_fees_practice FOREIGN KEY (doctor_practice_id) REFERENCES doctor_practices (id),
+  CONSTRAINT fk_doctor_practice_fees_user FOREIGN KEY (changed_by) REFERENCES users (id),
+  INDEX idx_doctor_practice_fees_practice (doctor_practice_id, effective_from)
+);
+
+-- The current fee is the only one known for the past, so it opens each practice's history
+INSERT INTO doctor_practice_fees (doctor_practice_id, consultation_fee, effective_from)
+SELECT id, consultation_fee, '1970-01-01 00:00:00' FROM doctor_practices;
+
+-- Appointments keep the fee that applied when they were booked
+ALTER TABLE appointments
+  ADD COLUMN consultation_fee DECIMAL(10, 2) NULL;
+
+UPDATE appointments a
+JOIN availability_slots s ON a.slot_id = s.id
+JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+SET a.consultation_fee = dp.consultation_fee
+WHERE a.consultation_fee IS NULL;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('practices:manage', 'Add, edit and end the practice affiliations of any doctor');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'practices:manage';
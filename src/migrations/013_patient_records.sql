@@ -0,0 +1,23 @@
+-- Patient medical records
+-- Conditions, allergies, vitals and documents can now be written through the API.
+-- Each row records which user added it and when it last changed.
+
+ALTER TABLE patient_conditions
+  ADD COLUMN recorded_by INT NULL,
+  ADD COLUMN updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD INDEX idx_patient_conditions_profile (patient_profile_id);
+
+ALTER TABLE patient_allergies
+  ADD COLUMN recorded_by INT NULL,
+  ADD COLUMN updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD INDEX idx_patient_allergies_profile (patient_profile_id);
+
+ALTER TABLE patient_vitals
+  ADD COLUMN recorded_by INT NULL,
+  ADD COLUMN updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD INDEX idx_patient_vitals_profile_type (patient_profile_id, vital_type, recorded_at);
+
+ALTER TABLE patient_documents
+  ADD COLUMN recorded_by INT NULL,
+  ADD COLUMN updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD INDEX idx_patient_documents_profile (patient_profile_id);
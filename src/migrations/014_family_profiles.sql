@@ -0,0 +1,19 @@
+-- Family member profiles
+-- One account can hold several patient profiles (self, spouse, child, parent, ...).
+-- Dependents carry their own name, removed profiles are kept for appointment history,
+-- and each account remembers which profile it is currently booking for.
+
+ALTER TABLE patient_profiles
+  ADD COLUMN full_name VARCHAR(255) NULL,
+  ADD COLUMN removed_at DATETIME NULL,
+  ADD INDEX idx_patient_profiles_user (user_id, removed_at);
+
+-- The account holder's own profile takes the account name
+UPDATE patient_profiles p
+JOIN users u ON p.user_id = u.id
+SET p.full_name = u.full_name
+WHERE p.full_name IS NULL AND p.relationship = 'Self';
+
+ALTER TABLE users
+  ADD COLUMN active_patient_profile_id INT NULL,
+  ADD CONSTRAINT fk_users_active_patient_profile FOREIGN KEY (active_patient_profile_id) REFERENCES patient_profiles (id);
@@ -0,0 +1,11 @@
+-- Private patient documents
+-- Uploaded documents live in authenticated (non-public) storage and are fetched through
+-- short-lived signed URLs, so they keep the storage id instead of a public document_url.
+-- Rows added as plain links keep their document_url and no storage id.
+
+ALTER TABLE patient_documents
+  MODIFY document_url VARCHAR(1000) NULL,
+  ADD COLUMN storage_public_id VARCHAR(255) NULL,
+  ADD COLUMN file_format VARCHAR(20) NULL,
+  ADD COLUMN mime_type VARCHAR(100) NULL,
+  ADD COLUMN file_size_bytes INT NULL;
@@ -0,0 +1,37 @@
+-- Review moderation
+-- Reviews move through pending -> published / hidden, and can be flagged for abuse.
+-- is_public stays in sync with the published status for existing readers, and
+-- doctors.average_rating / total_reviews are recomputed from published reviews.
+
+ALTER TABLE reviews
+  ADD COLUMN moderation_status ENUM('pending', 'published', 'hidden', 'flagged') NOT NULL DEFAULT 'pending',
+  ADD COLUMN moderation_note VARCHAR(255) NULL,
+  ADD COLUMN moderated_by INT NULL,
+  ADD COLUMN moderated_at DATETIME NULL,
+  ADD COLUMN flag_reason VARCHAR(255) NULL,
+  ADD COLUMN flagged_by INT NULL,
+  ADD COLUMN flagged_at DATETIME NULL,
+  ADD COLUMN doctor_reply TEXT NULL,
+  ADD COLUMN doctor_replied_at DATETIME NULL,
+  ADD COLUMN updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  ADD INDEX idx_reviews_moderation (moderation_status, created_at),
+  ADD INDEX idx_reviews_doctor_status (doctor_id, moderation_status);
+
+UPDATE reviews SET moderation_status = IF(is_public = 1, 'published', 'hidden');
+
+UPDATE doctors d
+LEFT JOIN (
+  SELECT doctor_id, ROUND(AVG(rating), 2) AS average_rating, COUNT(*) AS total_reviews
+  FROM reviews
+  WHERE moderation_status = 'published'
+  GROUP BY doctor_id
+) r ON r.doctor_id = d.id
+SET d.average_rating = COALESCE(r.average_rating, 0),
+    d.total_reviews = COALESCE(r.total_reviews, 0);
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('reviews:moderate', 'Publish, hide and review flagged patient reviews');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'reviews:moderate';
@@ -0,0 +1,9 @@
+-- Patient review submission
+-- New reviews are tied to the completed appointment they describe; one review per appointment.
+-- Existing reviews keep a NULL appointment_id.
+
+ALTER TABLE reviews
+  ADD COLUMN appointment_id INT NULL AFTER patient_profile_id,
+  ADD COLUMN edited_at DATETIME NULL,
+  ADD UNIQUE KEY uq_reviews_appointment (appointment_id),
+  ADD CONSTRAINT fk_reviews_appointment FOREIGN KEY (appointment_id) REFERENCES appointments (id);
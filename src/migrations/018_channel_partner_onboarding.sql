@@ -0,0 +1,48 @@
+-- Channel partner onboarding
+-- Partners apply themselves and start as pending; an admin approves, rejects or suspends them.
+-- Commission percentages are kept as a dated history. channel_partner_profiles.commission_percentage
+-- holds the rate in effect today and is moved forward by the commission rate job.
+
+UPDATE channel_partner_profiles
+SET status = CASE LOWER(status)
+  WHEN 'approved' THEN 'approved'
+  WHEN 'active' THEN 'approved'
+  WHEN 'suspended' THEN 'suspended'
+  WHEN 'inactive' THEN 'suspended'
+  WHEN 'rejected' THEN 'rejected'
+  ELSE 'pending'
+END;
+
+ALTER TABLE channel_partner_profiles
+  MODIFY COLUMN status ENUM('pending', 'approved', 'rejected', 'suspended') NOT NULL DEFAULT 'pending',
+  ADD COLUMN status_reason VARCHAR(255) NULL,
+  ADD COLUMN status_changed_by INT NULL,
+  ADD COLUMN status_changed_at DATETIME NULL,
+  ADD COLUMN approved_at DATETIME NULL,
+  ADD INDEX idx_channel_partner_profiles_gst (gst_number),
+  ADD INDEX idx_channel_partner_profiles_status (status);
+
+CREATE TABLE IF NOT EXISTS channel_partner_commission_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  partner_id INT NOT NULL,
+  commission_percentage DECIMAL(5, 2) NOT NULL,
+  effective_from DATE NOT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_partner_commission_effective (partner_id, effective_from),
+  CONSTRAINT fk_partner_commission_partner FOREIGN KEY (partner_id) REFERENCES channel_partner_profiles (id)
+);
+
+-- The current rate of existing partners becomes the first history entry
+INSERT IGNORE INTO channel_partner_commission_rates (partner_id, commission_percentage, effective_from, note)
+SELECT id, commission_percentage, DATE(created_at), 'Rate before commission history'
+FROM channel_partner_profiles
+WHERE commission_percentage IS NOT NULL;
+
+INSERT IGNORE INTO permissions (name, description) VALUES
+  ('partners:manage', 'Approve, reject and suspend channel partners and set their commission');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin' AND p.name = 'partners:manage';
@@ -0,0 +1,7 @@
+-- Subscription renewal terms
+-- Renewing a cancelled or expired subscription starts a new user_subscriptions row for the new
+-- term, linked to the one it renews, so the earlier term keeps its dates, price and benefit usage.
+
+ALTER TABLE user_subscriptions
+  ADD COLUMN renewed_from_id INT NULL,
+  ADD CONSTRAINT fk_user_subscriptions_renewed_from FOREIGN KEY (renewed_from_id) REFERENCES user_subscriptions (id);
@@ -0,0 +1,12 @@
+-- Auditable benefit releases
+-- Giving a benefit back (e.g. on appointment cancellation) marks the usage row as released instead of
+-- deleting it. Only unreleased rows count against a subscription, and only they block the same
+-- reference from consuming the benefit again.
+
+ALTER TABLE subscription_benefit_usage
+  ADD COLUMN released_at DATETIME NULL,
+  ADD COLUMN active_reference_id INT GENERATED ALWAYS AS (IF(released_at IS NULL, reference_id, NULL)) STORED,
+  ADD UNIQUE KEY uq_benefit_usage_active_reference (plan_benefit_id, reference_type, active_reference_id);
+
+ALTER TABLE subscription_benefit_usage
+  DROP INDEX uq_benefit_usage_reference;
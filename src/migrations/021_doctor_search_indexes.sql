@@ -0,0 +1,13 @@
+-- Doctor search indexes
+-- The search filters and sorts verified doctors in SQL; these back the specialization
+-- and rating filters, and the active-practice and schedule lookups of each doctor.
+
+ALTER TABLE doctors
+  ADD INDEX idx_doctors_verified_specialization (is_verified, specialization_id),
+  ADD INDEX idx_doctors_verified_rating (is_verified, average_rating);
+
+ALTER TABLE doctor_practices
+  ADD INDEX idx_doctor_practices_doctor_active (doctor_id, is_active);
+
+ALTER TABLE doctor_schedules
+  ADD INDEX idx_doctor_schedules_practice_mode (doctor_practice_id, is_active, consultation_mode);
@@ -0,0 +1,24 @@
+-- Channel partner unique keys
+-- One profile per user and one profile per GSTIN, enforced by the database instead of
+-- only by the check-then-insert in the application.
+--
+-- Referrals and commission history hang off these profiles, so duplicates are not merged
+-- or removed here: the ALTER below fails with a duplicate entry error while any exist, and
+-- leaves the table unchanged. Find them with the queries below, resolve each group by hand
+-- (or with a reviewed one-off script that archives the extra rows), then run this again.
+-- The GSTIN query also lists numbers that differ only in spacing, which the key cannot see.
+--
+--   SELECT user_id, GROUP_CONCAT(id ORDER BY id) AS profile_ids
+--   FROM channel_partner_profiles
+--   GROUP BY user_id
+--   HAVING COUNT(*) > 1;
+--
+--   SELECT UPPER(REPLACE(gst_number, ' ', '')) AS gstin, GROUP_CONCAT(id ORDER BY id) AS profile_ids
+--   FROM channel_partner_profiles
+--   GROUP BY gstin
+--   HAVING COUNT(*) > 1;
+
+ALTER TABLE channel_partner_profiles
+  DROP INDEX idx_channel_partner_profiles_gst,
+  ADD UNIQUE KEY uq_channel_partner_profiles_gst (gst_number),
+  ADD UNIQUE KEY uq_channel_partner_profiles_user (user_id);
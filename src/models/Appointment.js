@@ -0,0 +1,54 @@
+import pool from '../config/db.js';
+
+export const APPOINTMENT_STATUS = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Confirmed',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled',
+  NO_SHOW: 'No Show',
+};
+
+// Appointments in these statuses hold their slot
+export const ACTIVE_APPOINTMENT_STATUSES = [APPOINTMENT_STATUS.PENDING, APPOINTMENT_STATUS.CONFIRMED];
+
+// Allowed status changes. Completed, Cancelled and No Show are final.
+const STATUS_TRANSITIONS = {
+  [APPOINTMENT_STATUS.PENDING]: [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.CANCELLED],
+  [APPOINTMENT_STATUS.CONFIRMED]: [
+    APPOINTMENT_STATUS.COMPLETED,
+    APPOINTMENT_STATUS.CANCELLED,
+    APPOINTMENT_STATUS.NO_SHOW,
+  ],
+};
+
+export const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// The doctor record and patient profiles that belong to a user. Either may be empty.
+export const getUserAppointmentIdentity = async (userId, executor = pool) => {
+  const [[doctorRows], [profileRows]] = await Promise.all([
+    executor.query(`SELECT id FROM doctors WHERE user_id = ?`, [userId]),
+    executor.query(`SELECT id FROM patient_profiles WHERE user_id = ?`, [userId]),
+  ]);
+
+  return {
+    doctorId: doctorRows.length > 0 ? doctorRows[0].id : null,
+    patientProfileIds: profileRows.map((row) => row.id),
+  };
+};
+
+// Whether another active appointment already occupies the slot
+export const isSlotTaken = async (connection, slotId, excludeAppointmentId = null) => {
+  const [rows] = await connection.query(
+    `SELECT id FROM appointments
+     WHERE slot_id = ? AND status IN (?) AND (? IS NULL OR id <> ?)
+     LIMIT 1
+     FOR UPDATE`,
+    [slotId, ACTIVE_APPOINTMENT_STATUSES, excludeAppointmentId, excludeAppointmentId]
+  );
+  return rows.length > 0;
+};
+
+// reference_type used when an appointment consumes a subscription benefit
+export const APPOINTMENT_BENEFIT_REFERENCE = 'appointment';
@@ -0,0 +1,136 @@
+import pool from '../config/db.js';
+import config from '../config/config.js';
+import { getBlackoutsInWindow, isBlackedOut } from './Blackout.js';
+import { PRACTICE_FACILITY_ACTIVE } from './DoctorPractice.js';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const INSERT_BATCH_SIZE = 500;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// doctor_schedules.day_of_week is stored either as 0-6 (Sunday = 0) or as a day name
+export const toDayIndex = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  if (Number.isInteger(number) && number >= 0 && number <= 6) return number;
+  const index = DAY_NAMES.indexOf(String(value).trim().toLowerCase());
+  return index === -1 ? null : index;
+};
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`;
+
+export const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Start and end times of every slot that fits inside one schedule window
+export const buildDaySlots = (startTime, endTime, { slotLengthMinutes, bufferMinutes }) => {
+  const slots = [];
+  const end = toMinutes(endTime);
+  for (
+    let start = toMinutes(startTime);
+    start + slotLengthMinutes <= end;
+    start += slotLengthMinutes + bufferMinutes
+  ) {
+    slots.push({ start: toTime(start), end: toTime(start + slotLengthMinutes) });
+  }
+  return slots;
+};
+
+// Materialises slots for today and the following days from active schedules.
+// Slots inside a doctor, clinic or department blackout are not created. Slots that
+// already exist are skipped by the unique key, so re-running is safe.
+// Returns the number of slots created.
+export const generateSlots = async ({
+  scheduleIds = null,
+  daysAhead = config.slotGeneration.daysAhead,
+  executor = pool,
+} = {}) => {
+  if (scheduleIds && scheduleIds.length === 0) return 0;
+
+  const [schedules] = await executor.query(
+    `SELECT
+       ds.id, ds.doctor_practice_id, ds.day_of_week, ds.start_time, ds.end_time, ds.consultation_mode,
+       dp.doctor_id, dp.clinic_id, dp.hospital_department_id
+     FROM doctor_schedules ds
+     JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+     WHERE ds.is_active = 1 AND dp.is_active = 1 AND ${PRACTICE_FACILITY_ACTIVE}
+       ${scheduleIds ? 'AND ds.id IN (?)' : ''}`,
+    scheduleIds ? [scheduleIds] : []
+  );
+  if (schedules.length === 0) return 0;
+
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const windowStart = toDateString(now);
+  const windowEnd = toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysAhead));
+  const blackouts = await getBlackoutsInWindow(windowStart, windowEnd, executor);
+  const rows = [];
+
+  for (let offset = 0; offset < daysAhead; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const slotDate = toDateString(date);
+
+    for (const schedule of schedules) {
+      if (toDayIndex(schedule.day_of_week) !== date.getDay()) continue;
+
+      for (const slot of buildDaySlots(schedule.start_time, schedule.end_time, config.slotGeneration)) {
+        // Never create slots that have already started today
+        if (offset === 0 && toMinutes(slot.start) <= nowMinutes) continue;
+        if (isBlackedOut(blackouts, schedule, `${slotDate} ${slot.start}`, `${slotDate} ${slot.end}`)) continue;
+        rows.push([
+          schedule.doctor_practice_id,
+          slotDate,
+          slot.start,
+          slot.end,
+          schedule.consultation_mode,
+          schedule.id,
+        ]);
+      }
+    }
+  }
+
+  let created = 0;
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const [result] = await executor.query(
+      `INSERT IGNORE INTO availability_slots
+         (doctor_practice_id, slot_date, slot_start_time, slot_end_time, consultation_mode, created_from_schedule_id)
+       VALUES ?`,
+      [rows.slice(i, i + INSERT_BATCH_SIZE)]
+    );
+    created += result.affectedRows;
+  }
+  return created;
+};
+
+// Removes the future slots of a practice that were never booked or held
+export const removeUnbookedPracticeSlots = async (practiceId, executor = pool) => {
+  const [result] = await executor.query(
+    `DELETE s FROM availability_slots s
+     WHERE s.doctor_practice_id = ?
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()
+       AND NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id)
+       AND NOT EXISTS (SELECT 1 FROM slot_holds h WHERE h.slot_id = s.id)`,
+    [practiceId]
+  );
+  return result.affectedRows;
+};
+
+// Removes a schedule's future slots that were never booked or held, then generates
+// them again from the schedule's current definition.
+export const regenerateScheduleSlots = async (scheduleId, executor = pool) => {
+  const [result] = await executor.query(
+    `DELETE s FROM availability_slots s
+     WHERE s.created_from_schedule_id = ?
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()
+       AND NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id)
+       AND NOT EXISTS (SELECT 1 FROM slot_holds h WHERE h.slot_id = s.id)`,
+    [scheduleId]
+  );
+
+  const created = await generateSlots({ scheduleIds: [scheduleId], executor });
+  return { removed: result.affectedRows, created };
+};
@@ -0,0 +1,126 @@
+import pool from '../config/db.js';
+import { ACTIVE_APPOINTMENT_STATUSES } from './Appointment.js';
+
+export const BLACKOUT_TYPES = ['leave', 'holiday', 'other'];
+
+// SQL matching a practice `dp` against the scope of a blackout `b`
+const SCOPE_MATCH = `(b.doctor_id = dp.doctor_id OR b.clinic_id = dp.clinic_id OR b.hospital_department_id = dp.hospital_department_id)`;
+
+// SQL matching a slot `s` that overlaps the window of a blackout `b`
+const WINDOW_OVERLAP = `(TIMESTAMP(s.slot_date, s.slot_start_time) < b.end_at AND TIMESTAMP(s.slot_date, s.slot_end_time) > b.start_at)`;
+
+// SQL condition, for queries joining slot `s` to practice `dp`, that is true when the slot
+// falls inside any blackout
+export const SLOT_BLACKED_OUT = `EXISTS (SELECT 1 FROM doctor_blackouts b WHERE ${SCOPE_MATCH} AND ${WINDOW_OVERLAP})`;
+
+// reschedule_reason shown on appointments flagged by a blackout
+export const blackoutRescheduleReason = (reason) => (reason ? `Doctor unavailable: ${reason}` : 'Doctor unavailable');
+
+// Blackouts overlapping [from, to), with the window as 'YYYY-MM-DD HH:MM:SS' strings
+export const getBlackoutsInWindow = async (from, to, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT
+       id, doctor_id, clinic_id, hospital_department_id,
+       DATE_FORMAT(start_at, '%Y-%m-%d %H:%i:%s') AS start_at,
+       DATE_FORMAT(end_at, '%Y-%m-%d %H:%i:%s') AS end_at
+     FROM doctor_blackouts
+     WHERE end_at > ? AND start_at < ?`,
+    [from, to]
+  );
+  return rows;
+};
+
+// Whether a slot of `practice` (doctor_id, clinic_id, hospital_department_id) falls inside any blackout.
+// Slot boundaries are 'YYYY-MM-DD HH:MM:SS' strings, so plain string comparison orders them.
+export const isBlackedOut = (blackouts, practice, slotStart, slotEnd) =>
+  blackouts.some(
+    (b) =>
+      ((b.doctor_id !== null && b.doctor_id === practice.doctor_id) ||
+        (b.clinic_id !== null && b.clinic_id === practice.clinic_id) ||
+        (b.hospital_department_id !== null && b.hospital_department_id === practice.hospital_department_id)) &&
+      slotStart < b.end_at &&
+      slotEnd > b.start_at
+  );
+
+// Whether a stored slot falls inside any blackout
+export const isSlotBlackedOut = async (slotId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT b.id
+     FROM availability_slots s
+     JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+     JOIN doctor_blackouts b ON ${SCOPE_MATCH} AND ${WINDOW_OVERLAP}
+     WHERE s.id = ?
+     LIMIT 1`,
+    [slotId]
+  );
+  return rows.length > 0;
+};
+
+// Removes the free upcoming slots inside a new blackout and flags the active
+// appointments inside it for rescheduling.
+export const applyBlackout = async (connection, blackoutId, reason) => {
+  const [removed] = await connection.query(
+    `DELETE s FROM availability_slots s
+     JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+     JOIN doctor_blackouts b ON b.id = ?
+     WHERE ${SCOPE_MATCH} AND ${WINDOW_OVERLAP}
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()
+       AND NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id)
+       AND NOT EXISTS (SELECT 1 FROM slot_holds h WHERE h.slot_id = s.id)`,
+    [blackoutId]
+  );
+
+  const [flagged] = await connection.query(
+    `UPDATE appointments a
+     JOIN availability_slots s ON a.slot_id = s.id
+     JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+     JOIN doctor_blackouts b ON b.id = ?
+     SET a.needs_reschedule = 1, a.reschedule_reason = ?, a.flagged_blackout_id = b.id
+     WHERE ${SCOPE_MATCH} AND ${WINDOW_OVERLAP}
+       AND a.status IN (?)`,
+    [blackoutId, reason, ACTIVE_APPOINTMENT_STATUSES]
+  );
+
+  return { removedSlots: removed.affectedRows, flaggedAppointments: flagged.affectedRows };
+};
+
+// Undoes a blackout before it is deleted: appointments it flagged that still fall inside
+// another blackout are re-flagged against that one, the rest are cleared. Returns the
+// number cleared and the ids of active schedules whose slots should be generated again.
+export const liftBlackout = async (connection, blackoutId) => {
+  const [flagged] = await connection.query(`SELECT id FROM appointments WHERE flagged_blackout_id = ?`, [
+    blackoutId,
+  ]);
+  const appointmentIds = flagged.map((row) => row.id);
+
+  if (appointmentIds.length > 0) {
+    await connection.query(
+      `UPDATE appointments a
+       JOIN availability_slots s ON a.slot_id = s.id
+       JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+       JOIN doctor_blackouts b ON b.id <> ? AND ${SCOPE_MATCH} AND ${WINDOW_OVERLAP}
+       SET a.reschedule_reason = IF(b.reason IS NULL OR b.reason = '', 'Doctor unavailable', CONCAT('Doctor unavailable: ', b.reason)),
+           a.flagged_blackout_id = b.id
+       WHERE a.id IN (?)`,
+      [blackoutId, appointmentIds]
+    );
+  }
+
+  const [cleared] = await connection.query(
+    `UPDATE appointments
+     SET needs_reschedule = 0, reschedule_reason = NULL, flagged_blackout_id = NULL
+     WHERE flagged_blackout_id = ?`,
+    [blackoutId]
+  );
+
+  const [schedules] = await connection.query(
+    `SELECT DISTINCT ds.id
+     FROM doctor_schedules ds
+     JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+     JOIN doctor_blackouts b ON b.id = ?
+     WHERE ${SCOPE_MATCH} AND ds.is_active = 1`,
+    [blackoutId]
+  );
+
+  return { clearedAppointments: cleared.affectedRows, scheduleIds: schedules.map((row) => row.id) };
+};
@@ -0,0 +1,79 @@
+import pool from '../config/db.js';
+
+export const PARTNER_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUSPENDED: 'suspended',
+};
+
+// Allowed admin decisions. Rejected applicants re-apply by editing their application,
+// which moves it back to pending.
+const STATUS_TRANSITIONS = {
+  [PARTNER_STATUS.PENDING]: [PARTNER_STATUS.APPROVED, PARTNER_STATUS.REJECTED],
+  [PARTNER_STATUS.APPROVED]: [PARTNER_STATUS.SUSPENDED],
+  [PARTNER_STATUS.SUSPENDED]: [PARTNER_STATUS.APPROVED],
+};
+
+export const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// Another partner profile already registered with this GSTIN, if any
+export const findPartnerByGstin = async (gstin, excludeId = null, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT id, company_name FROM channel_partner_profiles WHERE gst_number = ? AND id <> ?`,
+    [gstin, excludeId ?? 0]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Commission percentage that applies to the partner on `date` (YYYY-MM-DD, default today).
+// Falls back to the profile's stored rate for partners without any history.
+export const getEffectiveCommission = async (partnerId, date = null, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT COALESCE(
+       (SELECT cr.commission_percentage
+        FROM channel_partner_commission_rates cr
+        WHERE cr.partner_id = cpp.id AND cr.effective_from <= COALESCE(?, CURDATE())
+        ORDER BY cr.effective_from DESC
+        LIMIT 1),
+       cpp.commission_percentage
+     ) AS commission_percentage
+     FROM channel_partner_profiles cpp
+     WHERE cpp.id = ?`,
+    [date, partnerId]
+  );
+  if (rows.length === 0 || rows[0].commission_percentage === null) return null;
+  return Number(rows[0].commission_percentage);
+};
+
+export const getCommissionHistory = async (partnerId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT cr.id, cr.commission_percentage, cr.effective_from, cr.note, cr.created_by,
+            u.full_name AS created_by_name, cr.created_at
+     FROM channel_partner_commission_rates cr
+     LEFT JOIN users u ON cr.created_by = u.id
+     WHERE cr.partner_id = ?
+     ORDER BY cr.effective_from DESC`,
+    [partnerId]
+  );
+  return rows.map((row) => ({ ...row, commission_percentage: Number(row.commission_percentage) }));
+};
+
+// Copies the rate in effect today onto channel_partner_profiles.commission_percentage for
+// every partner whose latest started history entry differs. Returns the number updated.
+export const applyDueCommissionRates = async (executor = pool) => {
+  const [result] = await executor.query(
+    `UPDATE channel_partner_profiles cpp
+     JOIN channel_partner_commission_rates cr ON cr.id = (
+       SELECT latest.id FROM channel_partner_commission_rates latest
+       WHERE latest.partner_id = cpp.id AND latest.effective_from <= CURDATE()
+       ORDER BY latest.effective_from DESC
+       LIMIT 1
+     )
+     SET cpp.commission_percentage = cr.commission_percentage
+     WHERE NOT (cpp.commission_percentage <=> cr.commission_percentage)`
+  );
+  return result.affectedRows;
+};
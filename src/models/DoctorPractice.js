@@ -0,0 +1,110 @@
+import pool from '../config/db.js';
+import { ACTIVE_APPOINTMENT_STATUSES } from './Appointment.js';
+import { removeUnbookedPracticeSlots } from './AvailabilitySlot.js';
+
+// SQL that is true when the facility of practice `dp` is active: its clinic, or its hospital
+// department and that department's hospital. Practices at a deactivated facility get no new
+// slots and cannot be booked or found in search until it is activated again.
+export const PRACTICE_FACILITY_ACTIVE = `(
+  (dp.clinic_id IS NULL OR EXISTS (SELECT 1 FROM clinics fc WHERE fc.id = dp.clinic_id AND fc.is_active = 1))
+  AND (dp.hospital_department_id IS NULL OR EXISTS (
+    SELECT 1 FROM hospital_departments fd
+    JOIN hospitals fh ON fd.hospital_id = fh.id
+    WHERE fd.id = dp.hospital_department_id AND fd.is_active = 1 AND fh.is_active = 1
+  ))
+)`;
+
+// Whether a stored slot belongs to a practice that can take bookings: the affiliation
+// has not ended and its facility is active
+export const isSlotPracticeActive = async (slotId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT s.id
+     FROM availability_slots s
+     JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+     WHERE s.id = ? AND dp.is_active = 1 AND ${PRACTICE_FACILITY_ACTIVE}`,
+    [slotId]
+  );
+  return rows.length > 0;
+};
+
+// Makes `practiceId` the doctor's only primary practice. Run inside a transaction:
+// the other primary is cleared first so the unique key never sees two.
+export const setPrimaryPractice = async (connection, doctorId, practiceId) => {
+  await connection.query(
+    `UPDATE doctor_practices SET is_primary = 0 WHERE doctor_id = ? AND id <> ? AND is_primary = 1`,
+    [doctorId, practiceId]
+  );
+  await connection.query(`UPDATE doctor_practices SET is_primary = 1 WHERE id = ?`, [practiceId]);
+};
+
+// Promotes the doctor's oldest remaining active practice to primary, if they have no
+// active primary left. Returns the promoted practice id, or null.
+export const ensurePrimaryPractice = async (connection, doctorId) => {
+  const [rows] = await connection.query(
+    `SELECT id, is_primary FROM doctor_practices
+     WHERE doctor_id = ? AND is_active = 1
+     ORDER BY is_primary DESC, id ASC
+     LIMIT 1`,
+    [doctorId]
+  );
+  if (rows.length === 0 || rows[0].is_primary) return null;
+
+  await connection.query(`UPDATE doctor_practices SET is_primary = 1 WHERE id = ?`, [rows[0].id]);
+  return rows[0].id;
+};
+
+// Closes the open fee period of a practice and opens a new one from now
+export const recordFeeChange = async (connection, practiceId, fee, changedBy) => {
+  await connection.query(
+    `UPDATE doctor_practice_fees SET effective_to = NOW()
+     WHERE doctor_practice_id = ? AND effective_to IS NULL`,
+    [practiceId]
+  );
+  await connection.query(
+    `INSERT INTO doctor_practice_fees (doctor_practice_id, consultation_fee, effective_from, changed_by)
+     VALUES (?, ?, NOW(), ?)`,
+    [practiceId, fee, changedBy]
+  );
+};
+
+// Fee periods of a practice, newest first
+export const getFeeHistory = async (practiceId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT f.id, f.consultation_fee, f.effective_from, f.effective_to, f.changed_by, u.full_name AS changed_by_name
+     FROM doctor_practice_fees f
+     LEFT JOIN users u ON f.changed_by = u.id
+     WHERE f.doctor_practice_id = ?
+     ORDER BY f.effective_from DESC, f.id DESC`,
+    [practiceId]
+  );
+  return rows.map((row) => ({
+    ...row,
+    consultation_fee: row.consultation_fee === null ? null : Number(row.consultation_fee),
+  }));
+};
+
+// Ends an affiliation inside a transaction: deactivates the practice and its schedules,
+// removes its unbooked future slots and flags its upcoming appointments for rescheduling.
+export const endPractice = async (connection, practiceId, reason) => {
+  await connection.query(
+    `UPDATE doctor_practices
+     SET is_active = 0, is_primary = 0, ended_at = NOW(), end_reason = ?
+     WHERE id = ?`,
+    [reason, practiceId]
+  );
+  await connection.query(`UPDATE doctor_schedules SET is_active = 0 WHERE doctor_practice_id = ?`, [practiceId]);
+
+  const removedSlots = await removeUnbookedPracticeSlots(practiceId, connection);
+
+  const [flagged] = await connection.query(
+    `UPDATE appointments a
+     JOIN availability_slots s ON a.slot_id = s.id
+     SET a.needs_reschedule = 1, a.reschedule_reason = ?
+     WHERE s.doctor_practice_id = ?
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()
+       AND a.status IN (?)`,
+    ['Practice affiliation ended', practiceId, ACTIVE_APPOINTMENT_STATUSES]
+  );
+
+  return { removedSlots, flaggedAppointments: flagged.affectedRows };
+};
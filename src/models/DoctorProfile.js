@@ -0,0 +1,143 @@
+import pool from '../config/db.js';
+
+// Columns of the doctor summary row that the profile details are attached to
+export const DOCTOR_PROFILE_COLUMNS = `
+  d.id AS doctor_id,
+  d.user_id AS user_id,
+  u.full_name AS name,
+  u.email,
+  u.phone,
+  d.bio,
+  d.experience_years,
+  d.languages_spoken,
+  d.average_rating,
+  d.total_reviews,
+  d.is_verified,
+  d.profile_url,
+  d.profile_img_public_id`;
+
+// Groups rows under `key`, dropping the key column from each row
+const groupBy = (rows, key) =>
+  rows.reduce((acc, { [key]: id, ...row }) => {
+    if (!acc[id]) acc[id] = [];
+    acc[id].push(row);
+    return acc;
+  }, {});
+
+// Loads addresses, qualifications, schedules, availability slots, appointments and
+// verification documents for every doctor in `doctors` and attaches them in place.
+// Runs a fixed six queries no matter how many doctors are passed.
+export const attachDoctorProfileDetails = async (doctors, executor = pool) => {
+  if (doctors.length === 0) return doctors;
+
+  const doctorIds = doctors.map((doctor) => doctor.doctor_id);
+  const userIds = doctors.map((doctor) => doctor.user_id);
+
+  const [
+    [addresses],
+    [qualifications],
+    [schedules],
+    [slots],
+    [appointments],
+    [documents],
+  ] = await Promise.all([
+    executor.query(
+      `SELECT
+         a.user_id,
+         a.id,
+         a.street,
+         a.landmark,
+         a.postal_code,
+         a.address_type,
+         c.name AS city,
+         s.name AS state,
+         cn.name AS country
+       FROM addresses a
+       LEFT JOIN cities c ON a.city_id = c.id
+       LEFT JOIN states s ON a.state_id = s.id
+       LEFT JOIN countries cn ON a.country_id = cn.id
+       WHERE a.user_id IN (?)`,
+      [userIds]
+    ),
+    executor.query(
+      `SELECT DISTINCT
+         doctor_id,
+         CONCAT(degree_name, ' from ', institution, ' (', completion_year, ')') AS qualification
+       FROM doctor_qualifications
+       WHERE doctor_id IN (?)`,
+      [doctorIds]
+    ),
+    executor.query(
+      `SELECT
+         dp.doctor_id, ds.day_of_week, ds.start_time, ds.end_time, ds.consultation_mode, ds.is_active
+       FROM doctor_schedules ds
+       JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+       WHERE dp.doctor_id IN (?)`,
+      [doctorIds]
+    ),
+    executor.query(
+      `SELECT
+         dp.doctor_id, av.slot_start_time, av.slot_end_time, av.consultation_mode, av.slot_date, av.created_from_schedule_id
+       FROM availability_slots av
+       JOIN doctor_practices dp ON av.doctor_practice_id = dp.id
+       WHERE dp.doctor_id IN (?)`,
+      [doctorIds]
+    ),
+    executor.query(
+      `SELECT
+         a.doctor_id,
+         a.id,
+         a.slot_id,
+         a.patient_profile_id,
+         a.status,
+         a.consultation_type,
+         a.patient_symptoms,
+         a.channel_name,
+         u.full_name AS patient_name,
+         s.slot_start_time,
+         s.slot_end_time,
+         s.slot_date
+       FROM appointments a
+       LEFT JOIN patient_profiles pp ON a.patient_profile_id = pp.id
+       LEFT JOIN users u ON pp.user_id = u.id
+       LEFT JOIN availability_slots s ON a.slot_id = s.id
+       WHERE a.doctor_id IN (?)`,
+      [doctorIds]
+    ),
+    // One row per uploaded file (the same public_id can be recorded more than once)
+    executor.query(
+      `SELECT d1.*
+       FROM doctor_verification_docs d1
+       INNER JOIN (
+         SELECT MIN(id) AS min_id
+         FROM doctor_verification_docs
+         WHERE doctor_id IN (?)
+         GROUP BY doctor_id, public_id
+       ) d2 ON d1.id = d2.min_id`,
+      [doctorIds]
+    ),
+  ]);
+
+  const addressesByUser = groupBy(addresses, 'user_id');
+  const qualificationsByDoctor = groupBy(qualifications, 'doctor_id');
+  const schedulesByDoctor = groupBy(schedules, 'doctor_id');
+  const slotsByDoctor = groupBy(slots, 'doctor_id');
+  const appointmentsByDoctor = groupBy(appointments, 'doctor_id');
+
+  const documentsByDoctor = documents.reduce((acc, doc) => {
+    if (!acc[doc.doctor_id]) acc[doc.doctor_id] = [];
+    acc[doc.doctor_id].push(doc);
+    return acc;
+  }, {});
+
+  for (const doctor of doctors) {
+    doctor.addresses = addressesByUser[doctor.user_id] || [];
+    doctor.qualifications = (qualificationsByDoctor[doctor.doctor_id] || []).map((q) => q.qualification);
+    doctor.schedules = schedulesByDoctor[doctor.doctor_id] || [];
+    doctor.availability_slots = slotsByDoctor[doctor.doctor_id] || [];
+    doctor.appointments = appointmentsByDoctor[doctor.doctor_id] || [];
+    doctor.documents = documentsByDoctor[doctor.doctor_id] || [];
+  }
+
+  return doctors;
+};
@@ -0,0 +1,40 @@
+import pool from '../config/db.js';
+import { toDayIndex, toMinutes } from './AvailabilitySlot.js';
+
+// Active schedules of a doctor, across every practice, that overlap the given weekday
+// and time window. Times are 'HH:MM[:SS]'; windows that only touch do not overlap.
+export const findScheduleConflicts = async (
+  { doctorId, dayOfWeek, startTime, endTime, excludeScheduleId = null },
+  executor = pool
+) => {
+  const [rows] = await executor.query(
+    `SELECT
+       ds.id AS schedule_id,
+       ds.doctor_practice_id,
+       dp.practice_type,
+       c.name AS clinic_name,
+       h.name AS hospital_name,
+       hd.id AS hospital_department_id,
+       ds.day_of_week,
+       ds.start_time,
+       ds.end_time,
+       ds.consultation_mode
+     FROM doctor_schedules ds
+     JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+     LEFT JOIN clinics c ON dp.clinic_id = c.id
+     LEFT JOIN hospital_departments hd ON dp.hospital_department_id = hd.id
+     LEFT JOIN hospitals h ON hd.hospital_id = h.id
+     WHERE dp.doctor_id = ? AND ds.is_active = 1 AND (? IS NULL OR ds.id <> ?)`,
+    [doctorId, excludeScheduleId, excludeScheduleId]
+  );
+
+  // day_of_week may be stored as a number or a name, so compare in JS
+  const day = toDayIndex(dayOfWeek);
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  return rows.filter(
+    (row) =>
+      toDayIndex(row.day_of_week) === day && toMinutes(row.start_time) < end && toMinutes(row.end_time) > start
+  );
+};
@@ -0,0 +1,371 @@
+import pool from '../config/db.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { SLOT_BLACKED_OUT } from './Blackout.js';
+import { PRACTICE_FACILITY_ACTIVE } from './DoctorPractice.js';
+
+// Fee facet buckets; `max` is exclusive and null means open-ended
+export const FEE_BUCKETS = [
+  { key: '0-500', min: 0, max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-2000', min: 1000, max: 2000 },
+  { key: '2000+', min: 2000, max: null },
+];
+
+export const RATING_BUCKETS = [4, 3, 2, 1];
+
+export const AVAILABILITY_BUCKETS = [
+  { key: 'today', days: 0 },
+  { key: 'within_3_days', days: 3 },
+  { key: 'within_7_days', days: 7 },
+];
+
+// languages_spoken is stored either as a JSON array or as a comma separated list
+export const parseLanguages = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map((lang) => String(lang).trim()).filter(Boolean);
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      return parseLanguages(JSON.parse(text));
+    } catch {
+      // fall through to comma splitting
+    }
+  }
+  return text
+    .split(',')
+    .map((lang) => lang.trim())
+    .filter(Boolean);
+};
+
+// Doctors joined to their user account, as `d` and `u`
+const DOCTOR_FROM = `doctors d JOIN users u ON d.user_id = u.id`;
+
+// Clinic or hospital a practice `dp` belongs to, as `c` and `h`
+const FACILITY_JOINS = `LEFT JOIN clinics c ON dp.clinic_id = c.id
+       LEFT JOIN hospital_departments hd ON dp.hospital_department_id = hd.id
+       LEFT JOIN hospitals h ON hd.hospital_id = h.id`;
+
+const PRACTICE_CITY = 'COALESCE(c.city_id, h.city_id)';
+
+// A practice `dp` that is still active at an active facility
+const ACTIVE_PRACTICE = `dp.is_active = 1 AND ${PRACTICE_FACILITY_ACTIVE}`;
+
+// languages_spoken of doctor `d` as a JSON array, converting comma separated lists
+const LANGUAGES_JSON = `IF(JSON_VALID(d.languages_spoken), d.languages_spoken,
+       CONCAT('["', REPLACE(REPLACE(d.languages_spoken, '"', ''), ',', '","'), '"]'))`;
+
+// One row `l` per language spoken by doctor `d`
+const LANGUAGES_TABLE = `JSON_TABLE(${LANGUAGES_JSON}, '$[*]' COLUMNS (language VARCHAR(100) PATH '$')) l`;
+
+const toWhereSql = (where) => where.join(' AND ');
+
+// Conditions on a practice `dp` (joined with FACILITY_JOINS) for the practice-level filters.
+// City and fee range must be satisfied by the same practice.
+const practiceFilters = (filters) => {
+  const where = [];
+  const params = [];
+
+  if (filters.city_id !== undefined) {
+    where.push(`${PRACTICE_CITY} = ?`);
+    params.push(filters.city_id);
+  }
+  if (filters.min_fee !== undefined) {
+    where.push('dp.consultation_fee >= ?');
+    params.push(filters.min_fee);
+  }
+  if (filters.max_fee !== undefined) {
+    where.push('dp.consultation_fee <= ?');
+    params.push(filters.max_fee);
+  }
+  return { where, params };
+};
+
+// Subquery for the earliest free upcoming slot of doctor `d`, optionally in one consultation mode
+const nextSlotSql = (mode) => ({
+  sql: `(SELECT MIN(TIMESTAMP(s.slot_date, s.slot_start_time))
+     FROM availability_slots s
+     JOIN doctor_practices dp ON s.doctor_practice_id = dp.id
+     LEFT JOIN appointments a ON a.active_slot_id = s.id
+     LEFT JOIN slot_holds h ON h.active_slot_id = s.id AND h.expires_at > NOW()
+     WHERE dp.doctor_id = d.id
+       AND ${ACTIVE_PRACTICE}
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()
+       AND a.id IS NULL
+       AND h.id IS NULL
+       AND NOT ${SLOT_BLACKED_OUT}${mode ? ' AND s.consultation_mode = ?' : ''})`,
+  params: mode ? [mode] : [],
+});
+
+// Conditions on a doctor `d` (joined with users `u`) for every filter in `filters`
+const doctorFilters = (filters) => {
+  const where = ['d.is_verified = 1'];
+  const params = [];
+
+  if (filters.q) {
+    where.push('u.full_name LIKE ?');
+    params.push(`%${filters.q}%`);
+  }
+  if (filters.specialization_id !== undefined) {
+    where.push('d.specialization_id = ?');
+    params.push(filters.specialization_id);
+  }
+  if (filters.min_rating !== undefined) {
+    where.push('d.average_rating >= ?');
+    params.push(filters.min_rating);
+  }
+  if (filters.language) {
+    where.push(`EXISTS (SELECT 1 FROM ${LANGUAGES_TABLE} WHERE LOWER(TRIM(l.language)) = LOWER(?))`);
+    params.push(filters.language);
+  }
+  if (filters.consultation_mode) {
+    where.push(
+      `EXISTS (SELECT 1 FROM doctor_schedules ds
+         JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+         WHERE dp.doctor_id = d.id AND ${ACTIVE_PRACTICE} AND ds.is_active = 1 AND ds.consultation_mode = ?)`
+    );
+    params.push(filters.consultation_mode);
+  }
+
+  const practice = practiceFilters(filters);
+  if (practice.where.length > 0) {
+    where.push(
+      `EXISTS (SELECT 1 FROM doctor_practices dp ${FACILITY_JOINS}
+         WHERE dp.doctor_id = d.id AND ${ACTIVE_PRACTICE} AND ${toWhereSql(practice.where)})`
+    );
+    params.push(...practice.params);
+  }
+
+  if (filters.available_within_days !== undefined) {
+    const nextSlot = nextSlotSql(filters.consultation_mode);
+    where.push(`${nextSlot.sql} < DATE_ADD(CURDATE(), INTERVAL ? DAY)`);
+    params.push(...nextSlot.params, filters.available_within_days + 1);
+  }
+
+  return { where, params };
+};
+
+// Filters out the given keys, so a facet is counted against every other active filter
+const without = (filters, ...keys) =>
+  Object.fromEntries(Object.entries(filters).filter(([key]) => !keys.includes(key)));
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+/**
+ * One page of verified doctors matching `filters`, sorted and paged by `listQuery`.
+ * `listQuery.sort.column` is a column of `results`; missing values always sort last.
+ */
+export const searchVerifiedDoctors = async (filters, listQuery, executor = pool) => {
+  const doctor = doctorFilters(filters);
+  const practice = practiceFilters(filters);
+  const nextSlot = nextSlotSql(filters.consultation_mode);
+  const practiceWhere = toWhereSql(['dp.doctor_id = d.id', ACTIVE_PRACTICE, ...practice.where]);
+  const feeSql = (aggregate) =>
+    `(SELECT ${aggregate}(dp.consultation_fee) FROM doctor_practices dp ${FACILITY_JOINS} WHERE ${practiceWhere})`;
+
+  const { column, direction } = listQuery.sort;
+  const { rows, pagination } = await fetchPage(executor, {
+    select: 'SELECT results.*',
+    from: `FROM (
+       SELECT
+         d.id AS doctor_id,
+         d.user_id,
+         u.full_name AS name,
+         d.specialization_id,
+         sp.name AS specialization_name,
+         d.experience_years,
+         d.languages_spoken,
+         d.average_rating,
+         d.total_reviews,
+         d.profile_url,
+         ${feeSql('MIN')} AS min_fee,
+         ${feeSql('MAX')} AS max_fee,
+         ${nextSlot.sql} AS next_available_slot
+       FROM ${DOCTOR_FROM}
+       LEFT JOIN specializations sp ON d.specialization_id = sp.id
+       WHERE ${toWhereSql(doctor.where)}
+     ) results`,
+    // Placeholders sit in the derived table, in the order of its select list and then its WHERE
+    params: [...practice.params, ...practice.params, ...nextSlot.params, ...doctor.params],
+    listQuery: {
+      ...listQuery,
+      orderBy: `${column} IS NULL, ${column} ${direction}, results.doctor_id ${direction}`,
+    },
+    cursorKey: 'doctor_id',
+  });
+  if (rows.length === 0) return { rows, pagination };
+
+  const doctorIds = rows.map((row) => row.doctor_id);
+  const [[practiceRows], [modeRows]] = await Promise.all([
+    executor.query(
+      `SELECT
+         dp.id AS doctor_practice_id,
+         dp.doctor_id,
+         dp.practice_type,
+         dp.consultation_fee,
+         ${PRACTICE_CITY} AS city_id,
+         ci.name AS city_name,
+         COALESCE(c.name, h.name) AS facility_name
+       FROM doctor_practices dp
+       ${FACILITY_JOINS}
+       LEFT JOIN cities ci ON ci.id = ${PRACTICE_CITY}
+       WHERE ${toWhereSql(['dp.doctor_id IN (?)', ACTIVE_PRACTICE, ...practice.where])}`,
+      [doctorIds, ...practice.params]
+    ),
+    executor.query(
+      `SELECT DISTINCT dp.doctor_id, ds.consultation_mode
+       FROM doctor_schedules ds
+       JOIN doctor_practices dp ON ds.doctor_practice_id = dp.id
+       WHERE dp.doctor_id IN (?) AND ${ACTIVE_PRACTICE} AND ds.is_active = 1`,
+      [doctorIds]
+    ),
+  ]);
+
+  return {
+    rows: rows.map(({ languages_spoken, ...row }) => ({
+      ...row,
+      languages: parseLanguages(languages_spoken),
+      average_rating: toNumber(row.average_rating),
+      min_fee: toNumber(row.min_fee),
+      max_fee: toNumber(row.max_fee),
+      consultation_modes: modeRows
+        .filter((mode) => mode.doctor_id === row.doctor_id && mode.consultation_mode)
+        .map((mode) => mode.consultation_mode),
+      practices: practiceRows
+        .filter((practice) => practice.doctor_id === row.doctor_id)
+        .map(({ doctor_id, ...practice }) => ({ ...practice, consultation_fee: toNumber(practice.consultation_fee) })),
+    })),
+    pagination,
+  };
+};
+
+// Facet counts for each filter, one GROUP BY query per facet. Each facet ignores its own
+// filter and applies all the others, so the counts show what selecting a value would return.
+export const buildFacets = async (filters, executor = pool) => {
+  const doctorsWithout = (...keys) => doctorFilters(without(filters, ...keys));
+
+  const specialization = doctorsWithout('specialization_id');
+  const city = doctorsWithout('city_id');
+  const cityPractice = practiceFilters(without(filters, 'city_id'));
+  const language = doctorsWithout('language');
+  const consultationMode = doctorsWithout('consultation_mode');
+  const fee = doctorsWithout('min_fee', 'max_fee');
+  const feePractice = practiceFilters(without(filters, 'min_fee', 'max_fee'));
+  const rating = doctorsWithout('min_rating');
+  const availability = doctorsWithout('available_within_days');
+  const nextSlot = nextSlotSql(filters.consultation_mode);
+
+  const feeBucketSql = `CASE ${FEE_BUCKETS.map((bucket) =>
+    bucket.max === null
+      ? 'WHEN dp.consultation_fee >= ? THEN ?'
+      : 'WHEN dp.consultation_fee >= ? AND dp.consultation_fee < ? THEN ?'
+  ).join(' ')} END`;
+  const feeBucketParams = FEE_BUCKETS.flatMap((bucket) =>
+    bucket.max === null ? [bucket.min, bucket.key] : [bucket.min, bucket.max, bucket.key]
+  );
+  const maxDays = Math.max(...AVAILABILITY_BUCKETS.map((bucket) => bucket.days));
+
+  const [
+    [specializationRows],
+    [cityRows],
+    [languageRows],
+    [modeRows],
+    [feeRows],
+    [ratingRows],
+    [availabilityRows],
+  ] = await Promise.all([
+    executor.query(
+      `SELECT d.specialization_id AS value, sp.name AS label, COUNT(*) AS count
+       FROM ${DOCTOR_FROM}
+       LEFT JOIN specializations sp ON d.specialization_id = sp.id
+       WHERE ${toWhereSql([...specialization.where, 'd.specialization_id IS NOT NULL'])}
+       GROUP BY d.specialization_id, sp.name
+       ORDER BY count DESC`,
+      specialization.params
+    ),
+    executor.query(
+      `SELECT ${PRACTICE_CITY} AS value, ci.name AS label, COUNT(DISTINCT d.id) AS count
+       FROM ${DOCTOR_FROM}
+       JOIN doctor_practices dp ON dp.doctor_id = d.id AND ${ACTIVE_PRACTICE}
+       ${FACILITY_JOINS}
+       LEFT JOIN cities ci ON ci.id = ${PRACTICE_CITY}
+       WHERE ${toWhereSql([...city.where, ...cityPractice.where, `${PRACTICE_CITY} IS NOT NULL`])}
+       GROUP BY ${PRACTICE_CITY}, ci.name
+       ORDER BY count DESC`,
+      [...city.params, ...cityPractice.params]
+    ),
+    executor.query(
+      `SELECT LOWER(TRIM(l.language)) AS value, MIN(TRIM(l.language)) AS label, COUNT(DISTINCT d.id) AS count
+       FROM ${DOCTOR_FROM}
+       CROSS JOIN ${LANGUAGES_TABLE}
+       WHERE ${toWhereSql([...language.where, "TRIM(l.language) <> ''"])}
+       GROUP BY LOWER(TRIM(l.language))
+       ORDER BY count DESC`,
+      language.params
+    ),
+    executor.query(
+      `SELECT ds.consultation_mode AS value, COUNT(DISTINCT d.id) AS count
+       FROM ${DOCTOR_FROM}
+       JOIN doctor_practices dp ON dp.doctor_id = d.id AND ${ACTIVE_PRACTICE}
+       JOIN doctor_schedules ds ON ds.doctor_practice_id = dp.id AND ds.is_active = 1
+       WHERE ${toWhereSql([...consultationMode.where, "ds.consultation_mode <> ''"])}
+       GROUP BY ds.consultation_mode
+       ORDER BY count DESC`,
+      consultationMode.params
+    ),
+    executor.query(
+      `SELECT ${feeBucketSql} AS bucket, COUNT(DISTINCT d.id) AS count
+       FROM ${DOCTOR_FROM}
+       JOIN doctor_practices dp ON dp.doctor_id = d.id AND ${ACTIVE_PRACTICE}
+       ${FACILITY_JOINS}
+       WHERE ${toWhereSql([...fee.where, ...feePractice.where])}
+       GROUP BY bucket`,
+      [...feeBucketParams, ...fee.params, ...feePractice.params]
+    ),
+    executor.query(
+      `SELECT FLOOR(d.average_rating) AS rating_floor, COUNT(*) AS count
+       FROM ${DOCTOR_FROM}
+       WHERE ${toWhereSql([...rating.where, 'd.average_rating >= ?'])}
+       GROUP BY rating_floor`,
+      [...rating.params, Math.min(...RATING_BUCKETS)]
+    ),
+    executor.query(
+      `SELECT DATEDIFF(next_slot.next_available_slot, CURDATE()) AS days_out, COUNT(*) AS count
+       FROM (
+         SELECT ${nextSlot.sql} AS next_available_slot
+         FROM ${DOCTOR_FROM}
+         WHERE ${toWhereSql(availability.where)}
+       ) next_slot
+       WHERE next_slot.next_available_slot < DATE_ADD(CURDATE(), INTERVAL ? DAY)
+       GROUP BY days_out`,
+      [...nextSlot.params, ...availability.params, maxDays + 1]
+    ),
+  ]);
+
+  const feeCounts = new Map(feeRows.map((row) => [row.bucket, Number(row.count)]));
+  const countWhere = (rows, test) =>
+    rows.filter(test).reduce((total, row) => total + Number(row.count), 0);
+
+  return {
+    specialization: specializationRows.map((row) => ({ ...row, count: Number(row.count) })),
+    city: cityRows.map((row) => ({ ...row, count: Number(row.count) })),
+    language: languageRows.map((row) => ({ ...row, count: Number(row.count) })),
+    consultation_mode: modeRows.map((row) => ({ value: row.value, label: row.value, count: Number(row.count) })),
+    fee: FEE_BUCKETS.map((bucket) => ({
+      value: bucket.key,
+      min: bucket.min,
+      max: bucket.max,
+      count: feeCounts.get(bucket.key) || 0,
+    })),
+    rating: RATING_BUCKETS.map((min) => ({
+      value: min,
+      label: `${min}+`,
+      count: countWhere(ratingRows, (row) => Number(row.rating_floor) >= min),
+    })),
+    availability: AVAILABILITY_BUCKETS.map((bucket) => ({
+      value: bucket.key,
+      days: bucket.days,
+      count: countWhere(availabilityRows, (row) => Number(row.days_out) <= bucket.days),
+    })),
+  };
+};
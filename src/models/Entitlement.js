@@ -0,0 +1,96 @@
+import pool from '../config/db.js';
+
+// Remaining quantity of every benefit on the user's active subscriptions.
+// A benefit with a NULL quantity is unlimited. Usage is counted per subscription row, which is
+// one term: renewing a lapsed subscription starts a new row, so earlier usage never carries over.
+// Released usage rows are kept for audit but no longer count. Archived benefits are withdrawn
+// from every subscriber, including current ones, so they are neither listed nor consumable.
+export const getUserEntitlements = async (userId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT
+       us.id AS subscription_id,
+       us.plan_id,
+       sp.name AS plan_name,
+       us.end_date,
+       pb.id AS benefit_id,
+       pb.benefit_type,
+       pb.benefit_description,
+       pb.quantity,
+       COALESCE(SUM(u.quantity), 0) AS used
+     FROM user_subscriptions us
+     JOIN subscription_plans sp ON us.plan_id = sp.id
+     JOIN plan_benefits pb ON pb.plan_id = us.plan_id AND pb.archived_at IS NULL
+     LEFT JOIN subscription_benefit_usage u
+       ON u.user_subscription_id = us.id AND u.plan_benefit_id = pb.id AND u.released_at IS NULL
+     WHERE us.user_id = ? AND us.status = 'active' AND us.end_date > NOW()
+     GROUP BY us.id, us.plan_id, sp.name, us.end_date, pb.id, pb.benefit_type, pb.benefit_description, pb.quantity
+     ORDER BY us.end_date ASC, pb.id ASC`,
+    [userId]
+  );
+
+  return rows.map((row) => {
+    const used = Number(row.used);
+    const unlimited = row.quantity === null;
+    return {
+      ...row,
+      used,
+      unlimited,
+      remaining: unlimited ? null : Math.max(row.quantity - used, 0),
+    };
+  });
+};
+
+// Records the use of a benefit of the given type against the user's active
+// subscription that expires first and still has enough quantity left.
+// Must run inside a transaction on `connection`. Returns null when the user
+// has no remaining entitlement for the benefit type.
+export const consumeBenefit = async (
+  connection,
+  { userId, benefitType, quantity = 1, referenceType = null, referenceId = null }
+) => {
+  // Lock the user's active subscriptions so concurrent consumers are serialised
+  await connection.query(
+    `SELECT id FROM user_subscriptions
+     WHERE user_id = ? AND status = 'active' AND end_date > NOW()
+     FOR UPDATE`,
+    [userId]
+  );
+
+  const entitlements = await getUserEntitlements(userId, connection);
+  const entitlement = entitlements.find(
+    (e) => e.benefit_type === benefitType && (e.unlimited || e.remaining >= quantity)
+  );
+
+  if (!entitlement) {
+    return null;
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO subscription_benefit_usage
+       (user_subscription_id, plan_benefit_id, quantity, reference_type, reference_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [entitlement.subscription_id, entitlement.benefit_id, quantity, referenceType, referenceId]
+  );
+
+  return {
+    usage_id: result.insertId,
+    subscription_id: entitlement.subscription_id,
+    benefit_id: entitlement.benefit_id,
+    benefit_type: entitlement.benefit_type,
+    quantity: entitlement.quantity,
+    used: entitlement.used + quantity,
+    remaining: entitlement.unlimited ? null : entitlement.remaining - quantity,
+  };
+};
+
+// Gives back whatever was consumed for a reference (e.g. a cancelled appointment).
+// The usage rows stay in the ledger, marked as released.
+export const releaseBenefit = async (connection, referenceType, referenceId) => {
+  const [result] = await connection.query(
+    `UPDATE subscription_benefit_usage
+     SET released_at = NOW()
+     WHERE reference_type = ? AND reference_id = ? AND released_at IS NULL`,
+    [referenceType, referenceId]
+  );
+  return result.affectedRows;
+};
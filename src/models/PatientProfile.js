@@ -0,0 +1,81 @@
+import pool from '../config/db.js';
+import { ACTIVE_APPOINTMENT_STATUSES } from './Appointment.js';
+
+export const SELF_RELATIONSHIP = 'Self';
+
+export const PROFILE_RELATIONSHIPS = [SELF_RELATIONSHIP, 'Spouse', 'Child', 'Parent', 'Sibling', 'Other'];
+
+export const PROFILE_GENDERS = ['Male', 'Female', 'Other'];
+
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+export const PROFILE_COLUMNS = `
+  p.id,
+  p.user_id,
+  COALESCE(p.full_name, u.full_name) AS full_name,
+  p.relationship,
+  p.date_of_birth,
+  p.gender,
+  p.blood_group,
+  p.profile_image_url,
+  p.created_at,
+  p.id = u.active_patient_profile_id AS is_active_profile`;
+
+const toProfile = (row) => ({ ...row, is_active_profile: !!row.is_active_profile });
+
+// Profiles of the given accounts that have not been removed, the account holder's own profile first
+export const getProfilesForUsers = async (userIds, executor = pool) => {
+  if (userIds.length === 0) return [];
+
+  const [rows] = await executor.query(
+    `SELECT ${PROFILE_COLUMNS}
+     FROM patient_profiles p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.user_id IN (?) AND p.removed_at IS NULL
+     ORDER BY p.user_id, p.relationship = ? DESC, p.id ASC`,
+    [userIds, SELF_RELATIONSHIP]
+  );
+  return rows.map(toProfile);
+};
+
+export const getProfileById = async (profileId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT ${PROFILE_COLUMNS}, p.removed_at
+     FROM patient_profiles p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.id = ?`,
+    [profileId]
+  );
+  return rows.length > 0 ? toProfile(rows[0]) : null;
+};
+
+// The profile an account books for when none is given: its active profile, else its own profile
+export const getActiveProfileId = async (userId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT COALESCE(
+       (SELECT p.id FROM patient_profiles p
+        WHERE p.id = u.active_patient_profile_id AND p.removed_at IS NULL),
+       (SELECT p.id FROM patient_profiles p
+        WHERE p.user_id = u.id AND p.relationship = ? AND p.removed_at IS NULL
+        ORDER BY p.id LIMIT 1)
+     ) AS profile_id
+     FROM users u
+     WHERE u.id = ?`,
+    [SELF_RELATIONSHIP, userId]
+  );
+  return rows.length > 0 ? rows[0].profile_id : null;
+};
+
+// Number of pending or confirmed appointments of a profile that have not started yet
+export const countUpcomingAppointments = async (profileId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT COUNT(*) AS total
+     FROM appointments a
+     JOIN availability_slots s ON a.slot_id = s.id
+     WHERE a.patient_profile_id = ?
+       AND a.status IN (?)
+       AND TIMESTAMP(s.slot_date, s.slot_start_time) > NOW()`,
+    [profileId, ACTIVE_APPOINTMENT_STATUSES]
+  );
+  return Number(rows[0].total);
+};
@@ -0,0 +1,167 @@
+import pool from '../config/db.js';
+import { VITAL_REFERENCE_RANGES, VITAL_TYPES } from '../config/vitals.js';
+import { APPOINTMENT_STATUS } from './Appointment.js';
+
+export const ALLERGY_SEVERITIES = ['Mild', 'Moderate', 'Severe'];
+
+export const CONDITION_STATUSES = ['Suspected', 'Active', 'Managed', 'Resolved'];
+
+// Allowed condition_status changes. Resolved conditions can recur.
+const CONDITION_TRANSITIONS = {
+  Suspected: ['Active', 'Resolved'],
+  Active: ['Managed', 'Resolved'],
+  Managed: ['Active', 'Resolved'],
+  Resolved: ['Active'],
+};
+
+// Rows written before the status set was pinned may hold other values; they can move to any status
+export const canTransitionCondition = (from, to) =>
+  from === to || !CONDITION_TRANSITIONS[from] || CONDITION_TRANSITIONS[from].includes(to);
+
+export const getAllowedConditionTransitions = (from) => CONDITION_TRANSITIONS[from] || CONDITION_STATUSES;
+
+// Appointments that make a doctor one of the patient's treating doctors
+export const TREATING_APPOINTMENT_STATUSES = [APPOINTMENT_STATUS.CONFIRMED, APPOINTMENT_STATUS.COMPLETED];
+
+// A doctor the patient has only requested may read the record to prepare, but not change it
+export const READING_APPOINTMENT_STATUSES = [APPOINTMENT_STATUS.PENDING, ...TREATING_APPOINTMENT_STATUSES];
+
+// Whether the user is a doctor with an appointment in one of `statuses` for the profile
+export const isTreatingDoctor = async (
+  userId,
+  patientProfileId,
+  statuses = TREATING_APPOINTMENT_STATUSES,
+  executor = pool
+) => {
+  const [rows] = await executor.query(
+    `SELECT 1
+     FROM appointments a
+     JOIN doctors d ON a.doctor_id = d.id
+     WHERE d.user_id = ? AND a.patient_profile_id = ? AND a.status IN (?)
+     LIMIT 1`,
+    [userId, patientProfileId, statuses]
+  );
+  return rows.length > 0;
+};
+
+// Validates a vital reading against its type. `values` is a number for single-component
+// vitals or an object keyed by component. Returns { errors, unit, values }.
+export const checkVitalReading = (vitalType, unit, values) => {
+  const definition = VITAL_TYPES[vitalType];
+  if (!definition) {
+    return { errors: [`vital_type must be one of ${Object.keys(VITAL_TYPES).join(', ')}`] };
+  }
+
+  const errors = [];
+  const resolvedUnit = unit ?? definition.units[0];
+  if (!definition.units.includes(resolvedUnit)) {
+    errors.push(`unit for ${vitalType} must be one of ${definition.units.join(', ')}`);
+  }
+
+  const readings = typeof values === 'object' && values !== null ? values : { [definition.components[0]]: values };
+  const normalized = {};
+  for (const component of definition.components) {
+    const number = Number(readings[component]);
+    if (readings[component] === null || readings[component] === '' || !Number.isFinite(number) || number < 0) {
+      errors.push(`values.${component} must be a non-negative number`);
+    } else {
+      normalized[component] = number;
+    }
+  }
+  const unknown = Object.keys(readings).filter((key) => !definition.components.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`values for ${vitalType} only accept ${definition.components.join(', ')}`);
+  }
+
+  return { errors, unit: resolvedUnit, values: normalized };
+};
+
+// patient_vitals.values is stored as JSON text; older rows may hold a bare number or "120/80"
+export const parseVitalValues = (stored) => {
+  if (stored === null || stored === undefined) return null;
+  if (typeof stored === 'object') return stored;
+
+  const pressure = /^\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/.exec(stored);
+  if (pressure) return { systolic: Number(pressure[1]), diastolic: Number(pressure[2]) };
+
+  try {
+    const parsed = JSON.parse(stored);
+    return typeof parsed === 'object' && parsed !== null ? parsed : { value: Number(parsed) };
+  } catch {
+    return { value: Number(stored) };
+  }
+};
+
+// Flags each component of a reading outside its reference range as 'low' or 'high'
+export const flagVitalReading = (vitalType, unit, values) => {
+  const ranges = VITAL_REFERENCE_RANGES[vitalType]?.[unit];
+  const flags = {};
+  if (!ranges || !values) return flags;
+
+  for (const [component, range] of Object.entries(ranges)) {
+    const value = values[component];
+    if (typeof value !== 'number' || Number.isNaN(value)) continue;
+    if (range.min !== undefined && value < range.min) flags[component] = 'low';
+    else if (range.max !== undefined && value > range.max) flags[component] = 'high';
+  }
+  return flags;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Groups vital rows (oldest first) into one series per vital type and unit, with
+// per-component min / max / avg, the latest reading and abnormal-range flags.
+export const buildVitalSeries = (rows) => {
+  const series = new Map();
+
+  for (const row of rows) {
+    const key = `${row.vital_type}|${row.unit}`;
+    if (!series.has(key)) {
+      series.set(key, {
+        vital_type: row.vital_type,
+        label: VITAL_TYPES[row.vital_type]?.label ?? row.vital_type,
+        unit: row.unit,
+        reference_range: VITAL_REFERENCE_RANGES[row.vital_type]?.[row.unit] ?? null,
+        readings: [],
+      });
+    }
+
+    const values = parseVitalValues(row.values);
+    const flags = flagVitalReading(row.vital_type, row.unit, values);
+    series.get(key).readings.push({
+      id: row.id,
+      recorded_at: row.recorded_at,
+      values,
+      flags,
+      is_abnormal: Object.keys(flags).length > 0,
+    });
+  }
+
+  return [...series.values()].map((entry) => {
+    const stats = {};
+    for (const reading of entry.readings) {
+      for (const [component, value] of Object.entries(reading.values || {})) {
+        if (typeof value !== 'number' || Number.isNaN(value)) continue;
+        const stat = stats[component] || { min: value, max: value, sum: 0, count: 0 };
+        stat.min = Math.min(stat.min, value);
+        stat.max = Math.max(stat.max, value);
+        stat.sum += value;
+        stat.count += 1;
+        stats[component] = stat;
+      }
+    }
+
+    return {
+      ...entry,
+      count: entry.readings.length,
+      abnormal_count: entry.readings.filter((reading) => reading.is_abnormal).length,
+      stats: Object.fromEntries(
+        Object.entries(stats).map(([component, { min, max, sum, count }]) => [
+          component,
+          { min, max, avg: round(sum / count) },
+        ])
+      ),
+      latest: entry.readings[entry.readings.length - 1],
+    };
+  });
+};
@@ -0,0 +1,57 @@
+import pool from '../config/db.js';
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  PUBLISHED: 'published',
+  HIDDEN: 'hidden',
+  FLAGGED: 'flagged',
+};
+
+export const RATING_STARS = [5, 4, 3, 2, 1];
+
+// Recomputes doctors.average_rating and total_reviews from the doctor's published reviews.
+// Call it after any change that adds, edits, publishes or hides a review.
+export const recalculateDoctorRating = async (doctorId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT COALESCE(ROUND(AVG(rating), 2), 0) AS average_rating, COUNT(*) AS total_reviews
+     FROM reviews
+     WHERE doctor_id = ? AND moderation_status = ?`,
+    [doctorId, REVIEW_STATUS.PUBLISHED]
+  );
+  const { average_rating, total_reviews } = rows[0];
+
+  await executor.query(`UPDATE doctors SET average_rating = ?, total_reviews = ? WHERE id = ?`, [
+    average_rating,
+    total_reviews,
+    doctorId,
+  ]);
+  return { average_rating: Number(average_rating), total_reviews: Number(total_reviews) };
+};
+
+// Moves a review to a moderation status, keeping is_public in sync, and refreshes the doctor's rating
+export const setReviewStatus = async (connection, review, status, changes = {}) => {
+  await connection.query(`UPDATE reviews SET ? WHERE id = ?`, [
+    { ...changes, moderation_status: status, is_public: status === REVIEW_STATUS.PUBLISHED ? 1 : 0 },
+    review.id,
+  ]);
+  return recalculateDoctorRating(review.doctor_id, connection);
+};
+
+// Published review count per star (ratings rounded to the nearest star)
+export const getRatingBreakdown = async (doctorId, executor = pool) => {
+  const [rows] = await executor.query(
+    `SELECT ROUND(rating) AS stars, COUNT(*) AS total
+     FROM reviews
+     WHERE doctor_id = ? AND moderation_status = ?
+     GROUP BY ROUND(rating)`,
+    [doctorId, REVIEW_STATUS.PUBLISHED]
+  );
+
+  const counts = new Map(rows.map((row) => [Number(row.stars), Number(row.total)]));
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+  return RATING_STARS.map((stars) => {
+    const count = counts.get(stars) || 0;
+    return { stars, count, percentage: total > 0 ? Math.round((count / total) * 1000) / 10 : 0 };
+  });
+};
@@ -0,0 +1,40 @@
+import pool from '../config/db.js';
+
+export const HOLD_STATUS = {
+  HELD: 'held',
+  CONFIRMED: 'confirmed',
+  RELEASED: 'released',
+  EXPIRED: 'expired',
+};
+
+// Marks holds past their expiry as expired, freeing their slots.
+// Pass a slot id to only sweep that slot (used inside booking transactions).
+export const expireStaleHolds = async (executor = pool, slotId = null) => {
+  const [result] = await executor.query(
+    `UPDATE slot_holds
+     SET status = 'expired'
+     WHERE status = 'held' AND expires_at <= NOW() AND (? IS NULL OR slot_id = ?)`,
+    [slotId, slotId]
+  );
+  return result.affectedRows;
+};
+
+// Releases every live hold of a patient profile, so a patient checks out one slot at a time
+export const releaseHoldsForProfile = async (executor, patientProfileId) => {
+  const [result] = await executor.query(
+    `UPDATE slot_holds SET status = 'released' WHERE status = 'held' AND patient_profile_id = ?`,
+    [patientProfileId]
+  );
+  return result.affectedRows;
+};
+
+// Whether another patient holds the slot right now. Sweeps the slot's stale holds first,
+// so call it inside the transaction that has the slot row locked.
+export const isSlotHeld = async (connection, slotId) => {
+  await expireStaleHolds(connection, slotId);
+  const [rows] = await connection.query(
+    `SELECT id FROM slot_holds WHERE slot_id = ? AND status = 'held' LIMIT 1`,
+    [slotId]
+  );
+  return rows.length > 0;
+};
@@ -0,0 +1,24 @@
+import pool from '../config/db.js';
+
+export const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+};
+
+export const expireDueSubscriptions = async () => {
+  const [result] = await pool.execute(
+    `UPDATE user_subscriptions SET status = 'expired' WHERE status = 'active' AND end_date <= NOW()`
+  );
+  return result.affectedRows;
+};
+
+export const findActiveSubscription = async (userId, planId) => {
+  const [rows] = await pool.execute(
+    `SELECT * FROM user_subscriptions
+     WHERE user_id = ? AND plan_id = ? AND status = 'active' AND end_date > NOW()
+     LIMIT 1`,
+    [userId, planId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
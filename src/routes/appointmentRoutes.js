@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import {
+  getAppointmentById,
+  getAppointments,
+  rescheduleAppointment,
+  updateAppointmentStatus,
+} from "../controllers/appointment.controller.js";
+import { confirmSlotHold, getAvailableSlots, holdSlot, releaseSlotHold } from "../controllers/booking.controller.js";
+
+const router = Router();
+
+// ✅ Access is scoped inside the handlers: appointments:read / appointments:manage, the treating doctor or the patient
+router.get("/appointments", verifyToken, getAppointments);
+router.get("/appointments/:id", verifyToken, getAppointmentById);
+router.patch("/appointments/:id/status", verifyToken, updateAppointmentStatus);
+router.patch("/appointments/:id/reschedule", verifyToken, rescheduleAppointment);
+
+// ✅ Booking: hold a slot, then confirm the hold as an appointment
+router.get("/doctors/:doctorId/available-slots", verifyToken, getAvailableSlots);
+router.post("/slots/:slotId/hold", verifyToken, holdSlot);
+router.post("/slot-holds/:id/confirm", verifyToken, confirmSlotHold);
+router.delete("/slot-holds/:id", verifyToken, releaseSlotHold);
+
+export default router;
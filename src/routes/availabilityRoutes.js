@@ -0,0 +1,40 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
+import { generateAvailabilitySlots, regenerateSlotsForSchedule } from "../controllers/availability.controller.js";
+import {
+  createAdminBlackout,
+  createMyBlackout,
+  deleteAdminBlackout,
+  deleteMyBlackout,
+  getBlackouts,
+  getMyBlackouts,
+} from "../controllers/blackout.controller.js";
+import {
+  createPracticeSchedule,
+  deactivateDoctorSchedule,
+  getPracticeSchedules,
+  updateDoctorSchedule,
+} from "../controllers/schedule.controller.js";
+
+const router = Router();
+
+// ✅ Slot generation (schedules:manage)
+router.post("/admin/availability-slots/generate", verifyToken, authorize(PERMISSIONS.SCHEDULES_MANAGE), generateAvailabilitySlots);
+router.post("/admin/doctor-schedules/:id/regenerate-slots", verifyToken, authorize(PERMISSIONS.SCHEDULES_MANAGE), regenerateSlotsForSchedule);
+
+// ✅ Blackouts: admins manage doctor, clinic and department blackouts; doctors manage their own leave
+router.get("/admin/blackouts", verifyToken, authorize(PERMISSIONS.SCHEDULES_MANAGE), getBlackouts);
+router.post("/admin/blackouts", verifyToken, authorize(PERMISSIONS.SCHEDULES_MANAGE), createAdminBlackout);
+router.delete("/admin/blackouts/:id", verifyToken, authorize(PERMISSIONS.SCHEDULES_MANAGE), deleteAdminBlackout);
+router.get("/doctor/blackouts", verifyToken, getMyBlackouts);
+router.post("/doctor/blackouts", verifyToken, createMyBlackout);
+router.delete("/doctor/blackouts/:id", verifyToken, deleteMyBlackout);
+
+// ✅ Schedules: the practising doctor or schedules:manage (checked in the handlers)
+router.get("/doctor-practices/:practiceId/schedules", verifyToken, getPracticeSchedules);
+router.post("/doctor-practices/:practiceId/schedules", verifyToken, createPracticeSchedule);
+router.put("/doctor-schedules/:id", verifyToken, updateDoctorSchedule);
+router.patch("/doctor-schedules/:id/deactivate", verifyToken, deactivateDoctorSchedule);
+
+export default router;
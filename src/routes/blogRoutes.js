@@ -22,6 +22,7 @@ import {
 
 import upload from "../middleware/upload.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
 
 const router = express.Router();
 
@@ -34,9 +35,9 @@ router.get('/api/blogs/search/:slug', getBlogBySlug);
 router.get('/api/blogs/:id', getBlogById);
 
 
-router.post("/api/blogs/create", upload.array("images", 10), createBlog);
+router.post("/api/blogs/create", verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), upload.array("images", 10), createBlog);
 
-router.patch('/api/blogs/update/:id', upload.single('file'), updateBlog);
+router.patch('/api/blogs/update/:id', verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), upload.single('file'), updateBlog);
 
 
 router.post("/api/blogs/:blogId/like", verifyToken, likeBlog);
@@ -47,13 +48,13 @@ router.get("/api/blogs/:blogId/comments", getComments);
 
 
 
-router.post("/api/images/upload", upload.single("file"), uploadImage);
-router.post("/api/images/upload-multiple", upload.array("files", 10), uploadMultipleImages);
+router.post("/api/images/upload", verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), upload.single("file"), uploadImage);
+router.post("/api/images/upload-multiple", verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), upload.array("files", 10), uploadMultipleImages);
 // Correct route
 // router.delete("/api/images/:blog_id/featured-image", deleteFeaturedImage);
-router.delete("/api/images/delete-multiple", deleteMultipleImages);
-router.delete("/api/images/:blog_id/featured-image", deleteFeaturedImage);
-router.delete('/api/blog/:blog_id', deleteBlog);
+router.delete("/api/images/delete-multiple", verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), deleteMultipleImages);
+router.delete("/api/images/:blog_id/featured-image", verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), deleteFeaturedImage);
+router.delete('/api/blog/:blog_id', verifyToken, authorize(PERMISSIONS.BLOGS_PUBLISH), deleteBlog);
 
 
 
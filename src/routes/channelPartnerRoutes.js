@@ -0,0 +1,33 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
+import {
+  applyAsChannelPartner,
+  approveChannelPartner,
+  getChannelPartnerById,
+  getMyPartnerProfile,
+  getPartnerCommissionRates,
+  rejectChannelPartner,
+  setPartnerCommissionRate,
+  suspendChannelPartner,
+  updateMyPartnerApplication,
+} from "../controllers/channelPartner.controller.js";
+
+const router = Router();
+
+// ✅ Partner onboarding for the signed-in user
+router.get("/me/channel-partner", verifyToken, getMyPartnerProfile);
+router.post("/me/channel-partner", verifyToken, applyAsChannelPartner);
+router.put("/me/channel-partner", verifyToken, updateMyPartnerApplication);
+
+// ✅ Admin approval workflow (partners:read to view, partners:manage to decide)
+router.get("/admin/channel-partners/:id", verifyToken, authorize(PERMISSIONS.PARTNERS_READ), getChannelPartnerById);
+router.patch("/admin/channel-partners/:id/approve", verifyToken, authorize(PERMISSIONS.PARTNERS_MANAGE), approveChannelPartner);
+router.patch("/admin/channel-partners/:id/reject", verifyToken, authorize(PERMISSIONS.PARTNERS_MANAGE), rejectChannelPartner);
+router.patch("/admin/channel-partners/:id/suspend", verifyToken, authorize(PERMISSIONS.PARTNERS_MANAGE), suspendChannelPartner);
+
+// ✅ Commission rate history
+router.get("/admin/channel-partners/:id/commission-rates", verifyToken, authorize(PERMISSIONS.PARTNERS_READ), getPartnerCommissionRates);
+router.post("/admin/channel-partners/:id/commission-rates", verifyToken, authorize(PERMISSIONS.PARTNERS_MANAGE), setPartnerCommissionRate);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
+import {
+  createMyProfile,
+  getHouseholds,
+  getMyProfiles,
+  removeMyProfile,
+  setActiveProfile,
+  updateMyProfile,
+} from "../controllers/familyProfile.controller.js";
+
+const router = Router();
+
+// ✅ The caller's own and family member profiles
+router.get("/me/patient-profiles", verifyToken, getMyProfiles);
+router.post("/me/patient-profiles", verifyToken, createMyProfile);
+router.put("/me/patient-profiles/:profileId", verifyToken, updateMyProfile);
+router.delete("/me/patient-profiles/:profileId", verifyToken, removeMyProfile);
+router.patch("/me/active-profile", verifyToken, setActiveProfile);
+
+// ✅ Admin household view (patients:read)
+router.get("/admin/households", verifyToken, authorize(PERMISSIONS.PATIENTS_READ), getHouseholds);
+
+export default router;
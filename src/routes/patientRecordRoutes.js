@@ -0,0 +1,32 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { uploadDocument } from "../middleware/documentUpload.js";
+import { patientAccess } from "../middleware/patientAccess.js";
+import {
+  createPatientRecord,
+  deletePatientRecord,
+  getPatientDocumentUrl,
+  getPatientRecords,
+  getVitalsHistory,
+  updatePatientRecord,
+  uploadPatientDocument,
+} from "../controllers/patientRecord.controller.js";
+
+const router = Router();
+
+const RECORD_PATH = "/patients/:profileId/:recordType(conditions|allergies|vitals|documents)";
+const DOCUMENTS_PATH = "/patients/:profileId/:recordType(documents)";
+
+// ✅ Medical records: the profile's account, treating doctors, and patients:read staff for reads
+router.get("/patients/:profileId/vitals/history", verifyToken, patientAccess("read"), getVitalsHistory);
+
+// ✅ Private documents: only the profile's account and treating doctors, never staff
+router.post("/patients/:profileId/documents/upload", verifyToken, patientAccess("write"), uploadDocument, uploadPatientDocument);
+router.get("/patients/:profileId/documents/:recordId/download", verifyToken, patientAccess("download"), getPatientDocumentUrl);
+router.get(DOCUMENTS_PATH, verifyToken, patientAccess("download"), getPatientRecords);
+router.get(RECORD_PATH, verifyToken, patientAccess("read"), getPatientRecords);
+router.post(RECORD_PATH, verifyToken, patientAccess("write"), createPatientRecord);
+router.put(`${RECORD_PATH}/:recordId`, verifyToken, patientAccess("write"), updatePatientRecord);
+router.delete(`${RECORD_PATH}/:recordId`, verifyToken, patientAccess("write"), deletePatientRecord);
+
+export default router;
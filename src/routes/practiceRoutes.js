@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import {
+  createDoctorPractice,
+  endDoctorPractice,
+  getDoctorPractices,
+  getPracticeFeeHistory,
+  updateDoctorPractice,
+} from "../controllers/practice.controller.js";
+
+const router = Router();
+
+// ✅ Practice affiliations: the doctor themselves or practices:manage (checked in the handlers)
+router.get("/doctors/:doctorId/practices", verifyToken, getDoctorPractices);
+router.post("/doctors/:doctorId/practices", verifyToken, createDoctorPractice);
+router.put("/doctor-practices/:id", verifyToken, updateDoctorPractice);
+router.patch("/doctor-practices/:id/end", verifyToken, endDoctorPractice);
+router.get("/doctor-practices/:id/fees", verifyToken, getPracticeFeeHistory);
+
+export default router;
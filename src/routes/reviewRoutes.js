@@ -0,0 +1,35 @@
+import { Router } from "express";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
+import {
+  flagReview,
+  getDoctorRatingBreakdown,
+  getModerationQueue,
+  getMyReviews,
+  hideReview,
+  publishReview,
+  replyToReview,
+  submitReview,
+  updateMyReview,
+} from "../controllers/review.controller.js";
+
+const router = Router();
+
+// ✅ Patient reviews of completed appointments
+router.post("/appointments/:appointmentId/review", verifyToken, submitReview);
+router.put("/reviews/:id", verifyToken, updateMyReview);
+router.get("/me/reviews", verifyToken, getMyReviews);
+
+// ✅ Moderation queue (reviews:moderate)
+router.get("/admin/reviews/moderation", verifyToken, authorize(PERMISSIONS.REVIEWS_MODERATE), getModerationQueue);
+router.patch("/admin/reviews/:id/publish", verifyToken, authorize(PERMISSIONS.REVIEWS_MODERATE), publishReview);
+router.patch("/admin/reviews/:id/hide", verifyToken, authorize(PERMISSIONS.REVIEWS_MODERATE), hideReview);
+
+// ✅ Reviewed doctor actions (access checked in the controller)
+router.post("/reviews/:id/flag", verifyToken, flagReview);
+router.put("/reviews/:id/reply", verifyToken, replyToReview);
+
+// ✅ Rating summary
+router.get("/doctors/:doctorId/ratings", verifyToken, getDoctorRatingBreakdown);
+
+export default router;
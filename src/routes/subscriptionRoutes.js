@@ -1,13 +1,50 @@
 import { Router } from "express";
 import { verifyToken } from "../middleware/authMiddleware.js";
-import { deletePlanBenefit, deleteSubscriptionPlan, updatePlanBenefit, updateSubscriptionPlan } from "../controllers/subscription.controller.js";
+import { PERMISSIONS, authorize } from "../middleware/rbac.js";
+import {
+  cancelSubscription,
+  createPlanBenefit,
+  createSubscriptionPlan,
+  deletePlanBenefit,
+  deleteSubscriptionPlan,
+  getMyEntitlements,
+  getMySubscriptions,
+  getPlanBenefits,
+  getPlanSubscribers,
+  getSubscriptionPlans,
+  recordBenefitUsage,
+  renewSubscription,
+  restorePlanBenefit,
+  restoreSubscriptionPlan,
+  subscribeToPlan,
+  updatePlanBenefit,
+  updateSubscriptionPlan,
+} from "../controllers/subscription.controller.js";
 
 const router = Router();
 
-// ✅ Update subscription plan (admin only, partial update)
-router.put("/subscription-plans/:id", verifyToken, updateSubscriptionPlan);
-router.delete("/subscription-plans/:id", verifyToken, deleteSubscriptionPlan);
-router.put("/subscription-plans-benefits/:id", verifyToken, updatePlanBenefit);
-router.delete("/subscription-plans-benefits/:id", verifyToken, deletePlanBenefit);
+router.get("/subscription-plans", getSubscriptionPlans);
+router.post("/subscription-plans", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), createSubscriptionPlan);
+router.get("/subscription-plans/:id/benefits", getPlanBenefits);
+router.post("/subscription-plans/:id/benefits", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), createPlanBenefit);
+
+// ✅ Update subscription plan (plans:write, partial update)
+router.put("/subscription-plans/:id", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), updateSubscriptionPlan);
+router.delete("/subscription-plans/:id", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), deleteSubscriptionPlan);
+router.put("/subscription-plans-benefits/:id", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), updatePlanBenefit);
+router.delete("/subscription-plans-benefits/:id", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), deletePlanBenefit);
+router.patch("/subscription-plans/:id/restore", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), restoreSubscriptionPlan);
+router.patch("/subscription-plans-benefits/:id/restore", verifyToken, authorize(PERMISSIONS.PLANS_WRITE), restorePlanBenefit);
+
+// ✅ User subscriptions
+router.post("/subscription-plans/:id/subscribe", verifyToken, subscribeToPlan);
+router.get("/subscription-plans/:id/subscribers", verifyToken, authorize(PERMISSIONS.SUBSCRIPTIONS_READ), getPlanSubscribers);
+router.get("/my-subscriptions", verifyToken, getMySubscriptions);
+router.patch("/my-subscriptions/:id/cancel", verifyToken, cancelSubscription);
+router.post("/my-subscriptions/:id/renew", verifyToken, renewSubscription);
+
+// ✅ Benefit entitlements
+router.get("/my-subscriptions/entitlements", verifyToken, getMyEntitlements);
+router.post("/admin/users/:userId/entitlements/consume", verifyToken, authorize(PERMISSIONS.SUBSCRIPTIONS_MANAGE), recordBenefitUsage);
 
 export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { authorizeAdmin, verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { PERMISSIONS, authorize } from '../middleware/rbac.js';
 import { 
   getUsersWithAddresses,
   getVerifiedDoctorDetailsById, 
@@ -9,12 +10,29 @@ import {
   handleDeactivateUser 
 } from '../controllers/user.controller.js';
 import { 
+  getAllClinics,
   getAllDoctorsWithPracticeDetails, 
   getAllHospitals, 
   getAllPatients, 
   getClinicById, 
-  getDoctorRatingsAndReviews  
+  getDoctorRatingsAndReviews,
+  getNearbyFacilities
 } from '../controllers/hospitals.controller.js';
+import {
+  activateClinic,
+  activateDepartment,
+  activateHospital,
+  createClinic,
+  createDepartment,
+  createHospital,
+  deactivateClinic,
+  deactivateDepartment,
+  deactivateHospital,
+  getHospitalDepartments,
+  updateClinic,
+  updateDepartment,
+  updateHospital
+} from '../controllers/facility.controller.js';
 import { 
   getAllChannelPartners, 
   getAllReferrals, 
@@ -27,33 +45,68 @@ import {
   getAllMilletProducts, 
   getMilletProductById 
 } from '../controllers/millet.controller.js';
+import {
+  approveVerificationDoc,
+  getPendingVerificationDoctors,
+  rejectVerificationDoc,
+  requestVerificationDocResubmission
+} from '../controllers/doctorVerification.controller.js';
+import { searchDoctors } from '../controllers/doctorSearch.controller.js';
 
 const router = express.Router();
 
 // ---------------- Admin: Users ----------------
-router.patch('/admin/users/:userId/deactivate', verifyToken, authorizeAdmin, handleDeactivateUser);
-router.patch('/admin/users/:userId/activate', verifyToken, authorizeAdmin, handleActivateUser);
+router.patch('/admin/users/:userId/deactivate', verifyToken, authorize(PERMISSIONS.USERS_MANAGE), handleDeactivateUser);
+router.patch('/admin/users/:userId/activate', verifyToken, authorize(PERMISSIONS.USERS_MANAGE), handleActivateUser);
 
 // ---------------- Admin: Doctors ----------------
-router.get('/admin/doctors/verified', getVerifiedDoctors);
-router.get('/admin/doctors/verified-details', getVerifiedDoctorsDetails);
-router.get("/admin/doctors/verified-details/:id", getVerifiedDoctorDetailsById);
+router.get('/admin/doctors/verified', verifyToken, authorize(PERMISSIONS.DOCTORS_READ), getVerifiedDoctors);
+router.get('/admin/doctors/verified-details', verifyToken, authorize(PERMISSIONS.DOCTORS_READ), getVerifiedDoctorsDetails);
+router.get("/admin/doctors/verified-details/:id", verifyToken, authorize(PERMISSIONS.DOCTORS_READ), getVerifiedDoctorDetailsById);
 
-router.get('/admin/doctors/hospitals', getAllHospitals);
-router.get('/admin/clinics/:id', getClinicById);
-router.get('/admin/doctors/workplaces', getAllDoctorsWithPracticeDetails);
-router.get('/admin/patients', getAllPatients);
-router.get('/admin/reviews', getDoctorRatingsAndReviews);
+// ---------------- Admin: Doctor Verification ----------------
+router.get('/admin/doctors/pending-verification', verifyToken, authorize(PERMISSIONS.DOCTORS_VERIFY), getPendingVerificationDoctors);
+router.patch('/admin/doctors/verification-docs/:docId/approve', verifyToken, authorize(PERMISSIONS.DOCTORS_VERIFY), approveVerificationDoc);
+router.patch('/admin/doctors/verification-docs/:docId/reject', verifyToken, authorize(PERMISSIONS.DOCTORS_VERIFY), rejectVerificationDoc);
+router.patch('/admin/doctors/verification-docs/:docId/request-resubmission', verifyToken, authorize(PERMISSIONS.DOCTORS_VERIFY), requestVerificationDocResubmission);
+
+router.get('/admin/doctors/hospitals', verifyToken, authorize(PERMISSIONS.FACILITIES_READ), getAllHospitals);
+router.get('/admin/doctors/clinic', verifyToken, authorize(PERMISSIONS.FACILITIES_READ), getAllClinics);
+router.get('/admin/clinics/:id', verifyToken, authorize(PERMISSIONS.FACILITIES_READ), getClinicById);
+router.get('/admin/doctors/workplaces', verifyToken, authorize(PERMISSIONS.FACILITIES_READ), getAllDoctorsWithPracticeDetails);
+router.get('/admin/patients', verifyToken, authorize(PERMISSIONS.PATIENTS_READ), getAllPatients);
+router.get('/admin/reviews', verifyToken, authorize(PERMISSIONS.REVIEWS_READ), getDoctorRatingsAndReviews);
+
+// ---------------- Admin: Facility Management ----------------
+router.post('/admin/hospitals', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), createHospital);
+router.put('/admin/hospitals/:id', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), updateHospital);
+router.patch('/admin/hospitals/:id/deactivate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), deactivateHospital);
+router.patch('/admin/hospitals/:id/activate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), activateHospital);
+router.get('/admin/hospitals/:hospitalId/departments', verifyToken, authorize(PERMISSIONS.FACILITIES_READ), getHospitalDepartments);
+router.post('/admin/hospitals/:hospitalId/departments', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), createDepartment);
+router.put('/admin/departments/:id', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), updateDepartment);
+router.patch('/admin/departments/:id/deactivate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), deactivateDepartment);
+router.patch('/admin/departments/:id/activate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), activateDepartment);
+router.post('/admin/clinics', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), createClinic);
+router.put('/admin/clinics/:id', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), updateClinic);
+router.patch('/admin/clinics/:id/deactivate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), deactivateClinic);
+router.patch('/admin/clinics/:id/activate', verifyToken, authorize(PERMISSIONS.FACILITIES_MANAGE), activateClinic);
 
 // ---------------- Admin: Channel Partners & Referrals ----------------
-router.get("/admin/channel-partners", getAllChannelPartners);
-router.get("/admin/refrals-details", getAllReferrals);
+router.get("/admin/channel-partners", verifyToken, authorize(PERMISSIONS.PARTNERS_READ), getAllChannelPartners);
+router.get("/admin/refrals-details", verifyToken, authorize(PERMISSIONS.REFERRALS_READ), getAllReferrals);
 
 // ---------------- Admin: User Contacts ----------------
-router.get("/admin/user-contacts/:userId", getUserWithContacts);
-router.get("/admin/user-contacts", getAllUsersWithContactsInfo);
-router.get("/admin/user/contact-count", getTotalContacts);
+router.get("/admin/user-contacts/:userId", verifyToken, authorize(PERMISSIONS.CONTACTS_READ), getUserWithContacts);
+router.get("/admin/user-contacts", verifyToken, authorize(PERMISSIONS.CONTACTS_READ), getAllUsersWithContactsInfo);
+router.get("/admin/user/contact-count", verifyToken, authorize(PERMISSIONS.CONTACTS_READ), getTotalContacts);
+
+
+// ---------------- Doctor Search ----------------
+router.get('/doctors/search', verifyToken, searchDoctors);
 
+// ---------------- Nearby Facilities ----------------
+router.get('/facilities/nearby', verifyToken, getNearbyFacilities);
 
 // ---------------- Millets ----------------
 router.get("/millets/products", getAllMilletProducts);
@@ -61,7 +114,7 @@ router.get("/millets/products/:id", getMilletProductById);
 
 // ---------------- Logged-in User Referrals ----------------
 router.get('/admin/logged-referals', verifyToken, getUserReferrals);
-router.get("/admin/nutritionist/information", verifyToken, getUsersWithAddresses);
+router.get("/admin/nutritionist/information", verifyToken, authorize(PERMISSIONS.USERS_READ), getUsersWithAddresses);
 
 
 
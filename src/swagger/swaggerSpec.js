@@ -37,10 +37,47 @@ const options = {
           properties: {
             message: {
               type: 'string',
-              example: 'Access Denied: Admin privileges required',
+              example: 'Access Denied: Missing required permission',
             },
           },
         },
+        Pagination: {
+          type: 'object',
+          description: 'Page metadata returned by list endpoints. In cursor mode only limit, total, cursor and next_cursor are present.',
+          properties: {
+            page: { type: 'integer', example: 1 },
+            limit: { type: 'integer', example: 20 },
+            total: { type: 'integer', example: 134 },
+            total_pages: { type: 'integer', example: 7 },
+            has_next: { type: 'boolean', example: true },
+            has_prev: { type: 'boolean', example: false },
+            cursor: { type: 'integer', nullable: true, example: null },
+            next_cursor: { type: 'integer', nullable: true, example: 115 },
+          },
+        },
+      },
+      parameters: {
+        PageParam: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          required: false,
+          description: 'Page number (ignored when cursor is given)',
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          required: false,
+          description: 'Number of items per page',
+        },
+        CursorParam: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'integer' },
+          required: false,
+          description: 'Keyset cursor taken from next_cursor of the previous page. Only valid while sorting by the id column.',
+        },
       },
     },
     security: [{ bearerAuth: [] }],
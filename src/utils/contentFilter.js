@@ -0,0 +1,70 @@
+// Screens free text written by patients before it can be shown publicly.
+// This is a first pass only; anything it catches is left for a moderator to decide.
+import config from "../config/config.js";
+
+const BLOCKED_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bullshit",
+  "chutiya",
+  "dick",
+  "fuck",
+  "fucking",
+  "harami",
+  "idiot",
+  "kamina",
+  "moron",
+  "shit",
+  "slut",
+  "whore",
+];
+
+// Common character swaps used to get past word filters (f*ck, sh1t, @ss)
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s", "!": "i", "*": "u" };
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PAN_PATTERN = /\b[A-Z]{5}\d{4}[A-Z]\b/i;
+// Runs of digits that may be split by spaces or dashes ("98765 43210", "2345-6789-0123")
+const DIGIT_RUN_PATTERN = /\+?\d[\d\s-]{8,}\d/g;
+
+// Classifies a run of digits as an Indian mobile number (optional +91 / 0 prefix) or an Aadhaar number
+const classifyDigitRun = (run) => {
+  const digits = run.replace(/\D/g, "");
+  if (/^(?:91|0)?[6-9]\d{9}$/.test(digits)) return "phone number";
+  if (/^[2-9]\d{11}$/.test(digits)) return "Aadhaar number";
+  return null;
+};
+
+const normalizeWord = (word) =>
+  word
+    .toLowerCase()
+    .split("")
+    .map((char) => LOOKALIKES[char] ?? char)
+    .join("")
+    .replace(/[^a-z]/g, "");
+
+// Whether any word in the text is on the blocked list
+export const containsProfanity = (text) => {
+  const blocked = new Set([...BLOCKED_WORDS, ...config.reviews.blockedWords]);
+  return text
+    .split(/\s+/)
+    .map(normalizeWord)
+    .some((word) => blocked.has(word));
+};
+
+// The kinds of personal information found in the text, e.g. ["phone number"]
+export const findPersonalInformation = (text) => {
+  const found = new Set((text.match(DIGIT_RUN_PATTERN) || []).map(classifyDigitRun).filter(Boolean));
+  if (EMAIL_PATTERN.test(text)) found.add("email address");
+  if (PAN_PATTERN.test(text)) found.add("PAN number");
+  return [...found];
+};
+
+// Runs every check. `clean` is false when the text needs a moderator before going public.
+export const screenText = (text) => {
+  if (!text) return { clean: true, reasons: [] };
+
+  const reasons = [...(containsProfanity(text) ? ["profanity"] : []), ...findPersonalInformation(text)];
+  return { clean: reasons.length === 0, reasons };
+};
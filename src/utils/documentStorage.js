@@ -0,0 +1,32 @@
+import streamifier from "streamifier";
+import cloudinary from "./cloudinary.config.js";
+import config from "../config/config.js";
+
+// Authenticated assets are never served from a public URL. PDFs and DICOM files are
+// stored as image resources so a JPG preview of them can be generated on download.
+const STORAGE_OPTIONS = { type: "authenticated", resource_type: "image" };
+
+export const uploadPrivateDocument = (buffer, folder) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { ...STORAGE_OPTIONS, folder: `${config.patientDocuments.folder}/${folder}` },
+      (error, result) => {
+        if (result) resolve(result);
+        else reject(error);
+      }
+    );
+    streamifier.createReadStream(buffer).pipe(stream);
+  });
+
+export const deletePrivateDocument = (publicId) => cloudinary.uploader.destroy(publicId, STORAGE_OPTIONS);
+
+// Time-limited download URL for a stored document; `preview` converts it to JPG
+export const getSignedDocumentUrl = (publicId, format, { preview = false } = {}) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + config.patientDocuments.signedUrlTtlSeconds;
+  const url = cloudinary.utils.private_download_url(publicId, preview ? "jpg" : format, {
+    ...STORAGE_OPTIONS,
+    expires_at: expiresAt,
+    ...(preview ? {} : { attachment: true }),
+  });
+  return { url, expires_at: new Date(expiresAt * 1000) };
+};
@@ -0,0 +1,55 @@
+// Distance helpers for proximity search. Plain spherical-earth maths, no map service.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Whether lat / lng are numbers inside the valid WGS84 ranges
+export const isValidCoordinate = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Great-circle distance in kilometres between two points
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Latitude / longitude box that contains every point within `radiusKm` of the centre.
+// Used as an indexable pre-filter before the exact distance check.
+export const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos(toRadians(lat));
+  // Near the poles every longitude is in range
+  const lngDelta = cosLat < 1e-6 ? 180 : Math.min(180, latDelta / cosLat);
+
+  return {
+    minLat: Math.max(-90, lat - latDelta),
+    maxLat: Math.min(90, lat + latDelta),
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta,
+  };
+};
+
+// SQL condition (and params) for a bounding box on the given columns, handling boxes that cross the antimeridian
+export const boundingBoxCondition = (box, latColumn, lngColumn) => {
+  const condition = [`${latColumn} BETWEEN ? AND ?`];
+  const params = [box.minLat, box.maxLat];
+
+  if (box.maxLng - box.minLng >= 360) {
+    return { sql: condition[0], params };
+  }
+  if (box.minLng < -180) {
+    condition.push(`(${lngColumn} >= ? OR ${lngColumn} <= ?)`);
+    params.push(box.minLng + 360, box.maxLng);
+  } else if (box.maxLng > 180) {
+    condition.push(`(${lngColumn} >= ? OR ${lngColumn} <= ?)`);
+    params.push(box.minLng, box.maxLng - 360);
+  } else {
+    condition.push(`${lngColumn} BETWEEN ? AND ?`);
+    params.push(box.minLng, box.maxLng);
+  }
+  return { sql: condition.join(' AND '), params };
+};
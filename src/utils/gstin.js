@@ -0,0 +1,52 @@
+// GSTIN (Indian GST identification number) validation.
+//
+// A GSTIN is 15 characters: a 2-digit state code, the holder's 10-character PAN, an
+// entity number (1-9, A-Z), a reserved 'Z' and a base-36 check character computed
+// over the first 14 characters.
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^(\d{2})([A-Z]{5}\d{4}[A-Z])([1-9A-Z])Z([0-9A-Z])$/;
+
+// State and union territory codes 01-38, plus 97 (other territory) and 99 (centre jurisdiction)
+const isValidStateCode = (code) => (code >= 1 && code <= 38) || code === 97 || code === 99;
+
+export const normalizeGstin = (value) => String(value).replace(/\s+/g, '').toUpperCase();
+
+// Check character for the first 14 characters of a GSTIN
+export const computeGstinCheckCharacter = (base) => {
+  const mod = GSTIN_CHARSET.length;
+  let sum = 0;
+
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(base[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / mod) + (product % mod);
+  }
+  return GSTIN_CHARSET[(mod - (sum % mod)) % mod];
+};
+
+// Returns { valid, gstin, error, stateCode, pan }. `gstin` is the normalized value.
+export const validateGstin = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { valid: false, error: 'GSTIN is required' };
+  }
+
+  const gstin = normalizeGstin(value);
+  const match = GSTIN_PATTERN.exec(gstin);
+  if (!match) {
+    return {
+      valid: false,
+      gstin,
+      error: 'GSTIN must be 15 characters: state code, PAN, entity number, Z and a check character',
+    };
+  }
+
+  const stateCode = Number(match[1]);
+  if (!isValidStateCode(stateCode)) {
+    return { valid: false, gstin, error: `GSTIN state code ${match[1]} is not valid` };
+  }
+  if (computeGstinCheckCharacter(gstin) !== match[4]) {
+    return { valid: false, gstin, error: 'GSTIN check character does not match' };
+  }
+
+  return { valid: true, gstin, stateCode: match[1], pan: match[2] };
+};
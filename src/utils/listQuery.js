@@ -0,0 +1,236 @@
+// Shared pagination, sorting and filtering for list endpoints.
+//
+// Usage:
+//   const listQuery = parseListQuery(req.query, {
+//     sortable: { name: 'h.name', created_at: 'h.created_at' },
+//     defaultSort: 'name',
+//     filters: { city_id: { column: 'h.city_id', type: 'int' } },
+//     cursorColumn: 'h.id',
+//   });
+//   if (listQuery.errors.length) return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+//   const { rows, pagination } = await fetchPage(db, { select, from, listQuery });
+//   res.status(200).json({ data: rows, pagination });
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  gte: '>=',
+  lte: '<=',
+};
+
+const parseTypedValue = (raw, type, values) => {
+  switch (type) {
+    case 'int': {
+      const value = Number(raw);
+      return Number.isInteger(value) ? { value } : { error: 'must be an integer' };
+    }
+    case 'number': {
+      const value = Number(raw);
+      return raw !== '' && !isNaN(value) ? { value } : { error: 'must be a number' };
+    }
+    case 'boolean': {
+      if (['true', '1'].includes(raw)) return { value: 1 };
+      if (['false', '0'].includes(raw)) return { value: 0 };
+      return { error: 'must be true or false' };
+    }
+    case 'date': {
+      return isNaN(new Date(raw).getTime()) ? { error: 'must be a valid date' } : { value: raw };
+    }
+    case 'enum': {
+      return values.includes(raw) ? { value: raw } : { error: `must be one of ${values.join(', ')}` };
+    }
+    default:
+      return { value: String(raw) };
+  }
+};
+
+/**
+ * Parses `page`, `limit`, `cursor`, `sort` and filter parameters from a request query.
+ *
+ * - `sort` takes a key of `sortable`, prefixed with `-` for descending order.
+ * - Each filter is `{ column, type, op, values }` where type is string | int | number | boolean | date | enum
+ *   and op is eq | like | gte | lte (defaults to `like` for strings, `eq` otherwise).
+ * - `cursor` switches to keyset pagination on `cursorColumn` and is only allowed when sorting by it.
+ * - Repeated (`?sort=a&sort=b`) or nested parameters are reported as errors and otherwise ignored.
+ */
+export const parseListQuery = (rawQuery, { sortable = {}, defaultSort, filters = {}, cursorColumn = null } = {}) => {
+  const errors = [];
+
+  // ---------------- Single values ----------------
+  const query = { ...rawQuery };
+  for (const key of ['page', 'limit', 'cursor', 'sort', ...Object.keys(filters)]) {
+    if (query[key] !== null && typeof query[key] === 'object') {
+      errors.push(`${key} must be given once`);
+      delete query[key];
+    }
+  }
+
+  // ---------------- Paging ----------------
+  let page = 1;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push('page must be a positive integer');
+      page = 1;
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+      limit = DEFAULT_LIMIT;
+    }
+  }
+
+  // ---------------- Sorting ----------------
+  const sortParam = query.sort || defaultSort;
+  let orderBy = null;
+  let sortColumn = null;
+  let sortDirection = 'ASC';
+
+  if (sortParam) {
+    const descending = sortParam.startsWith('-');
+    const key = descending ? sortParam.slice(1) : sortParam;
+    if (!sortable[key]) {
+      errors.push(`sort must be one of ${Object.keys(sortable).join(', ')} (prefix with - for descending)`);
+    } else {
+      sortColumn = sortable[key];
+      sortDirection = descending ? 'DESC' : 'ASC';
+    }
+  }
+
+  if (sortColumn) {
+    orderBy = `${sortColumn} ${sortDirection}`;
+    // Tie-break on the cursor column so pages are stable
+    if (cursorColumn && sortColumn !== cursorColumn) {
+      orderBy += `, ${cursorColumn} ${sortDirection}`;
+    }
+  } else if (cursorColumn) {
+    orderBy = `${cursorColumn} DESC`;
+    sortColumn = cursorColumn;
+    sortDirection = 'DESC';
+  }
+
+  // ---------------- Filters ----------------
+  const where = [];
+  const params = [];
+
+  for (const [key, filter] of Object.entries(filters)) {
+    const raw = query[key];
+    if (raw === undefined || raw === '') continue;
+
+    const type = filter.type || 'string';
+    const { value, error } = parseTypedValue(String(raw), type, filter.values || []);
+    if (error) {
+      errors.push(`${key} ${error}`);
+      continue;
+    }
+
+    const op = filter.op || (type === 'string' ? 'like' : 'eq');
+    if (op === 'like') {
+      where.push(`${filter.column} LIKE ?`);
+      params.push(`%${value}%`);
+    } else {
+      where.push(`${filter.column} ${FILTER_OPERATORS[op]} ?`);
+      params.push(value);
+    }
+  }
+
+  // ---------------- Cursor ----------------
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (!cursorColumn) {
+      errors.push('cursor pagination is not supported for this endpoint');
+    } else if (sortColumn !== cursorColumn) {
+      errors.push('cursor cannot be combined with a custom sort');
+    } else {
+      cursor = Number(query.cursor);
+      if (!Number.isInteger(cursor)) {
+        errors.push('cursor must be an integer');
+        cursor = null;
+      }
+    }
+  }
+
+  return {
+    errors,
+    page,
+    limit,
+    offset: cursor === null ? (page - 1) * limit : 0,
+    orderBy,
+    sort: sortColumn ? { column: sortColumn, direction: sortDirection } : null,
+    where,
+    params,
+    cursor,
+    // Keyset paging only makes sense while ordering by the cursor column
+    cursorEnabled: Boolean(cursorColumn) && sortColumn === cursorColumn,
+    cursorClause:
+      cursor === null ? null : { sql: `${cursorColumn} ${sortDirection === 'DESC' ? '<' : '>'} ?`, param: cursor },
+  };
+};
+
+/**
+ * Runs the count and page queries for a parsed list query.
+ *
+ * `select` is the SELECT clause, `from` the FROM/JOIN clause, and `where`/`params`
+ * any fixed conditions that always apply. `cursorKey` is the property of a returned
+ * row holding the cursor column value.
+ */
+export const fetchPage = async (
+  executor,
+  { select, from, where = [], params = [], listQuery, countExpression = 'COUNT(*)', cursorKey = 'id' }
+) => {
+  const filterClauses = [...where, ...listQuery.where];
+  const filterParams = [...params, ...listQuery.params];
+  const toWhereSql = (clauses) => (clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '');
+
+  const [countRows] = await executor.query(
+    `SELECT ${countExpression} AS total ${from}${toWhereSql(filterClauses)}`,
+    filterParams
+  );
+  const total = Number(countRows[0].total);
+
+  const pageClauses = [...filterClauses];
+  const pageParams = [...filterParams];
+  if (listQuery.cursorClause) {
+    pageClauses.push(listQuery.cursorClause.sql);
+    pageParams.push(listQuery.cursorClause.param);
+  }
+
+  const orderSql = listQuery.orderBy ? ` ORDER BY ${listQuery.orderBy}` : '';
+  const [rows] = await executor.query(
+    `${select} ${from}${toWhereSql(pageClauses)}${orderSql} LIMIT ? OFFSET ?`,
+    [...pageParams, listQuery.limit, listQuery.offset]
+  );
+
+  return { rows, pagination: buildPagination({ total, rows, listQuery, cursorKey }) };
+};
+
+export const buildPagination = ({ total, rows, listQuery, cursorKey = 'id' }) => {
+  const { page, limit, cursor, cursorEnabled } = listQuery;
+  const lastRow = rows[rows.length - 1];
+
+  if (cursor !== null) {
+    return {
+      limit,
+      total,
+      cursor,
+      next_cursor: rows.length === limit && lastRow ? lastRow[cursorKey] : null,
+    };
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    total_pages: totalPages,
+    has_next: page < totalPages,
+    has_prev: page > 1,
+    ...(cursorEnabled ? { next_cursor: page < totalPages && lastRow ? lastRow[cursorKey] : null } : {}),
+  };
+};
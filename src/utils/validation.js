@@ -0,0 +1,82 @@
+// Declarative request-body validation.
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'int' | 'number' | 'boolean' | 'date' | 'datetime' | 'url' | 'enum',
+//     required, min, max, maxLength, values, nullable, notInFuture }
+// `min` / `max` bound numbers, `maxLength` bounds strings, `values` lists enum options and
+// `notInFuture` rejects date-times after now.
+//
+// validateFields returns { errors, values } where `values` holds only the fields that
+// were sent, trimmed and converted to their type, ready to be written to the database.
+
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#].[^\s]*$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const checkValue = (value, rule) => {
+  switch (rule.type) {
+    case 'int':
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number) || (rule.type === 'int' && !Number.isInteger(number))) {
+        return { error: `must be ${rule.type === 'int' ? 'an integer' : 'a number'}` };
+      }
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value: number };
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be a boolean' };
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime())
+        ? { value }
+        : { error: 'must be a date (YYYY-MM-DD)' };
+    case 'datetime': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      if (!date || isNaN(date.getTime())) return { error: 'must be an ISO 8601 date-time' };
+      if (rule.notInFuture && date > new Date()) return { error: 'cannot be in the future' };
+      return { value: date };
+    }
+    case 'enum':
+      return rule.values.includes(value) ? { value } : { error: `must be one of ${rule.values.join(', ')}` };
+    case 'url':
+    case 'string':
+    default: {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      const text = value.trim();
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.type === 'url' && !URL_PATTERN.test(text)) return { error: 'must be a valid http(s) URL' };
+      return { value: text };
+    }
+  }
+};
+
+export const validateFields = (body, schema, { partial = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const input = body || {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (isMissing(raw)) {
+      if (rule.required && !partial) {
+        errors.push(`${field} is required`);
+      } else if (raw === null && partial) {
+        // Explicit null clears an optional field on update
+        if (rule.required || rule.nullable === false) errors.push(`${field} cannot be cleared`);
+        else values[field] = null;
+      }
+      continue;
+    }
+
+    const { value, error } = checkValue(raw, rule);
+    if (error) errors.push(`${field} ${error}`);
+    else values[field] = value;
+  }
+
+  return { errors, values };
+};
@@ -0,0 +1,113 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import app from '../src/app.js';
+import db from '../src/config/db.js';
+import PUBLIC_ROUTES from '../src/config/publicRoutes.js';
+import { requireAuthByDefault } from '../src/middleware/authMiddleware.js';
+
+// Admin and write endpoints that must refuse calls without a token
+const PROTECTED_ROUTES = [
+  { method: 'GET', path: '/api/admin/patients' },
+  { method: 'GET', path: '/api/admin/doctors/verified-details' },
+  { method: 'GET', path: '/api/admin/doctors/verified-details/1' },
+  { method: 'GET', path: '/api/admin/user-contacts' },
+  { method: 'GET', path: '/api/admin/user-contacts/1' },
+  { method: 'GET', path: '/api/admin/refrals-details' },
+  { method: 'GET', path: '/api/admin/reviews' },
+  { method: 'POST', path: '/api/blogs/create' },
+  { method: 'PATCH', path: '/api/blogs/update/1' },
+  { method: 'DELETE', path: '/api/blog/1' },
+  { method: 'POST', path: '/api/blogs/1/like' },
+  { method: 'POST', path: '/api/blogs/1/comments' },
+  { method: 'POST', path: '/api/blog/some-post/share' },
+  { method: 'POST', path: '/api/images/upload' },
+  { method: 'POST', path: '/api/images/upload-multiple' },
+  { method: 'DELETE', path: '/api/images/delete-multiple' },
+  { method: 'DELETE', path: '/api/images/1/featured-image' },
+];
+
+// No database in tests: every query finds nothing, so requests that get past the gate
+// reach their controller and answer straight away.
+const emptyResult = async () => [[], []];
+const fakeConnection = {
+  query: emptyResult,
+  execute: emptyResult,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {},
+};
+db.query = emptyResult;
+db.execute = emptyResult;
+db.getConnection = async () => fakeConnection;
+
+// Turns an allow-list pattern such as /api/blogs/:id into a concrete path
+const samplePath = (path) => path.replace(/:[^/]+/g, '1');
+
+const listen = (expressApp) =>
+  new Promise((resolve) => {
+    const server = expressApp.listen(0, () => resolve(server));
+  });
+
+const close = (server) => {
+  server.closeAllConnections();
+  server.close();
+};
+
+const request = (server, method, path) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { method });
+
+describe('anonymous calls to protected routes', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => close(server));
+
+  for (const { method, path } of PROTECTED_ROUTES) {
+    test(`${method} ${path} returns 401 without a token`, async () => {
+      const response = await request(server, method, path);
+      assert.equal(response.status, 401);
+      assert.deepEqual(await response.json(), { message: 'Access Denied: No token provided' });
+    });
+  }
+});
+
+describe('public allow-list', () => {
+  let gateServer;
+  let appServer;
+
+  before(async () => {
+    // The gate on its own, in front of a handler that always succeeds
+    const gate = express();
+    gate.use(requireAuthByDefault(PUBLIC_ROUTES));
+    gate.use((req, res) => res.status(200).json({ ok: true }));
+
+    gateServer = await listen(gate);
+    appServer = await listen(app);
+  });
+
+  after(() => {
+    close(gateServer);
+    close(appServer);
+  });
+
+  for (const { method, path } of PUBLIC_ROUTES) {
+    test(`${method} ${path} passes the gate without a token`, async () => {
+      const response = await request(gateServer, method, samplePath(path));
+      assert.equal(response.status, 200);
+    });
+
+    test(`${method} ${path} is not rejected by the app without a token`, async () => {
+      const response = await request(appServer, method, samplePath(path));
+      assert.notEqual(response.status, 401);
+    });
+  }
+
+  test('a method that is not allow-listed still needs a token', async () => {
+    const response = await request(gateServer, 'POST', '/api/blogs');
+    assert.equal(response.status, 401);
+  });
+});
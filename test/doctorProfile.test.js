@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../src/config/db.js';
+import { attachDoctorProfileDetails } from '../src/models/DoctorProfile.js';
+import { getVerifiedDoctorDetailsById, getVerifiedDoctorsDetails } from '../src/controllers/user.controller.js';
+
+const DETAIL_QUERY_COUNT = 6;
+
+const makeDoctors = (count) =>
+  Array.from({ length: count }, (_, i) => ({ doctor_id: i + 1, user_id: 100 + i + 1, name: `Doctor ${i + 1}` }));
+
+// Answers the profile detail queries with one row per requested id, keyed like the real tables
+const detailRows = (sql, ids) => {
+  if (sql.includes('FROM addresses')) return ids.map((userId) => ({ user_id: userId, id: userId, street: 'Main St' }));
+  if (sql.includes('FROM doctor_qualifications')) return ids.map((doctorId) => ({ doctor_id: doctorId, qualification: 'MBBS' }));
+  if (sql.includes('FROM doctor_verification_docs')) return ids.map((doctorId) => ({ doctor_id: doctorId, id: doctorId }));
+  return ids.map((doctorId) => ({ doctor_id: doctorId }));
+};
+
+// Executor stub that records every query it runs
+const countingExecutor = (doctors = []) => {
+  const executor = {
+    queries: [],
+    query: async (sql, params = []) => {
+      executor.queries.push(sql);
+      if (sql.includes('AS total')) return [[{ total: doctors.length }], []];
+      if (sql.includes('FROM doctors d')) return [doctors.map((doctor) => ({ ...doctor })), []];
+      return [detailRows(sql, params[0]), []];
+    },
+  };
+  return executor;
+};
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('attachDoctorProfileDetails', () => {
+  test('runs no queries for an empty list', async () => {
+    const executor = countingExecutor();
+    assert.deepEqual(await attachDoctorProfileDetails([], executor), []);
+    assert.equal(executor.queries.length, 0);
+  });
+
+  for (const count of [1, 25, 200]) {
+    test(`runs ${DETAIL_QUERY_COUNT} queries for ${count} doctor(s)`, async () => {
+      const executor = countingExecutor();
+      const doctors = await attachDoctorProfileDetails(makeDoctors(count), executor);
+
+      assert.equal(executor.queries.length, DETAIL_QUERY_COUNT);
+      for (const doctor of doctors) {
+        assert.equal(doctor.addresses.length, 1);
+        assert.equal(doctor.addresses[0].id, doctor.user_id);
+        assert.deepEqual(doctor.qualifications, ['MBBS']);
+        assert.equal(doctor.schedules.length, 1);
+        assert.equal(doctor.availability_slots.length, 1);
+        assert.equal(doctor.appointments.length, 1);
+        assert.equal(doctor.documents.length, 1);
+      }
+    });
+  }
+});
+
+describe('verified doctor endpoints use the shared loader', () => {
+  const originalQuery = db.query;
+  let executor;
+
+  const useDoctors = (doctors) => {
+    executor = countingExecutor(doctors);
+    db.query = executor.query;
+  };
+
+  beforeEach(() => useDoctors([]));
+
+  afterEach(() => {
+    db.query = originalQuery;
+  });
+
+  for (const count of [1, 20]) {
+    test(`getVerifiedDoctorsDetails runs the same queries for ${count} doctor(s)`, async () => {
+      useDoctors(makeDoctors(count));
+      const res = fakeResponse();
+
+      await getVerifiedDoctorsDetails({ query: {} }, res);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.length, count);
+      assert.ok(res.body.data.every((doctor) => Array.isArray(doctor.documents)));
+      // Page count + page rows, then the fixed set of detail queries
+      assert.equal(executor.queries.length, 2 + DETAIL_QUERY_COUNT);
+    });
+  }
+
+  test('getVerifiedDoctorDetailsById loads details for one doctor', async () => {
+    useDoctors(makeDoctors(1));
+    const res = fakeResponse();
+
+    await getVerifiedDoctorDetailsById({ params: { id: 101 } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.doctor_id, 1);
+    assert.deepEqual(res.body.qualifications, ['MBBS']);
+    assert.equal(executor.queries.length, 1 + DETAIL_QUERY_COUNT);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseListQuery } from '../src/utils/listQuery.js';
+
+const OPTIONS = {
+  sortable: { name: 'h.name', created_at: 'h.created_at' },
+  defaultSort: 'name',
+  filters: { city_id: { column: 'h.city_id', type: 'int' } },
+};
+
+describe('parseListQuery', () => {
+  test('reads sort, paging and filters', () => {
+    const listQuery = parseListQuery({ sort: '-created_at', page: '2', limit: '10', city_id: '7' }, OPTIONS);
+
+    assert.deepEqual(listQuery.errors, []);
+    assert.equal(listQuery.orderBy, 'h.created_at DESC');
+    assert.equal(listQuery.offset, 10);
+    assert.deepEqual(listQuery.where, ['h.city_id = ?']);
+    assert.deepEqual(listQuery.params, [7]);
+  });
+
+  test('rejects a repeated sort instead of throwing', () => {
+    const listQuery = parseListQuery({ sort: ['name', '-created_at'] }, OPTIONS);
+
+    assert.deepEqual(listQuery.errors, ['sort must be given once']);
+    assert.equal(listQuery.orderBy, 'h.name ASC');
+  });
+
+  test('rejects repeated paging and filter values', () => {
+    const listQuery = parseListQuery({ page: ['1', '2'], limit: { a: '1' }, city_id: ['1', '2'] }, OPTIONS);
+
+    assert.deepEqual(listQuery.errors, ['page must be given once', 'limit must be given once', 'city_id must be given once']);
+    assert.equal(listQuery.page, 1);
+    assert.deepEqual(listQuery.where, []);
+  });
+});